@@ -1,281 +1,703 @@
 /**
  * Mock data for LunarCrush API responses
  * Used when API is unavailable or during development
+ *
+ * Every value is derived from a seed, so the same seed always produces the
+ * same coins, topics and time series. Payloads use the LunarCrush v2 field
+ * names and go through the same normalization as real responses.
  */
 
+const DEFAULT_SEED = 42;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Time series are walked in fixed windows of buckets, each bridged between two
+// seeded anchor states, so overlapping ranges agree and cost scales with the range
+const SERIES_WINDOW = 168;
+
+const BUCKETS = { hour: HOUR, day: DAY };
+
+const CATEGORIES = ['defi', 'ai', 'layer-1', 'privacy', 'stablecoin', 'gaming', 'meme', 'ethereum', 'bitcoin', 'solana'];
+
+// Number of listed coins searched when filtering by category or looking up an ID
+const LISTED_COINS = 1000;
+
+// Most coins the mock list holds, and the largest page; 3-letter symbols run out at 17,576
+const MAX_LISTED_COINS = 5000;
+const MAX_PAGE_SIZE = 1000;
+
+const NETWORKS = ['tweet', 'reddit-post', 'youtube-video', 'tiktok-video', 'news'];
+
+// Creator ID prefix and link host per post type
+const POST_SOURCES = {
+  'tweet': { network: 'twitter', link: 'https://x.com/i/status/' },
+  'reddit-post': { network: 'reddit', link: 'https://reddit.com/comments/' },
+  'youtube-video': { network: 'youtube', link: 'https://www.youtube.com/watch?v=' },
+  'tiktok-video': { network: 'tiktok', link: 'https://www.tiktok.com/video/' },
+  'news': { network: 'news', link: 'https://news.example.com/articles/' }
+};
+
+// Predefined coin profiles
+const KNOWN_COINS = {
+  BTC: { id: 1, name: 'Bitcoin', price: 65000, market_cap: 1.28e12, galaxy_score: 75, sentiment: 78, social_volume_24h: 950000, market_cap_rank: 1, categories: ['bitcoin', 'layer-1'] },
+  ETH: { id: 2, name: 'Ethereum', price: 3500, market_cap: 4.2e11, galaxy_score: 72, sentiment: 75, social_volume_24h: 750000, market_cap_rank: 2, categories: ['ethereum', 'layer-1', 'defi'] },
+  SOL: { id: 3, name: 'Solana', price: 150, market_cap: 6.5e10, galaxy_score: 82, sentiment: 80, social_volume_24h: 680000, market_cap_rank: 5, categories: ['solana', 'layer-1'] },
+  FET: { id: 4, name: 'Fetch.ai', price: 2.1, market_cap: 1.8e9, galaxy_score: 88, sentiment: 85, social_volume_24h: 320000, market_cap_rank: 48, categories: ['ai', 'defi'] },
+  OCEAN: { id: 5, name: 'Ocean Protocol', price: 0.8, market_cap: 5.5e8, galaxy_score: 79, sentiment: 76, social_volume_24h: 180000, market_cap_rank: 102, categories: ['ai', 'data'] },
+  RNDR: { id: 6, name: 'Render Token', price: 7.2, market_cap: 2.7e9, galaxy_score: 77, sentiment: 74, social_volume_24h: 210000, market_cap_rank: 42, categories: ['ai', 'computing'] },
+  GRT: { id: 7, name: 'The Graph' },
+  AGIX: { id: 8, name: 'SingularityNET' },
+  LINK: { id: 9, name: 'Chainlink' },
+  AAVE: { id: 10, name: 'Aave' },
+  RAY: { id: 11, name: 'Raydium' },
+  JTO: { id: 12, name: 'Jito' },
+  BONK: { id: 13, name: 'Bonk' },
+  PYTH: { id: 14, name: 'Pyth Network' }
+};
+
+// Coins listed first, in rank order
+const TOP_COINS = ['BTC', 'ETH', 'SOL', 'FET', 'OCEAN', 'RNDR'];
+
+// Ecosystem categorizations
+const ecosystems = {
+  'ai-agents': ['FET', 'OCEAN', 'RNDR', 'GRT', 'AGIX'],
+  'defai': ['LINK', 'GRT', 'FET', 'OCEAN', 'AAVE'],
+  'solana': ['SOL', 'RAY', 'JTO', 'BONK', 'PYTH']
+};
+
 /**
- * Generate mock coin data
- * @param {string} symbol - Coin symbol
- * @param {Object} overrides - Override default values
- * @returns {Object} - Mock coin data
+ * Hash a string to a 32-bit integer (FNV-1a)
+ * @param {string} value - Value to hash
+ * @returns {number} - Hash
  */
-function generateCoinData(symbol, overrides = {}) {
-  const defaultData = {
-    s: symbol.toUpperCase(),
-    n: getMockName(symbol),
-    p: Math.random() * 50000, // price
-    v: Math.random() * 1e10, // volume
-    mc: Math.random() * 1e12, // market cap
-    gs: 30 + Math.random() * 70, // galaxy score (sentiment)
-    ss: 30 + Math.random() * 70, // social score
-    sv: Math.random() * 1e6, // social volume
-    sc: Math.random() * 10000, // social contributors
-    categories: getRandomCategories(),
-    rank: Math.floor(Math.random() * 100) + 1
-  };
-  
-  return { ...defaultData, ...overrides };
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
 }
 
 /**
- * Get mock coin name from symbol
- * @param {string} symbol - Coin symbol
- * @returns {string} - Mock coin name
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns floats in [0, 1)
  */
-function getMockName(symbol) {
-  const knownCoins = {
-    'BTC': 'Bitcoin',
-    'ETH': 'Ethereum',
-    'SOL': 'Solana',
-    'FET': 'Fetch.ai',
-    'OCEAN': 'Ocean Protocol',
-    'RNDR': 'Render Token',
-    'GRT': 'The Graph',
-    'AGIX': 'SingularityNET',
-    'LINK': 'Chainlink',
-    'AAVE': 'Aave',
-    'RAY': 'Raydium',
-    'JTO': 'Jito',
-    'BONK': 'Bonk',
-    'PYTH': 'Pyth Network'
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
-  
-  return knownCoins[symbol.toUpperCase()] || `${symbol.charAt(0).toUpperCase()}${symbol.slice(1).toLowerCase()} Coin`;
 }
 
 /**
- * Get random categories for mock data
- * @returns {Array} - Random categories
+ * Draw from a standard normal distribution (Box-Muller)
+ * @param {Function} random - Seeded generator
+ * @returns {number} - Normal sample
  */
-function getRandomCategories() {
-  const allCategories = ['defi', 'ai', 'layer-1', 'privacy', 'stablecoin', 'gaming', 'meme', 'ethereum', 'bitcoin', 'solana'];
-  const numCategories = 1 + Math.floor(Math.random() * 3); // 1-3 categories
-  const categories = [];
-  
-  for (let i = 0; i < numCategories; i++) {
-    const randomIndex = Math.floor(Math.random() * allCategories.length);
-    const category = allCategories.splice(randomIndex, 1)[0];
-    categories.push(category);
-  }
-  
-  return categories;
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
 }
 
 /**
- * Generate mock time series data
- * @param {string} symbol - Coin symbol
- * @param {number} days - Number of days
- * @returns {Array} - Mock time series data
+ * Clamp a value to a range
+ * @param {number} value - Value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Walk a mean-reverting series over a range of buckets
+ * Buckets are grouped into windows of SERIES_WINDOW. Each window starts from an
+ * anchor state drawn from its own seed and is pulled linearly onto the next
+ * window's anchor, so a bucket depends only on its window and never on the
+ * range requested.
+ * @param {Object} options - Walk options
+ * @param {Function} options.randomFor - Seeded generator factory
+ * @param {string} options.key - Series key
+ * @param {number} options.first - First bucket index
+ * @param {number} options.last - Last bucket index
+ * @param {Function} options.anchor - Draws a state near the long-run mean from a generator
+ * @param {Function} options.step - Returns the next state from a state and a generator
+ * @param {string[]} options.bridged - State fields pulled onto the next anchor
+ * @returns {Array} - { index, before, after } states per bucket, oldest first
  */
-function generateTimeSeriesData(symbol, days) {
-  const now = new Date();
-  const result = [];
-  
-  // Base values for this coin
-  const basePrice = (symbol === 'BTC') ? 40000 : (symbol === 'ETH') ? 2500 : Math.random() * 100;
-  const baseSentiment = 40 + Math.random() * 30;
-  const baseSocialVolume = 10000 + Math.random() * 90000;
-  
-  // Generate data for each day
-  for (let i = 0; i < days; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    
-    // Add some variance each day
-    const priceVariance = 0.95 + (Math.random() * 0.1); // +/- 5%
-    const sentimentVariance = 0.9 + (Math.random() * 0.2); // +/- 10%
-    const volumeVariance = 0.8 + (Math.random() * 0.4); // +/- 20%
-    
-    result.push({
-      t: date.getTime(), // timestamp
-      s: symbol.toUpperCase(),
-      p: basePrice * Math.pow(priceVariance, i), // price with trend
-      gs: baseSentiment * Math.pow(sentimentVariance, i), // galaxy score
-      ss: (baseSentiment - 5 + Math.random() * 10) * Math.pow(sentimentVariance, i), // social score
-      sv: baseSocialVolume * Math.pow(volumeVariance, i), // social volume
-      sc: Math.floor(baseSocialVolume / 100 * Math.pow(volumeVariance, i)), // social contributors
+function walkSeries({ randomFor, key, first, last, anchor, step, bridged }) {
+  const points = [];
+
+  for (let window = Math.floor(first / SERIES_WINDOW); window * SERIES_WINDOW <= last; window++) {
+    const start = window * SERIES_WINDOW;
+    const random = randomFor(`${key}:${window}`);
+    const states = [anchor(randomFor(`${key}:anchor:${window}`))];
+    for (let offset = 0; offset < SERIES_WINDOW; offset++) {
+      states.push(step(states[offset], random));
+    }
+
+    const target = anchor(randomFor(`${key}:anchor:${window + 1}`));
+    const end = states[SERIES_WINDOW];
+    const pulled = states.map((state, offset) => {
+      const result = { ...state };
+      for (const field of bridged) {
+        result[field] += offset / SERIES_WINDOW * (target[field] - end[field]);
+      }
+      return result;
     });
+
+    for (let offset = Math.max(0, first - start); offset < SERIES_WINDOW && start + offset <= last; offset++) {
+      points.push({ index: start + offset, before: pulled[offset], after: pulled[offset + 1] });
+    }
   }
-  
-  return result;
+
+  return points;
 }
 
-// Predefined mock data
-const mockCoins = {
-  bitcoin: generateCoinData('BTC', { 
-    n: 'Bitcoin', 
-    p: 65000, 
-    mc: 1.28e12, 
-    gs: 75, 
-    ss: 78, 
-    sv: 950000,
-    rank: 1,
-    categories: ['bitcoin', 'layer-1']
-  }),
-  ethereum: generateCoinData('ETH', { 
-    n: 'Ethereum', 
-    p: 3500, 
-    mc: 4.2e11, 
-    gs: 72, 
-    ss: 75, 
-    sv: 750000,
-    rank: 2,
-    categories: ['ethereum', 'layer-1', 'defi']
-  }),
-  solana: generateCoinData('SOL', { 
-    n: 'Solana', 
-    p: 150, 
-    mc: 6.5e10, 
-    gs: 82, 
-    ss: 80, 
-    sv: 680000,
-    rank: 5,
-    categories: ['solana', 'layer-1']
-  }),
-  fetchai: generateCoinData('FET', { 
-    n: 'Fetch.ai', 
-    p: 2.1, 
-    mc: 1.8e9, 
-    gs: 88, 
-    ss: 85, 
-    sv: 320000,
-    rank: 48,
-    categories: ['ai', 'defi']
-  }),
-  ocean: generateCoinData('OCEAN', { 
-    n: 'Ocean Protocol', 
-    p: 0.8, 
-    mc: 5.5e8, 
-    gs: 79, 
-    ss: 76, 
-    sv: 180000,
-    rank: 102,
-    categories: ['ai', 'data']
-  }),
-  render: generateCoinData('RNDR', { 
-    n: 'Render Token', 
-    p: 7.2, 
-    mc: 2.7e9, 
-    gs: 77, 
-    ss: 74, 
-    sv: 210000,
-    rank: 42,
-    categories: ['ai', 'computing']
-  })
-};
+/**
+ * Get mock coin name from symbol
+ * @param {string} symbol - Coin symbol
+ * @returns {string} - Mock coin name
+ */
+function getMockName(symbol) {
+  const known = KNOWN_COINS[symbol.toUpperCase()];
+  return known ? known.name : `${symbol.charAt(0).toUpperCase()}${symbol.slice(1).toLowerCase()} Coin`;
+}
 
-// Ecosystem categorizations
-const ecosystems = {
-  'ai-agents': ['FET', 'OCEAN', 'RNDR', 'GRT', 'AGIX'],
-  'defai': ['LINK', 'GRT', 'FET', 'OCEAN', 'AAVE'],
-  'solana': ['SOL', 'RAY', 'JTO', 'BONK', 'PYTH']
-};
+/**
+ * Create a deterministic mock data provider
+ * @param {Object} [options] - Provider options
+ * @param {number} [options.seed=42] - Seed for every generated value
+ * @param {number|Date} [options.now] - Fixed clock for time series (defaults to the real clock)
+ * @returns {Object} - Mock data provider
+ */
+function createMockProvider(options = {}) {
+  const seed = options.seed !== undefined ? options.seed : DEFAULT_SEED;
+  const fixedNow = options.now !== undefined ? new Date(options.now).getTime() : null;
 
-// Public API methods for mock data
-module.exports = {
   /**
-   * Get mock list of coins
-   * @param {number} limit - Maximum number of coins
-   * @returns {Array} - Mock coin list
+   * Get a generator dedicated to one entity, independent of call order
+   * @param {string} key - Entity key
+   * @returns {Function} - Seeded generator
    */
-  getCoinsList(limit = 50) {
-    const result = [
-      mockCoins.bitcoin,
-      mockCoins.ethereum,
-      mockCoins.solana,
-      mockCoins.fetchai,
-      mockCoins.ocean,
-      mockCoins.render
-    ];
-    
-    // Generate additional random coins if needed
-    if (limit > result.length) {
-      const symbols = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-      for (let i = result.length; i < limit; i++) {
-        const symbol = symbols[Math.floor(Math.random() * symbols.length)] + 
-                      symbols[Math.floor(Math.random() * symbols.length)] + 
-                      symbols[Math.floor(Math.random() * symbols.length)];
-        result.push(generateCoinData(symbol, { rank: i + 1 }));
-      }
-    }
-    
-    return result.slice(0, limit);
-  },
-  
+  function randomFor(key) {
+    return createRandom(hashString(`${seed}:${key}`));
+  }
+
   /**
-   * Get mock data for a specific coin
-   * @param {string} coin - Coin symbol or name
-   * @returns {Object} - Mock coin data
+   * Get the current time
+   * @returns {number} - Epoch milliseconds
    */
-  getCoinData(coin) {
-    const normalizedCoin = coin.toLowerCase();
-    
-    // Check if we have predefined mock data
-    if (mockCoins[normalizedCoin]) {
-      return mockCoins[normalizedCoin];
-    }
-    
-    // Handle by symbol
-    for (const [_, coinData] of Object.entries(mockCoins)) {
-      if (coinData.s.toLowerCase() === normalizedCoin) {
-        return coinData;
+  function now() {
+    return fixedNow !== null ? fixedNow : Date.now();
+  }
+
+  /**
+   * List the symbols of the top coins, in rank order
+   * @param {number} limit - Number of symbols, capped at MAX_LISTED_COINS
+   * @returns {string[]} - Symbols
+   */
+  function listSymbols(limit) {
+    const count = Math.min(limit, MAX_LISTED_COINS);
+    const symbols = TOP_COINS.slice(0, count);
+    const seen = new Set(symbols);
+    const random = randomFor('list');
+    const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+    // Generate additional coins if needed
+    while (symbols.length < count) {
+      const symbol = Array.from({ length: 3 }, () => letters[Math.floor(random() * letters.length)]).join('');
+      if (!seen.has(symbol) && !KNOWN_COINS[symbol]) {
+        seen.add(symbol);
+        symbols.push(symbol);
       }
     }
-    
-    // Generate mock data for unknown coin
-    return generateCoinData(normalizedCoin);
-  },
-  
+
+    return symbols;
+  }
+
   /**
-   * Get mock time series data
-   * @param {string} coin - Coin symbol
-   * @param {number} days - Number of days
-   * @returns {Array} - Mock time series data
+   * Get the numeric ID of a coin
+   * @param {string} symbol - Uppercase symbol
+   * @returns {number} - Coin ID
    */
-  getTimeSeriesData(coin, days = 7) {
-    const symbol = typeof coin === 'string' ? coin : coin.s;
-    return generateTimeSeriesData(symbol, days);
-  },
-  
+  function coinId(symbol) {
+    const known = KNOWN_COINS[symbol];
+    return known && known.id ? known.id : 1000 + (hashString(symbol) % 100000);
+  }
+
   /**
-   * Get mock topic data
-   * @param {string} topic - Topic name
-   * @returns {Object} - Mock topic data
+   * Turn a symbol, name or numeric ID into a symbol
+   * @param {string|number} coin - Coin identifier
+   * @returns {string} - Symbol
    */
-  getTopicData(topic) {
+  function resolveSymbol(coin) {
+    const input = String(coin);
+
+    if (/^\d+$/.test(input)) {
+      const id = Number(input);
+      const listed = listSymbols(LISTED_COINS).find(symbol => coinId(symbol) === id);
+      if (listed) return listed;
+    }
+
+    // Handle by name
+    const normalizedCoin = input.toLowerCase().replace(/[\s.]+/g, '');
+    const byName = Object.keys(KNOWN_COINS).find(symbol =>
+      KNOWN_COINS[symbol].name.toLowerCase().replace(/[\s.]+/g, '') === normalizedCoin);
+
+    return byName || normalizedCoin.toUpperCase();
+  }
+
+  /**
+   * Build the baseline profile of a coin
+   * @param {string} symbol - Coin symbol
+   * @param {number} [rank] - Market cap rank for unknown coins
+   * @returns {Object} - Coin payload in the v2 list shape
+   */
+  function generateCoinData(symbol, rank) {
+    const upper = symbol.toUpperCase();
+    const random = randomFor(`coin:${upper}`);
+    const known = KNOWN_COINS[upper] || {};
+
+    const categories = known.categories || (() => {
+      const pool = CATEGORIES.slice();
+      const count = 1 + Math.floor(random() * 3); // 1-3 categories
+      return Array.from({ length: count }, () => pool.splice(Math.floor(random() * pool.length), 1)[0]);
+    })();
+
+    const marketCapRank = known.market_cap_rank || rank || 50 + Math.floor(random() * 450);
+    const price = known.price || Number((Math.pow(10, 3 - 5 * random())).toPrecision(4));
+    const marketCap = known.market_cap || price * (1e7 + random() * 1e9);
+    const galaxyScore = known.galaxy_score || Math.round(30 + random() * 60);
+    const sentiment = known.sentiment || Math.round(40 + random() * 50);
+    const socialVolume = known.social_volume_24h || Math.round(5000 + random() * 200000);
+
     return {
-      topic: topic,
-      sentiment: 30 + Math.random() * 70,
-      volume: Math.floor(10000 + Math.random() * 90000),
-      momentum: Math.random() > 0.5 ? 'rising' : 'falling',
-      related_coins: this.getCoinsList(3)
+      id: coinId(upper),
+      symbol: upper,
+      name: getMockName(upper),
+      price,
+      volume_24h: Math.round(marketCap * (0.02 + random() * 0.1)),
+      market_cap: marketCap,
+      market_cap_rank: marketCapRank,
+      percent_change_24h: Number((gaussian(random) * 4).toFixed(2)),
+      percent_change_7d: Number((gaussian(random) * 10).toFixed(2)),
+      galaxy_score: galaxyScore,
+      alt_rank: 1 + Math.floor(random() * 1000),
+      sentiment,
+      social_volume_24h: socialVolume,
+      social_contributors: Math.round(socialVolume / (20 + random() * 80)),
+      social_dominance: Number((random() * 5).toFixed(3)),
+      interactions_24h: Math.round(socialVolume * (50 + random() * 500)),
+      categories: categories.join(',')
     };
-  },
-  
+  }
+
   /**
-   * Get coins for a specific ecosystem
-   * @param {string} ecosystem - Ecosystem name
-   * @param {number} limit - Maximum number of coins
-   * @returns {Array} - Coins in the ecosystem
+   * Generate a time series with a mean-reverting random walk, where sentiment
+   * leads price and social volume spikes with large price moves
+   * @param {string} symbol - Coin symbol
+   * @param {Object} range - Time range
+   * @param {string} [range.bucket='day'] - Bucket size (hour or day)
+   * @param {number} range.start - Range start in epoch milliseconds
+   * @param {number} range.end - Range end in epoch milliseconds
+   * @returns {Array} - Points in the v2 time-series shape, oldest first
    */
-  getEcosystemCoins(ecosystem, limit = 5) {
-    if (ecosystems[ecosystem]) {
-      return ecosystems[ecosystem]
-        .slice(0, limit)
-        .map(symbol => this.getCoinData(symbol));
-    }
-    
-    // Generate random ecosystem
-    return this.getCoinsList(limit);
+  function generateTimeSeriesData(symbol, { bucket = 'day', start, end }) {
+    const upper = symbol.toUpperCase();
+    const bucketMs = BUCKETS[bucket] || DAY;
+    const profile = generateCoinData(upper);
+
+    // Volatility scales with the square root of the bucket length
+    const scale = Math.sqrt(bucketMs / DAY);
+    const basePrice = Math.log(profile.price);
+    const baseVolume = Math.log(profile.social_volume_24h * bucketMs / DAY);
+
+    const walk = walkSeries({
+      randomFor,
+      key: `series:${upper}:${bucket}`,
+      first: Math.ceil(start / bucketMs),
+      last: Math.floor(end / bucketMs),
+      bridged: ['logPrice', 'sentiment', 'logVolume'],
+      anchor: random => ({
+        logPrice: basePrice + 0.2 * scale * gaussian(random),
+        sentiment: clamp(profile.sentiment + 7 * scale * gaussian(random), 0, 100),
+        // Large price moves lift volume about 0.85 standard deviations above its base
+        logVolume: baseVolume + 0.85 * scale + 0.5 * scale * gaussian(random),
+        shock: gaussian(random),
+        wick: random()
+      }),
+      step: (state, random) => {
+        const sentimentShock = gaussian(random);
+        const priceShock = gaussian(random);
+        const volumeShock = gaussian(random);
+
+        // Price follows the previous bucket's sentiment move
+        const priceReturn = 0.04 * scale * (0.6 * state.shock + 0.8 * priceShock);
+        return {
+          logPrice: state.logPrice + 0.02 * (basePrice - state.logPrice) + priceReturn,
+          sentiment: clamp(state.sentiment + 0.1 * (profile.sentiment - state.sentiment) + 3 * scale * sentimentShock, 0, 100),
+          logVolume: state.logVolume + 0.15 * (baseVolume - state.logVolume) + 0.25 * scale * volumeShock +
+            4 * Math.abs(priceReturn),
+          shock: sentimentShock,
+          wick: random()
+        };
+      }
+    });
+
+    return walk.map(({ index, before, after }) => {
+      const open = Math.exp(before.logPrice);
+      const close = Math.exp(after.logPrice);
+      const sentiment = clamp(after.sentiment, 0, 100);
+      const previousSentiment = clamp(before.sentiment, 0, 100);
+      const posts = Math.round(Math.exp(after.logVolume));
+      const spread = Math.abs(after.logPrice - before.logPrice) + 0.01 * scale * after.wick;
+
+      return {
+        time: index * bucketMs / 1000,
+        open,
+        close,
+        high: Math.max(open, close) * (1 + spread / 2),
+        low: Math.min(open, close) * (1 - spread / 2),
+        volume_24h: profile.volume_24h * close / profile.price,
+        market_cap: profile.market_cap * close / profile.price,
+        galaxy_score: Math.round(clamp(profile.galaxy_score + (sentiment - profile.sentiment) * 0.5 +
+          (sentiment - previousSentiment), 0, 100)),
+        alt_rank: Math.max(1, Math.round(profile.alt_rank * (1 - (sentiment - profile.sentiment) / 100))),
+        sentiment: Math.round(sentiment),
+        posts_created: posts,
+        contributors_active: Math.round(posts / 4),
+        interactions: posts * 120,
+        social_dominance: Number((profile.social_dominance * posts /
+          (profile.social_volume_24h * bucketMs / DAY)).toFixed(3))
+      };
+    });
   }
-};
\ No newline at end of file
+
+  /**
+   * Generate a topic time series with a mean-reverting random walk of
+   * activity and sentiment
+   * @param {string} topic - Topic slug
+   * @param {Object} range - Time range
+   * @param {string} [range.bucket='day'] - Bucket size (hour or day)
+   * @param {number} range.start - Range start in epoch milliseconds
+   * @param {number} range.end - Range end in epoch milliseconds
+   * @returns {Array} - Points in the topic time-series shape, oldest first
+   */
+  function generateTopicTimeSeries(topic, { bucket = 'day', start, end }) {
+    const bucketMs = BUCKETS[bucket] || DAY;
+    const profile = randomFor(`topic-profile:${topic}`);
+
+    const scale = Math.sqrt(bucketMs / DAY);
+    const baseSentiment = 40 + profile() * 50;
+    const baseActivity = Math.log((500 + profile() * 50000) * bucketMs / DAY);
+
+    const walk = walkSeries({
+      randomFor,
+      key: `topic-series:${topic}:${bucket}`,
+      first: Math.ceil(start / bucketMs),
+      last: Math.floor(end / bucketMs),
+      bridged: ['sentiment', 'activity'],
+      anchor: random => ({
+        sentiment: clamp(baseSentiment + 7 * scale * gaussian(random), 0, 100),
+        activity: baseActivity + 0.6 * scale * gaussian(random),
+        spamShare: random()
+      }),
+      step: (state, random) => ({
+        sentiment: clamp(state.sentiment + 0.1 * (baseSentiment - state.sentiment) + 3 * scale * gaussian(random), 0, 100),
+        activity: state.activity + 0.15 * (baseActivity - state.activity) + 0.3 * scale * gaussian(random),
+        spamShare: random()
+      })
+    });
+
+    return walk.map(({ index, after }) => {
+      const postsCreated = Math.round(Math.exp(after.activity));
+      const postsActive = Math.round(postsCreated * 4);
+
+      return {
+        time: index * bucketMs / 1000,
+        posts_created: postsCreated,
+        posts_active: postsActive,
+        contributors_created: Math.round(postsCreated / 3),
+        contributors_active: Math.round(postsActive / 5),
+        interactions: postsActive * 150,
+        sentiment: Math.round(clamp(after.sentiment, 0, 100)),
+        spam: Math.round(postsCreated * 0.05 * after.spamShare)
+      };
+    });
+  }
+
+  /**
+   * Build a creator in the topic creators shape
+   * @param {string} topic - Topic slug
+   * @param {number} index - Creator position in the topic
+   * @returns {Object} - Creator payload
+   */
+  function generateCreator(topic, index) {
+    const random = randomFor(`creator:${topic}:${index}`);
+    const type = NETWORKS[Math.floor(random() * (NETWORKS.length - 1))]; // news has no creators
+    const { network } = POST_SOURCES[type];
+    const handle = `${topic.replace(/[^a-z0-9]/gi, '')}_${network}_${index + 1}`.toLowerCase();
+
+    return {
+      creator_id: `${network}::${100000 + (hashString(handle) % 900000)}`,
+      creator_name: handle,
+      creator_display_name: handle.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+      creator_avatar: `https://avatars.example.com/${handle}.png`,
+      creator_followers: Math.round(Math.pow(10, 3 + random() * 4)),
+      creator_rank: index + 1,
+      interactions_24h: 0
+    };
+  }
+
+  return {
+    seed,
+
+    /**
+     * Get mock list of coins
+     * @param {number} limit - Maximum number of coins
+     * @returns {Array} - Mock coin list
+     */
+    getCoinsList(limit = 50) {
+      return listSymbols(limit).map((symbol, index) => generateCoinData(symbol, index + 1));
+    },
+
+    /**
+     * Get one page of the mock coin list, optionally narrowed to a category
+     * @param {Object} [query] - Coins list query
+     * @param {string} [query.filter] - Category slug
+     * @param {number} [query.limit=50] - Page size, clamped to 1-1000
+     * @param {number} [query.page=0] - Page number, from 0; pages past the end of the list are empty
+     * @returns {Array} - Mock coins on the page
+     */
+    getCoinsListPage(query = {}) {
+      const limit = Math.min(Math.max(Math.floor(Number(query.limit)) || 50, 1), MAX_PAGE_SIZE);
+      const page = Math.max(Math.floor(Number(query.page)) || 0, 0);
+      if (limit * page >= MAX_LISTED_COINS) return [];
+
+      const end = Math.min(limit * (page + 1), MAX_LISTED_COINS);
+      const coins = query.filter
+        ? this.getCoinsList(Math.max(LISTED_COINS, end))
+          .filter(coin => coin.categories.split(',').includes(String(query.filter).toLowerCase()))
+        : this.getCoinsList(end);
+
+      return coins.slice(limit * page, end);
+    },
+
+    /**
+     * Get mock data for a specific coin
+     * @param {string|number} coin - Coin symbol, name or numeric ID
+     * @returns {Object} - Mock coin data
+     */
+    getCoinData(coin) {
+      const symbol = resolveSymbol(coin);
+      const rank = listSymbols(LISTED_COINS).indexOf(symbol);
+      return generateCoinData(symbol, rank >= 0 ? rank + 1 : undefined);
+    },
+
+    /**
+     * Get mock time series data
+     * @param {string|number|Object} coin - Coin symbol, name, numeric ID or coin payload
+     * @param {number|Object} [range=7] - Number of days up to now, or { bucket, start, end }
+     *   with start/end in epoch milliseconds or unix seconds
+     * @returns {Array} - Mock time series data, oldest first
+     */
+    getTimeSeriesData(coin, range = 7) {
+      const symbol = resolveSymbol(typeof coin === 'object' ? coin.symbol || coin.s : coin);
+      const toMillis = value => (value < 1e12 ? value * 1000 : value);
+
+      if (typeof range === 'number') {
+        const end = now();
+        return generateTimeSeriesData(symbol, { bucket: 'day', start: end - (range - 1) * DAY, end });
+      }
+
+      const bucket = range.bucket || 'day';
+      const end = range.end !== undefined ? toMillis(Number(range.end)) : now();
+      const start = range.start !== undefined
+        ? toMillis(Number(range.start))
+        : end - ((range.limit || 30) - 1) * (BUCKETS[bucket] || DAY);
+
+      return generateTimeSeriesData(symbol, { bucket, start, end });
+    },
+
+    /**
+     * Get mock topic data
+     * @param {string} topic - Topic name
+     * @returns {Object} - Mock topic data in the v1 topic shape
+     */
+    getTopicData(topic) {
+      const random = randomFor(`topic:${topic}`);
+      const typesCount = {};
+      const typesInteractions = {};
+      const typesSentiment = {};
+
+      const typesSentimentDetail = {};
+
+      for (const network of NETWORKS) {
+        typesCount[network] = Math.round(100 + random() * 10000);
+        typesInteractions[network] = Math.round(typesCount[network] * (20 + random() * 500));
+        typesSentiment[network] = Math.round(30 + random() * 60);
+
+        // Sentiment is the positive share of posts that are not neutral
+        const neutral = Math.round(typesCount[network] * 0.3);
+        const positive = Math.round((typesCount[network] - neutral) * typesSentiment[network] / 100);
+        typesSentimentDetail[network] = {
+          positive,
+          neutral,
+          negative: typesCount[network] - neutral - positive
+        };
+      }
+
+      const interactions = Object.values(typesInteractions).reduce((sum, value) => sum + value, 0);
+      const trends = ['up', 'down', 'flat'];
+
+      return {
+        topic,
+        title: topic.charAt(0).toUpperCase() + topic.slice(1),
+        topic_rank: 1 + Math.floor(random() * 500),
+        related_topics: CATEGORIES.filter(() => random() < 0.3),
+        types_count: typesCount,
+        types_interactions: typesInteractions,
+        types_sentiment: typesSentiment,
+        types_sentiment_detail: typesSentimentDetail,
+        interactions_24h: interactions,
+        num_contributors: Math.round(interactions / 400),
+        num_posts: Object.values(typesCount).reduce((sum, value) => sum + value, 0),
+        categories: CATEGORIES.filter(() => random() < 0.2),
+        trend: trends[Math.floor(random() * trends.length)],
+        related_coins: this.getCoinsList(3)
+      };
+    },
+
+    /**
+     * Get a mock topic time series
+     * @param {string} topic - Topic name
+     * @param {Object} [range] - { bucket, start, end, limit } with start/end in epoch
+     *   milliseconds or unix seconds
+     * @returns {Array} - Mock topic time series, oldest first
+     */
+    getTopicTimeSeries(topic, range = {}) {
+      const toMillis = value => (value < 1e12 ? value * 1000 : value);
+      const bucket = range.bucket || 'day';
+      const end = range.end !== undefined ? toMillis(Number(range.end)) : now();
+      const start = range.start !== undefined
+        ? toMillis(Number(range.start))
+        : end - ((range.limit || 30) - 1) * (BUCKETS[bucket] || DAY);
+
+      return generateTopicTimeSeries(String(topic).toLowerCase(), { bucket, start, end });
+    },
+
+    /**
+     * Get mock top creators for a topic
+     * @param {string} topic - Topic name
+     * @param {number} [limit=25] - Maximum number of creators
+     * @returns {Array} - Creators, most influential first
+     */
+    getTopicCreators(topic, limit = 25) {
+      const slug = String(topic).toLowerCase();
+      const creators = Array.from({ length: limit }, (value, index) => generateCreator(slug, index));
+
+      // Interactions fall off with rank
+      const top = 1e5 + randomFor(`creators:${slug}`)() * 1e7;
+      creators.forEach((creator, index) => {
+        creator.interactions_24h = Math.round(top / (index + 1));
+      });
+
+      return creators;
+    },
+
+    /**
+     * Get mock top posts for a topic
+     * One post is generated per hour in the range; the most interacted-with come first
+     * @param {string} topic - Topic name
+     * @param {Object} [range] - { start, end, limit } with start/end in epoch milliseconds
+     *   or unix seconds (defaults to the last 24 hours)
+     * @returns {Array} - Posts in the topic posts shape
+     */
+    getTopicPosts(topic, range = {}) {
+      const slug = String(topic).toLowerCase();
+      const toMillis = value => (value < 1e12 ? value * 1000 : value);
+      const end = range.end !== undefined ? toMillis(Number(range.end)) : now();
+      const start = range.start !== undefined ? toMillis(Number(range.start)) : end - DAY;
+      const creators = this.getTopicCreators(slug, 25);
+      const posts = [];
+
+      for (let hour = Math.ceil(start / HOUR) * HOUR; hour <= end; hour += HOUR) {
+        const random = randomFor(`post:${slug}:${hour}`);
+        const type = NETWORKS[Math.floor(random() * NETWORKS.length)];
+        const creator = creators[Math.floor(random() * creators.length)];
+        const id = String(hashString(`${slug}:${hour}`));
+
+        posts.push({
+          id,
+          post_type: type,
+          post_title: `${slug} update #${hour / HOUR}`,
+          post_created: Math.floor(Math.min(end, hour + random() * HOUR) / 1000),
+          post_sentiment: Number((1 + random() * 4).toFixed(2)),
+          post_link: `${POST_SOURCES[type].link}${id}`,
+          post_image: null,
+          interactions_total: Math.round(Math.pow(10, 2 + random() * 4)),
+          creator_id: creator.creator_id,
+          creator_name: creator.creator_name,
+          creator_display_name: creator.creator_display_name,
+          creator_followers: creator.creator_followers,
+          creator_avatar: creator.creator_avatar
+        });
+      }
+
+      return posts
+        .sort((a, b) => b.interactions_total - a.interactions_total)
+        .slice(0, range.limit || 100);
+    },
+
+    /**
+     * Get mock categories list
+     * @returns {Array} - Categories in the v1 categories shape
+     */
+    getCategories() {
+      const coins = this.getCoinsList(LISTED_COINS);
+
+      return CATEGORIES.map(category => {
+        const random = randomFor(`category:${category}`);
+        return {
+          category,
+          title: category.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+          num_coins: coins.filter(coin => coin.categories.split(',').includes(category)).length,
+          interactions_24h: Math.round(1e6 + random() * 1e8)
+        };
+      });
+    },
+
+    /**
+     * Get coins for a specific ecosystem
+     * @param {string} ecosystem - Ecosystem name
+     * @param {number} limit - Maximum number of coins
+     * @returns {Array} - Coins in the ecosystem
+     */
+    getEcosystemCoins(ecosystem, limit = 5) {
+      if (ecosystems[ecosystem]) {
+        return ecosystems[ecosystem]
+          .slice(0, limit)
+          .map(symbol => this.getCoinData(symbol));
+      }
+
+      return this.getCoinsList(50)
+        .filter(coin => coin.categories.split(',').includes(ecosystem))
+        .slice(0, limit);
+    }
+  };
+}
+
+// Public API methods for mock data, using the default seed
+module.exports = createMockProvider();
+module.exports.createMockProvider = createMockProvider;
+module.exports.ecosystems = ecosystems;
@@ -0,0 +1,74 @@
+const { createMockProvider } = require('./data');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+describe('mock data', () => {
+  const now = Date.UTC(2024, 2, 1);
+
+  test('is the same for the same seed', () => {
+    const first = createMockProvider({ seed: 7, now });
+    const second = createMockProvider({ seed: 7, now });
+
+    expect(second.getCoinsList(20)).toEqual(first.getCoinsList(20));
+    expect(second.getCoinData('SOL')).toEqual(first.getCoinData('SOL'));
+    expect(second.getTimeSeriesData('SOL', 14)).toEqual(first.getTimeSeriesData('SOL', 14));
+    expect(second.getTopicData('bitcoin')).toEqual(first.getTopicData('bitcoin'));
+  });
+
+  test('differs between seeds', () => {
+    const first = createMockProvider({ seed: 7, now });
+    const second = createMockProvider({ seed: 8, now });
+
+    expect(second.getCoinData('SOL')).not.toEqual(first.getCoinData('SOL'));
+    expect(second.getTimeSeriesData('SOL', 14)).not.toEqual(first.getTimeSeriesData('SOL', 14));
+  });
+
+  test('does not depend on call order', () => {
+    const first = createMockProvider({ seed: 7, now });
+    const second = createMockProvider({ seed: 7, now });
+    first.getCoinData('ETH');
+
+    expect(second.getCoinData('SOL')).toEqual(first.getCoinData('SOL'));
+  });
+});
+
+describe('mock time series', () => {
+  const provider = createMockProvider({ seed: 7 });
+
+  test('returns one point per bucket in the range', () => {
+    const points = provider.getTimeSeriesData('BTC', { bucket: 'hour', start: Date.UTC(2024, 0, 1), end: Date.UTC(2024, 0, 2) });
+
+    expect(points).toHaveLength(25);
+    expect(points[0].time).toBe(Date.UTC(2024, 0, 1) / 1000);
+    expect(points[1].time - points[0].time).toBe(HOUR / 1000);
+  });
+
+  test('agrees on the buckets where ranges overlap', () => {
+    const start = Date.UTC(2024, 0, 1);
+    const long = provider.getTimeSeriesData('ETH', { start, end: start + 400 * DAY });
+    const inner = provider.getTimeSeriesData('ETH', { start: start + 150 * DAY, end: start + 200 * DAY });
+    const topic = provider.getTopicTimeSeries('bitcoin', { start, end: start + 400 * DAY });
+
+    expect(inner).toEqual(long.slice(150, 201));
+    expect(provider.getTopicTimeSeries('bitcoin', { start: start + 150 * DAY, end: start + 200 * DAY }))
+      .toEqual(topic.slice(150, 201));
+  });
+
+  test('opens each bucket at the previous close', () => {
+    const points = provider.getTimeSeriesData('SOL', { bucket: 'hour', start: Date.UTC(2024, 0, 1), end: Date.UTC(2024, 0, 31) });
+
+    for (let i = 1; i < points.length; i++) {
+      expect(points[i].open).toBeCloseTo(points[i - 1].close, 8);
+      expect(points[i].high).toBeGreaterThanOrEqual(Math.max(points[i].open, points[i].close));
+      expect(points[i].low).toBeLessThanOrEqual(Math.min(points[i].open, points[i].close));
+    }
+  });
+
+  test('serves ranges decades from now without walking up to them', () => {
+    const points = provider.getTimeSeriesData('BTC', { bucket: 'hour', start: Date.UTC(2100, 0, 1), end: Date.UTC(2100, 0, 2) });
+
+    expect(points).toHaveLength(25);
+    expect(points.every(point => Number.isFinite(point.close) && point.close > 0)).toBe(true);
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Local LunarCrush stub server for end-to-end tests
+ * Serves the mock generators from ./data over HTTP and can simulate
+ * 401, 402 and 429 responses as well as added latency
+ *
+ * Run standalone with `node mock/server.js` (PORT, STUB_SEED and
+ * STUB_LATENCY environment variables are honoured)
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const { createMockProvider } = require('./data');
+const { matchEndpoint, getMockData } = require('../src/endpoints');
+
+const BASE_PATH = '/api4';
+const DEFAULT_LOG_SIZE = 1000;
+
+/**
+ * Stub implementation of the LunarCrush API
+ */
+class StubServer {
+  /**
+   * Create a new stub server
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.seed=42] - Mock data seed
+   * @param {number} [options.latency=0] - Milliseconds added to every response
+   * @param {Object<string, string>} [options.keys] - API keys and their tier (free or paid);
+   *   when omitted any key is accepted with paid access
+   * @param {number} [options.perMinute] - Requests per key per minute before answering 429
+   * @param {Object<string, number>} [options.failures] - Status to return per endpoint name
+   *   (see src/endpoints) or path, e.g. { timeSeries: 402 }
+   * @param {number} [options.logSize=1000] - Most recent requests kept in requestLog
+   */
+  constructor(options = {}) {
+    this.mock = createMockProvider({ seed: options.seed });
+    this.latency = options.latency || 0;
+    this.keys = options.keys || null;
+    this.perMinute = options.perMinute || null;
+    this.failures = { ...(options.failures || {}) };
+    this.queuedFailures = [];
+    this.requestLog = [];
+    this.logSize = options.logSize || DEFAULT_LOG_SIZE;
+    this.usage = new Map();
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch(error => {
+        this._send(res, 500, { error: error.message });
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - Port (0 picks a free one)
+   * @returns {Promise<string>} - Base URL to pass to the adapter
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.off('error', reject);
+        resolve(this.getBaseUrl());
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Get the base URL of the running server
+   * @returns {string} - Base URL
+   */
+  getBaseUrl() {
+    const { port } = this.server.address();
+    return `http://127.0.0.1:${port}${BASE_PATH}`;
+  }
+
+  /**
+   * Return a status for an endpoint until cleared
+   * @param {string} endpoint - Endpoint name (see src/endpoints) or path
+   * @param {number|null} status - HTTP status, or null to clear
+   */
+  setFailure(endpoint, status) {
+    if (status === null) {
+      delete this.failures[endpoint];
+    } else {
+      this.failures[endpoint] = status;
+    }
+  }
+
+  /**
+   * Fail the next requests with a status, whatever the endpoint
+   * @param {number} status - HTTP status
+   * @param {number} [count=1] - Number of requests to fail
+   */
+  failNext(status, count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.queuedFailures.push(status);
+    }
+  }
+
+  /**
+   * Clear failures, the request log and per-key usage
+   */
+  reset() {
+    this.failures = {};
+    this.queuedFailures = [];
+    this.requestLog = [];
+    this.usage.clear();
+  }
+
+  /**
+   * Change the latency added to every response
+   * @param {number} ms - Milliseconds
+   */
+  setLatency(ms) {
+    this.latency = ms;
+  }
+
+  /**
+   * Handle one request
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) : url.pathname;
+    const query = Object.fromEntries(url.searchParams.entries());
+    this.requestLog.push({ method: req.method, endpoint, query });
+    if (this.requestLog.length > this.logSize) {
+      this.requestLog.splice(0, this.requestLog.length - this.logSize);
+    }
+
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+
+    const route = matchEndpoint(endpoint);
+    if (req.method !== 'GET' || !route) {
+      this._send(res, 404, { error: `Unknown endpoint ${endpoint}` });
+      return;
+    }
+
+    const forced = this.queuedFailures.shift() || this.failures[route.name] || this.failures[endpoint];
+    if (forced) {
+      this._sendError(res, forced);
+      return;
+    }
+
+    const key = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const tier = this.keys ? this.keys[key] : (key && key !== 'undefined' ? 'paid' : undefined);
+    if (!tier) {
+      this._sendError(res, 401);
+      return;
+    }
+
+    if (route.tier === 'paid' && tier !== 'paid') {
+      this._sendError(res, 402);
+      return;
+    }
+
+    if (this.perMinute && !this._consume(key)) {
+      this._sendError(res, 429);
+      return;
+    }
+
+    this._send(res, 200, { data: getMockData(this.mock, endpoint, query) });
+  }
+
+  /**
+   * Count a request against a key's per-minute budget
+   * @private
+   * @param {string} key - API key
+   * @returns {boolean} - Whether the request is within budget
+   */
+  _consume(key) {
+    const now = Date.now();
+    const recent = (this.usage.get(key) || []).filter(time => now - time < 60 * 1000);
+    if (recent.length >= this.perMinute) {
+      this.usage.set(key, recent);
+      return false;
+    }
+    recent.push(now);
+    this.usage.set(key, recent);
+    return true;
+  }
+
+  /**
+   * Send an error response shaped like LunarCrush's
+   * @private
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   */
+  _sendError(res, status) {
+    const messages = {
+      401: 'Unauthorized: invalid API key',
+      402: 'Payment required: upgrade your subscription to access this endpoint',
+      429: 'Too many requests'
+    };
+    const headers = status === 429 ? { 'retry-after': '1' } : {};
+    this._send(res, status, { error: messages[status] || `Stub failure ${status}` }, headers);
+  }
+
+  /**
+   * Send a JSON response
+   * @private
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   * @param {Object} [headers] - Extra headers
+   */
+  _send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+if (require.main === module) {
+  const stub = new StubServer({
+    seed: process.env.STUB_SEED !== undefined ? Number(process.env.STUB_SEED) : undefined,
+    latency: Number(process.env.STUB_LATENCY || 0)
+  });
+
+  stub.start(Number(process.env.PORT || 4040)).then(baseUrl => {
+    console.log(`LunarCrush stub listening on ${baseUrl}`);
+  });
+}
+
+module.exports = StubServer;
@@ -0,0 +1,295 @@
+/**
+ * Social analytics over normalized time series: period aggregates,
+ * period-over-period change, moving averages, rolling z-scores and anomalies
+ * @module analytics
+ */
+
+const { BUCKETS } = require('./time-series');
+
+// Buckets used for moving averages and rolling z-scores
+const DEFAULT_WINDOW = 7;
+
+// Absolute rolling z-score from which a point is flagged as an anomaly
+const DEFAULT_THRESHOLD = 3;
+
+// Fewer prior points than this leave the z-score undefined
+const MIN_ZSCORE_POINTS = 3;
+
+/**
+ * Social metrics and how each is aggregated over a period
+ * `sum` totals the buckets, `mean` averages them, `weighted` averages them
+ * weighted by social volume and `ratio` divides two totals.
+ * `change` is a percent change or a difference (for metrics that are already
+ * percentages or scores)
+ */
+const SOCIAL_METRICS = {
+  sentiment: { field: 'sentiment', aggregate: 'weighted', change: 'difference' },
+  socialVolume: { field: 'socialVolume', aggregate: 'sum', change: 'percent' },
+  socialContributors: { field: 'socialContributors', aggregate: 'mean', change: 'percent' },
+  interactions: { field: 'interactions', aggregate: 'sum', change: 'percent' },
+  engagement: { field: 'interactions', per: 'socialVolume', aggregate: 'ratio', change: 'percent' },
+  galaxyScore: { field: 'galaxyScore', aggregate: 'mean', change: 'difference' }
+};
+
+// Metrics checked for anomalies
+const ANOMALY_METRICS = ['socialVolume', 'sentiment', 'interactions'];
+
+/**
+ * @typedef {Object} MetricSummary
+ * @property {number|null} value - Aggregate over the period
+ * @property {number|null} previous - Aggregate over the period before it
+ * @property {number|null} change - Change from previous (percent, or points for sentiment and scores)
+ * @property {string} changeType - percent or difference
+ * @property {string|null} trend - up, down or flat
+ * @property {number|null} movingAverage - Mean of the last `window` buckets
+ * @property {number|null} zScore - Rolling z-score of the last bucket against the `window` before it
+ * @property {Object} window - { start, end } of the period, in epoch milliseconds
+ * @property {number} points - Buckets with a value in the period
+ * @property {Object} previousWindow - { start, end } of the previous period
+ * @property {number} previousPoints - Buckets with a value in the previous period
+ */
+
+/**
+ * Arithmetic mean
+ * @param {number[]} values - Values
+ * @returns {number|null} - Mean, or null when empty
+ */
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation
+ * @param {number[]} values - Values
+ * @returns {number|null} - Standard deviation, or null with fewer than two values
+ */
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+
+  const average = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Trailing moving average
+ * @param {number[]} values - Values, oldest first
+ * @param {number} window - Number of values averaged
+ * @returns {Array<number|null>} - Average ending at each value (null until the window fills)
+ */
+function movingAverage(values, window) {
+  return values.map((value, index) => (index + 1 >= window
+    ? mean(values.slice(index + 1 - window, index + 1))
+    : null));
+}
+
+/**
+ * Rolling z-scores: each value against the mean and deviation of the values before it
+ * @param {number[]} values - Values, oldest first
+ * @param {number} window - Number of prior values used
+ * @returns {Array<number|null>} - Z-score per value (null without enough history or variation)
+ */
+function rollingZScores(values, window) {
+  return values.map((value, index) => {
+    const prior = values.slice(Math.max(0, index - window), index);
+    if (prior.length < MIN_ZSCORE_POINTS) return null;
+
+    const deviation = standardDeviation(prior);
+    return deviation ? (value - mean(prior)) / deviation : null;
+  });
+}
+
+/**
+ * Read the values of a metric, skipping buckets without one
+ * @param {Object[]} points - Normalized time-series points
+ * @param {Object} metric - Metric definition (see SOCIAL_METRICS)
+ * @returns {Object[]} - { time, value, weight } per bucket
+ */
+function readMetric(points, metric) {
+  const result = [];
+
+  for (const point of points) {
+    let value = point[metric.field];
+    if (value === null || value === undefined) continue;
+
+    if (metric.per) {
+      if (!point[metric.per]) continue;
+      value = value / point[metric.per];
+    }
+
+    result.push({ time: point.time, value, weight: point.socialVolume || 1 });
+  }
+
+  return result;
+}
+
+/**
+ * Aggregate a metric over a set of buckets
+ * @param {Object[]} points - Normalized time-series points
+ * @param {Object} metric - Metric definition
+ * @returns {Object} - { value, points }
+ */
+function aggregate(points, metric) {
+  if (metric.aggregate === 'ratio') {
+    const usable = points.filter(point => point[metric.field] !== null && point[metric.per]);
+    const total = usable.reduce((sum, point) => sum + point[metric.field], 0);
+    const per = usable.reduce((sum, point) => sum + point[metric.per], 0);
+    return { value: per > 0 ? total / per : null, points: usable.length };
+  }
+
+  const values = readMetric(points, metric);
+  if (values.length === 0) return { value: null, points: 0 };
+
+  switch (metric.aggregate) {
+    case 'sum':
+      return { value: values.reduce((sum, item) => sum + item.value, 0), points: values.length };
+    case 'weighted': {
+      const weight = values.reduce((sum, item) => sum + item.weight, 0);
+      return { value: values.reduce((sum, item) => sum + item.value * item.weight, 0) / weight, points: values.length };
+    }
+    default:
+      return { value: mean(values.map(item => item.value)), points: values.length };
+  }
+}
+
+/**
+ * Compare two period aggregates
+ * @param {number|null} current - Current value
+ * @param {number|null} previous - Previous value
+ * @param {string} type - percent or difference
+ * @returns {number|null} - Change, or null when it can't be computed
+ */
+function computeChange(current, previous, type) {
+  if (current === null || previous === null) return null;
+  if (type === 'difference') return current - previous;
+  return previous !== 0 ? ((current - previous) / Math.abs(previous)) * 100 : null;
+}
+
+/**
+ * Classify a change; moves under one percent (or one point) count as flat
+ * @param {number|null} change - Change
+ * @returns {string|null} - up, down or flat
+ */
+function trendOf(change) {
+  if (change === null) return null;
+  if (change >= 1) return 'up';
+  if (change <= -1) return 'down';
+  return 'flat';
+}
+
+/**
+ * Rate how far the data can be trusted from how many buckets were available
+ * The score is the share of expected buckets present in the period, discounted
+ * by up to a quarter when the look-back for z-scores is incomplete
+ * @param {number} points - Buckets in the period
+ * @param {number} expected - Buckets the period should hold
+ * @param {number} lookback - Buckets before the period
+ * @param {number} window - Buckets needed for rolling statistics
+ * @returns {Object} - { score, level, points, expectedPoints, lookbackPoints }
+ */
+function assessConfidence(points, expected, lookback, window) {
+  const coverage = expected > 0 ? Math.min(1, points / expected) : 0;
+  const history = Math.min(1, lookback / window);
+  const score = coverage * (0.75 + 0.25 * history);
+
+  return {
+    score,
+    level: score >= 0.9 ? 'high' : score >= 0.5 ? 'medium' : 'low',
+    points,
+    expectedPoints: expected,
+    lookbackPoints: lookback
+  };
+}
+
+/**
+ * Analyze social metrics over a period and the period before it
+ * @param {Object[]} points - Normalized time-series points, oldest first, covering the
+ *   period and enough history before it
+ * @param {Object} options - Analysis options
+ * @param {number} options.start - Period start in epoch milliseconds
+ * @param {number} options.end - Period end in epoch milliseconds
+ * @param {string} [options.bucket='day'] - Point spacing (hour or day)
+ * @param {number} [options.window=7] - Buckets for moving averages and z-scores
+ * @param {number} [options.threshold=3] - Absolute z-score flagged as an anomaly
+ * @returns {Object} - { window, points, <metric>: MetricSummary, anomalies, confidence }
+ */
+function analyzeSocialMetrics(points, options) {
+  const { start, end } = options;
+  const bucketMs = BUCKETS[options.bucket || 'day'];
+  const window = options.window || DEFAULT_WINDOW;
+  const threshold = options.threshold || DEFAULT_THRESHOLD;
+  const previousStart = start - (end - start);
+
+  // Periods are (start, end], so a point on the boundary belongs to the earlier one
+  const current = points.filter(point => point.time > start && point.time <= end);
+  const previous = points.filter(point => point.time > previousStart && point.time <= start);
+  const lookback = points.filter(point => point.time <= start);
+
+  const result = {
+    window: { start, end },
+    points: current.length
+  };
+
+  const anomalies = [];
+
+  for (const [name, metric] of Object.entries(SOCIAL_METRICS)) {
+    const now = aggregate(current, metric);
+    const before = aggregate(previous, metric);
+    const change = computeChange(now.value, before.value, metric.change);
+
+    const series = readMetric(points, metric);
+    const values = series.map(item => item.value);
+    const averages = movingAverage(values, window);
+    const zScores = rollingZScores(values, window);
+    const last = series.length - 1;
+
+    result[name] = {
+      value: now.value,
+      previous: before.value,
+      change,
+      changeType: metric.change,
+      trend: trendOf(change),
+      movingAverage: last >= 0 ? averages[last] : null,
+      zScore: last >= 0 ? zScores[last] : null,
+      window: { start, end },
+      points: now.points,
+      previousWindow: { start: previousStart, end: start },
+      previousPoints: before.points
+    };
+
+    if (ANOMALY_METRICS.includes(name)) {
+      series.forEach((item, index) => {
+        const zScore = zScores[index];
+        if (item.time > start && zScore !== null && Math.abs(zScore) >= threshold) {
+          anomalies.push({
+            metric: name,
+            time: item.time,
+            value: item.value,
+            zScore,
+            direction: zScore > 0 ? 'spike' : 'drop',
+            window: { start: item.time - window * bucketMs, end: item.time },
+            points: Math.min(index, window)
+          });
+        }
+      });
+    }
+  }
+
+  result.anomalies = anomalies.sort((a, b) => a.time - b.time);
+  result.confidence = assessConfidence(current.length, Math.round((end - start) / bucketMs),
+    lookback.length, window);
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_WINDOW,
+  DEFAULT_THRESHOLD,
+  SOCIAL_METRICS,
+  mean,
+  standardDeviation,
+  movingAverage,
+  rollingZScores,
+  analyzeSocialMetrics
+};
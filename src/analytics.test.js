@@ -0,0 +1,91 @@
+const analytics = require('./analytics');
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+/**
+ * Build daily points at T0 + index days
+ * @param {number} count - Number of points
+ * @param {Function} values - Returns the metrics of the point at an index (1-based)
+ * @returns {Object[]} - Normalized time-series points
+ */
+function dailyPoints(count, values) {
+  return Array.from({ length: count }, (unused, index) => ({ time: T0 + (index + 1) * DAY, ...values(index + 1) }));
+}
+
+describe('statistics', () => {
+  test('mean and sample standard deviation', () => {
+    expect(analytics.mean([])).toBeNull();
+    expect(analytics.mean([1, 2, 3, 4])).toBe(2.5);
+    expect(analytics.standardDeviation([5])).toBeNull();
+    expect(analytics.standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBeCloseTo(2.138, 3);
+  });
+
+  test('movingAverage fills once the window is complete', () => {
+    expect(analytics.movingAverage([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+  });
+
+  test('rollingZScores compares each value with the ones before it', () => {
+    const scores = analytics.rollingZScores([10, 12, 10, 12, 30], 4);
+
+    expect(scores.slice(0, 3)).toEqual([null, null, null]);
+    expect(scores[3]).toBeCloseTo((12 - 32 / 3) / analytics.standardDeviation([10, 12, 10]), 10);
+    expect(scores[4]).toBeCloseTo((30 - 11) / analytics.standardDeviation([10, 12, 10, 12]), 10);
+    // No variation, no score
+    expect(analytics.rollingZScores([5, 5, 5, 5, 9], 4)[4]).toBeNull();
+  });
+});
+
+describe('analyzeSocialMetrics', () => {
+  const previous = { socialVolume: 10, sentiment: 50, interactions: 100, socialContributors: 4, galaxyScore: 60 };
+  const current = { socialVolume: 20, sentiment: 60, interactions: 300, socialContributors: 5, galaxyScore: 65 };
+  const points = dailyPoints(14, index => (index <= 7 ? previous : current));
+  const options = { start: T0 + 7 * DAY, end: T0 + 14 * DAY };
+
+  test('compares the period with the one before it', () => {
+    const result = analytics.analyzeSocialMetrics(points, options);
+
+    expect(result.points).toBe(7);
+    expect(result.socialVolume).toMatchObject({ value: 140, previous: 70, change: 100, changeType: 'percent', trend: 'up' });
+    expect(result.interactions).toMatchObject({ value: 2100, previous: 700, change: 200 });
+    expect(result.engagement).toMatchObject({ value: 15, previous: 10, change: 50 });
+    expect(result.socialContributors).toMatchObject({ value: 5, previous: 4, change: 25 });
+    expect(result.sentiment).toMatchObject({ value: 60, previous: 50, change: 10, changeType: 'difference' });
+    expect(result.galaxyScore).toMatchObject({ value: 65, previous: 60, change: 5, trend: 'up' });
+    expect(result.socialVolume.movingAverage).toBe(20);
+    expect(result.anomalies).toEqual([]);
+    expect(result.confidence).toMatchObject({ level: 'high', points: 7, expectedPoints: 7, lookbackPoints: 7 });
+  });
+
+  test('weights sentiment by social volume', () => {
+    const mixed = dailyPoints(2, index => (index === 1
+      ? { socialVolume: 30, sentiment: 80 }
+      : { socialVolume: 10, sentiment: 40 }));
+    const result = analytics.analyzeSocialMetrics(mixed, { start: T0, end: T0 + 2 * DAY });
+
+    expect(result.sentiment.value).toBe(70);
+  });
+
+  test('flags spikes in the period as anomalies', () => {
+    const spiky = dailyPoints(20, index => ({ socialVolume: index === 20 ? 100 : 10 + (index % 2) * 2 }));
+    const result = analytics.analyzeSocialMetrics(spiky, { start: T0 + 13 * DAY, end: T0 + 20 * DAY });
+
+    expect(result.anomalies).toHaveLength(1);
+    expect(result.anomalies[0]).toMatchObject({
+      metric: 'socialVolume',
+      time: T0 + 20 * DAY,
+      value: 100,
+      direction: 'spike',
+      points: analytics.DEFAULT_WINDOW
+    });
+    expect(result.anomalies[0].zScore).toBeGreaterThan(analytics.DEFAULT_THRESHOLD);
+  });
+
+  test('lowers confidence when buckets are missing', () => {
+    const sparse = points.filter((point, index) => index < 7 || index % 3 === 0);
+    const result = analytics.analyzeSocialMetrics(sparse, options);
+
+    expect(result.points).toBeLessThan(7);
+    expect(result.confidence.level).not.toBe('high');
+  });
+});
@@ -1,106 +1,279 @@
-const axios = require('axios');
+const EventEmitter = require('events');
+const HttpClient = require('./http');
+const { FixtureNotFoundError } = require('./fixtures');
+const { matchEndpoint, getEndpointPaths } = require('./endpoints');
+
+const TIERS = ['paid', 'free'];
 
 /**
  * Handles LunarCrush authentication and API tier detection
+ *
+ * Access is tracked per endpoint in a capability map. Endpoints are probed
+ * lazily by the first real request to them: a 402 is remembered for a day.
+ * Network errors and 5xx responses say nothing about access: they only mark
+ * the endpoint as recently failed for a short while, which pauses probing
+ * without blocking requests.
+ *
+ * Emits `tierChange` (tier, previousTier) whenever the detected tier changes.
  */
-class LunarCrushAuth {
+class LunarCrushAuth extends EventEmitter {
   /**
    * Create a new authentication handler
    * @param {string} apiKey - LunarCrush API key
+   * @param {Object} [options] - Configuration options
+   * @param {HttpClient} [options.http] - HTTP client shared with the adapter
+   * @param {string} [options.baseUrl] - API base URL, when no HTTP client is given
+   * @param {string} [options.tier] - Force the tier (paid or free) instead of detecting it
+   * @param {number} [options.capabilityTtl=86400000] - How long a 200 or 402 result is trusted
+   * @param {number} [options.invalidKeyTtl=3600000] - How long a 401 marks the key invalid
+   * @param {number} [options.transientTtl=60000] - How long a network error or 5xx pauses probing
+   *   of an endpoint
    */
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
+    super();
     this.apiKey = apiKey;
-    this.apiTier = null;
-    this.lastTierCheck = null;
-    this.tierCheckInterval = 24 * 60 * 60 * 1000; // 24 hours
-    
+    this.http = options.http || new HttpClient({ apiKey, baseUrl: options.baseUrl });
+    this.tierOverride = options.tier || null;
+    this.capabilityTtl = options.capabilityTtl || 24 * 60 * 60 * 1000; // 24 hours
+    this.invalidKeyTtl = options.invalidKeyTtl || 60 * 60 * 1000; // 1 hour
+    this.transientTtl = options.transientTtl || 60 * 1000; // 1 minute
+    this.capabilities = new Map();
+    this.recentFailures = new Map();
+    this.invalidUntil = 0;
+    this.lastTier = null;
+
+    if (this.tierOverride && !TIERS.includes(this.tierOverride)) {
+      throw new TypeError(`Invalid tier override: ${this.tierOverride}. Expected one of ${TIERS.join(', ')}`);
+    }
+
     this.endpoints = {
-      free: [
-        '/public/topic/:topic/v1',
-        '/public/coins/list/v1',
-        '/public/categories/list/v1'
-      ],
-      paid: [
-        '/public/coins/list/v2',
-        '/public/coins/:coin/time-series/v2'
-      ]
+      free: getEndpointPaths('free'),
+      paid: getEndpointPaths('paid')
     };
   }
-  
+
+  /**
+   * Current API tier (paid, free, invalid or unknown)
+   * @type {string}
+   */
+  get apiTier() {
+    if (this.tierOverride) return this.tierOverride;
+    if (!this.apiKey || this.invalidUntil > Date.now()) return 'invalid';
+
+    let tier = 'unknown';
+    for (const path of this.endpoints.paid) {
+      const capability = this._getCapability(path);
+      if (!capability) continue;
+      if (capability.access) return 'paid';
+      tier = 'free';
+    }
+
+    return tier;
+  }
+
+  /**
+   * Get the capability map: one entry per probed endpoint
+   * @returns {Object<string, Object>} - { access, reason, status, checkedAt, expiresAt } per endpoint path
+   */
+  getCapabilities() {
+    const result = {};
+    for (const path of this.capabilities.keys()) {
+      const capability = this._getCapability(path);
+      if (capability) result[path] = { ...capability };
+    }
+    return result;
+  }
+
+  /**
+   * Get the endpoints that recently failed with a network error or 5xx
+   * @returns {Object<string, Object>} - { status, failedAt, expiresAt } per endpoint path
+   */
+  getRecentFailures() {
+    const result = {};
+    for (const path of this.recentFailures.keys()) {
+      if (this.isRecentlyFailed(path)) result[path] = { ...this.recentFailures.get(path) };
+    }
+    return result;
+  }
+
   /**
-   * Detect the API tier based on access to paid endpoints
+   * Check whether an endpoint failed with a network error or 5xx within transientTtl
+   * This is not a denial: requests to the endpoint still go out
+   * @param {string} endpoint - API endpoint
+   * @returns {boolean} - Whether probing of the endpoint is paused
+   */
+  isRecentlyFailed(endpoint) {
+    const path = this._getCapabilityKey(endpoint);
+    const failure = this.recentFailures.get(path);
+    if (!failure) return false;
+
+    if (failure.expiresAt <= Date.now()) {
+      this.recentFailures.delete(path);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Detect the API tier by probing a paid endpoint
+   * Results are cached in the capability map, so repeated calls are cheap; a probe
+   * that recently failed is not repeated until transientTtl has passed
    * @returns {Promise<string>} - API tier (paid, free, invalid, unknown)
    */
   async detectApiTier() {
-    // Only check once per day
-    const now = Date.now();
-    if (this.apiTier && this.lastTierCheck && (now - this.lastTierCheck < this.tierCheckInterval)) {
+    if (this.tierOverride || !this.apiKey) {
       return this.apiTier;
     }
-    
-    if (!this.apiKey) {
-      this.apiTier = 'invalid';
+
+    const probe = '/public/coins/list/v2';
+    if (this._getCapability(probe) || this.isRecentlyFailed(probe)) {
       return this.apiTier;
     }
-    
-    // Try a paid endpoint to see if the API key has access
+
     try {
-      const response = await axios.get('https://lunarcrush.com/api4/public/coins/list/v2', {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        params: { limit: 1 }
+      const response = await this.http.get(probe, {
+        params: { limit: 1 },
+        apiKey: this.apiKey
       });
-      
-      if (response.status === 200) {
-        this.apiTier = 'paid';
-      } else {
-        this.apiTier = 'unknown';
-      }
+      this.recordResult(probe, response.status);
     } catch (error) {
-      if (error.response) {
-        if (error.response.status === 402) {
-          this.apiTier = 'free';
-        } else if (error.response.status === 401) {
-          this.apiTier = 'invalid';
-        } else {
-          this.apiTier = 'unknown';
-        }
-      } else {
-        this.apiTier = 'unknown';
+      if (error instanceof FixtureNotFoundError) {
+        throw error;
       }
+
+      this.recordResult(probe, error.response ? error.response.status : null);
     }
-    
-    this.lastTierCheck = now;
+
     return this.apiTier;
   }
-  
+
+  /**
+   * Record the outcome of a request to update the capability map
+   * Only 2xx/3xx, 401, 402 and 403 say what the key can access. Network errors
+   * and 5xx only mark the endpoint as recently failed; other failures are left
+   * to retries and the caller
+   * @param {string} endpoint - API endpoint
+   * @param {number|null} status - HTTP status, or null when no response arrived
+   */
+  recordResult(endpoint, status) {
+    const now = Date.now();
+    const path = this._getCapabilityKey(endpoint);
+
+    if (status === 401 || status === 403) {
+      this.invalidUntil = now + this.invalidKeyTtl;
+    } else if (status === 402) {
+      this._setCapability(path, { access: false, reason: 'subscription', status }, this.capabilityTtl);
+    } else if (status !== null && status < 400) {
+      this.invalidUntil = 0;
+      this.recentFailures.delete(path);
+      this._setCapability(path, { access: true, reason: null, status }, this.capabilityTtl);
+    } else if (status === null || status >= 500) {
+      this.recentFailures.set(path, { status, failedAt: now, expiresAt: now + this.transientTtl });
+    }
+
+    this._emitTierChange();
+  }
+
+  /**
+   * Explain why an endpoint is currently blocked
+   * @param {string} endpoint - API endpoint
+   * @returns {string|null} - invalid, subscription, or null when not blocked
+   */
+  getDenialReason(endpoint) {
+    if (this.apiTier === 'invalid') return 'invalid';
+    if (this.tierOverride === 'paid') return null;
+
+    const capability = this._getCapability(this._getCapabilityKey(endpoint));
+    if (capability && !capability.access) return capability.reason;
+
+    if (this.tierOverride === 'free' && !this._isFreeEndpoint(endpoint)) return 'subscription';
+
+    return null;
+  }
+
   /**
    * Check if the API key can access a specific endpoint
+   * Endpoints that have not been probed yet are assumed accessible
    * @param {string} endpoint - API endpoint
    * @returns {Promise<boolean>} - Whether the endpoint can be accessed
    */
   async canAccessEndpoint(endpoint) {
-    if (!this.apiTier) {
-      await this.detectApiTier();
-    }
-    
-    if (this.apiTier === 'paid') {
+    if (this.tierOverride === 'paid') {
       return true; // Paid tier can access all endpoints
     }
-    
-    if (this.apiTier === 'invalid' || this.apiTier === 'unknown') {
-      return false; // Invalid or unknown tier can't access any endpoints
+
+    if (this.tierOverride === 'free') {
+      return this._isFreeEndpoint(endpoint);
+    }
+
+    return this.getDenialReason(endpoint) === null;
+  }
+
+  /**
+   * Check if an endpoint is available in free tier
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @returns {boolean} - Whether the endpoint is free
+   */
+  _isFreeEndpoint(endpoint) {
+    const route = matchEndpoint(endpoint);
+    return Boolean(route) && this.endpoints.free.includes(route.path);
+  }
+
+  /**
+   * Get the capability map key for an endpoint (its route path when known)
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @returns {string} - Capability key
+   */
+  _getCapabilityKey(endpoint) {
+    const route = matchEndpoint(endpoint);
+    return route ? route.path : endpoint;
+  }
+
+  /**
+   * Get a capability that has not expired
+   * @private
+   * @param {string} path - Capability key
+   * @returns {Object|null} - Capability
+   */
+  _getCapability(path) {
+    const capability = this.capabilities.get(path);
+    if (!capability) return null;
+
+    if (capability.expiresAt <= Date.now()) {
+      this.capabilities.delete(path);
+      return null;
     }
-    
-    // Check if the endpoint is available in free tier
-    return this.endpoints.free.some(freeEndpoint => {
-      // Convert path params to regex pattern
-      const pattern = freeEndpoint.replace(/:[^\/]+/g, '[^\/]+');
-      const regex = new RegExp(`^${pattern}$`);
-      return regex.test(endpoint);
-    });
+
+    return capability;
+  }
+
+  /**
+   * Store a capability
+   * @private
+   * @param {string} path - Capability key
+   * @param {Object} capability - { access, reason, status }
+   * @param {number} ttl - Lifetime in milliseconds
+   */
+  _setCapability(path, capability, ttl) {
+    const now = Date.now();
+    this.capabilities.set(path, { ...capability, checkedAt: now, expiresAt: now + ttl });
+  }
+
+  /**
+   * Emit tierChange when the detected tier differs from the last one seen
+   * @private
+   */
+  _emitTierChange() {
+    const tier = this.apiTier;
+    if (tier === this.lastTier) return;
+
+    const previous = this.lastTier;
+    this.lastTier = tier;
+    this.emit('tierChange', tier, previous);
   }
 }
 
-module.exports = LunarCrushAuth;
\ No newline at end of file
+module.exports = LunarCrushAuth;
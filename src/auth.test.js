@@ -0,0 +1,105 @@
+const LunarCrushAuth = require('./auth');
+
+const PROBE = '/public/coins/list/v2';
+
+/**
+ * Build an HTTP client double that answers every request with one status
+ * @param {number|null} status - HTTP status, or null for a network error
+ * @returns {Object} - Client with a jest.fn get
+ */
+function httpAnswering(status) {
+  return {
+    get: jest.fn(async () => {
+      if (status !== null && status < 400) return { status, headers: {}, data: {} };
+      const error = new Error(status === null ? 'socket hang up' : `Request failed with status code ${status}`);
+      if (status !== null) error.response = { status };
+      throw error;
+    })
+  };
+}
+
+describe('LunarCrushAuth', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('detects the tier from a paid endpoint and caches the result', async () => {
+    const paid = new LunarCrushAuth('key', { http: httpAnswering(200) });
+    const free = new LunarCrushAuth('key', { http: httpAnswering(402) });
+
+    expect(await paid.detectApiTier()).toBe('paid');
+    expect(await free.detectApiTier()).toBe('free');
+    expect(free.getDenialReason(PROBE)).toBe('subscription');
+
+    await paid.detectApiTier();
+    expect(paid.http.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('marks the key invalid after a 401', async () => {
+    const auth = new LunarCrushAuth('key', { http: httpAnswering(401) });
+
+    expect(await auth.detectApiTier()).toBe('invalid');
+    expect(await auth.canAccessEndpoint('/public/topic/bitcoin/v1')).toBe(false);
+  });
+
+  test('emits tierChange when the detected tier changes', () => {
+    const auth = new LunarCrushAuth('key', { http: httpAnswering(200) });
+    const changes = [];
+    auth.on('tierChange', (tier, previous) => changes.push([previous, tier]));
+
+    auth.recordResult('/public/coins/list/v2', 402);
+    auth.recordResult('/public/coins/1/v1', 402);
+    auth.recordResult('/public/coins/1/time-series/v2', 200);
+
+    expect(changes).toEqual([[null, 'free'], ['free', 'paid']]);
+  });
+
+  test.each([
+    ['a 5xx', 503],
+    ['a network error', null]
+  ])('%s pauses probing without denying the endpoint', async (label, status) => {
+    const auth = new LunarCrushAuth('key', { http: httpAnswering(status), transientTtl: 5000 });
+
+    expect(await auth.detectApiTier()).toBe('unknown');
+    expect(auth.isRecentlyFailed(PROBE)).toBe(true);
+    expect(auth.getRecentFailures()[PROBE]).toMatchObject({ status });
+    expect(auth.getDenialReason(PROBE)).toBeNull();
+    expect(await auth.canAccessEndpoint(PROBE)).toBe(true);
+    expect(auth.getCapabilities()).toEqual({});
+
+    await auth.detectApiTier();
+    expect(auth.http.get).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(5000);
+    expect(auth.isRecentlyFailed(PROBE)).toBe(false);
+    await auth.detectApiTier();
+    expect(auth.http.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps a known capability through a transient failure and clears the failure on success', () => {
+    const auth = new LunarCrushAuth('key', { http: httpAnswering(200) });
+    auth.recordResult(PROBE, 200);
+    auth.recordResult(PROBE, 500);
+
+    expect(auth.apiTier).toBe('paid');
+    expect(auth.isRecentlyFailed(PROBE)).toBe(true);
+
+    auth.recordResult(PROBE, 200);
+    expect(auth.isRecentlyFailed(PROBE)).toBe(false);
+  });
+
+  test('a tier override skips probing', async () => {
+    const paid = new LunarCrushAuth('key', { http: httpAnswering(402), tier: 'paid' });
+    const free = new LunarCrushAuth('key', { http: httpAnswering(200), tier: 'free' });
+
+    expect(await paid.detectApiTier()).toBe('paid');
+    expect(paid.http.get).not.toHaveBeenCalled();
+    expect(await free.canAccessEndpoint('/public/topic/bitcoin/v1')).toBe(true);
+    expect(await free.canAccessEndpoint('/public/coins/1/v1')).toBe(false);
+    expect(() => new LunarCrushAuth('key', { tier: 'gold' })).toThrow(/Invalid tier override/);
+  });
+});
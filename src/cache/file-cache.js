@@ -0,0 +1,139 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Filesystem cache backend storing one JSON file per key
+ * Safe to share between processes: writes go through a temp file and rename
+ */
+class FileCache {
+  /**
+   * Create a new file cache
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.dir='.lunarcrush-cache'] - Directory holding cache files
+   * @param {number} [options.ttl=300000] - Default TTL in milliseconds
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || '.lunarcrush-cache';
+    this.defaultTtl = options.ttl || 5 * 60 * 1000;
+    this.ready = null;
+  }
+
+  /**
+   * Create the cache directory on first use
+   * @private
+   * @returns {Promise<void>}
+   */
+  _ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Get the file path for a key
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} - File path
+   */
+  _filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Read a cache entry, dropping it when expired
+   * @private
+   * @param {string} file - File path
+   * @returns {Promise<Object|null>} - Entry ({ key, value, expiresAt }) or null
+   */
+  async _readEntry(file) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return null; // Missing, or half-written by another process
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await fs.rm(file, { force: true });
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Cached value, or undefined when missing or expired
+   */
+  async get(key) {
+    const entry = await this._readEntry(this._filePath(key));
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {number} [ttl] - TTL in milliseconds (defaults to the cache TTL)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    await this._ensureDir();
+
+    const file = this._filePath(key);
+    const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const entry = {
+      key,
+      value,
+      expiresAt: Date.now() + (ttl || this.defaultTtl)
+    };
+
+    await fs.writeFile(tmpFile, JSON.stringify(entry));
+    await fs.rename(tmpFile, file);
+  }
+
+  /**
+   * Remove a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.rm(this._filePath(key), { force: true });
+  }
+
+  /**
+   * Get the remaining lifetime of a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<number|null>} - Milliseconds until expiry, or null when missing
+   */
+  async ttl(key) {
+    const entry = await this._readEntry(this._filePath(key));
+    return entry ? entry.expiresAt - Date.now() : null;
+  }
+
+  /**
+   * List keys that have not expired
+   * @returns {Promise<string[]>} - Cache keys
+   */
+  async keys() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this._readEntry(path.join(this.dir, file))));
+
+    return entries.filter(Boolean).map(entry => entry.key);
+  }
+}
+
+module.exports = FileCache;
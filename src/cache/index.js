@@ -0,0 +1,51 @@
+/**
+ * Cache backends for LunarCrush adapter responses
+ *
+ * Any object implementing the interface below can be passed as the adapter's
+ * `cache` option. Methods may return values or promises; the adapter awaits
+ * them. Synchronous caches exposing only `get` and `set` (such as the
+ * `@intue/core` Cache) keep working.
+ *
+ * @typedef {Object} CacheBackend
+ * @property {function(string): Promise<*>} get - Resolve the value for a key, or undefined when missing or expired
+ * @property {function(string, *, number=): Promise<void>} set - Store a value with an optional TTL in milliseconds
+ * @property {function(string): Promise<void>} delete - Remove a key
+ * @property {function(string): Promise<number|null>} ttl - Milliseconds until a key expires, or null when missing
+ * @property {function(): Promise<string[]>} keys - List keys that have not expired
+ */
+
+const { matchEndpoint } = require('../endpoints');
+const FileCache = require('./file-cache');
+const SqliteCache = require('./sqlite-cache');
+
+/**
+ * Default TTL per endpoint family, in milliseconds
+ * Lists move quickly; history rarely changes once written
+ */
+const DEFAULT_TTLS = {
+  coinsList: 5 * 60 * 1000,
+  coin: 5 * 60 * 1000,
+  topic: 10 * 60 * 1000,
+  topicCreators: 10 * 60 * 1000,
+  topicPosts: 10 * 60 * 1000,
+  timeSeries: 60 * 60 * 1000,
+  topicTimeSeries: 60 * 60 * 1000,
+  categories: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Get the endpoint family used to pick a TTL
+ * @param {string} endpoint - API endpoint
+ * @returns {string|null} - Family name, or null for unrecognised endpoints
+ */
+function getEndpointFamily(endpoint) {
+  const route = matchEndpoint(endpoint);
+  return route ? route.family : null;
+}
+
+module.exports = {
+  FileCache,
+  SqliteCache,
+  DEFAULT_TTLS,
+  getEndpointFamily
+};
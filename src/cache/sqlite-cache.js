@@ -0,0 +1,136 @@
+const { LunarCrushError } = require('../errors');
+
+/**
+ * SQLite cache backend, built on the optional `better-sqlite3` package
+ * One database file can be shared by several processes
+ */
+class SqliteCache {
+  /**
+   * Create a new SQLite cache
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.path='lunarcrush-cache.db'] - Database file
+   * @param {Object} [options.db] - Existing better-sqlite3 database to use instead
+   * @param {number} [options.ttl=300000] - Default TTL in milliseconds
+   */
+  constructor(options = {}) {
+    this.defaultTtl = options.ttl || 5 * 60 * 1000;
+    this.db = options.db || SqliteCache._openDatabase(options.path || 'lunarcrush-cache.db');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS lunarcrush_cache (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value, expires_at FROM lunarcrush_cache WHERE key = ?'),
+      set: this.db.prepare(
+        'INSERT OR REPLACE INTO lunarcrush_cache (key, value, expires_at) VALUES (?, ?, ?)'
+      ),
+      delete: this.db.prepare('DELETE FROM lunarcrush_cache WHERE key = ?'),
+      keys: this.db.prepare('SELECT key FROM lunarcrush_cache WHERE expires_at > ?'),
+      purge: this.db.prepare('DELETE FROM lunarcrush_cache WHERE expires_at <= ?')
+    };
+  }
+
+  /**
+   * Open a database file with better-sqlite3
+   * @private
+   * @param {string} file - Database file
+   * @returns {Object} - Database handle
+   */
+  static _openDatabase(file) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new LunarCrushError('SqliteCache requires the better-sqlite3 package: npm install better-sqlite3', {
+        code: 'CONFIGURATION_INVALID',
+        cause: error
+      });
+    }
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    return db;
+  }
+
+  /**
+   * Read a live row for a key
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Object|null} - Row ({ value, expires_at }) or null
+   */
+  _getRow(key) {
+    const row = this.statements.get.get(key);
+    if (!row) return null;
+
+    if (row.expires_at <= Date.now()) {
+      this.statements.delete.run(key);
+      return null;
+    }
+
+    return row;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Cached value, or undefined when missing or expired
+   */
+  async get(key) {
+    const row = this._getRow(key);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   * @param {number} [ttl] - TTL in milliseconds (defaults to the cache TTL)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    this.statements.set.run(key, JSON.stringify(value), Date.now() + (ttl || this.defaultTtl));
+  }
+
+  /**
+   * Remove a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.statements.delete.run(key);
+  }
+
+  /**
+   * Get the remaining lifetime of a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<number|null>} - Milliseconds until expiry, or null when missing
+   */
+  async ttl(key) {
+    const row = this._getRow(key);
+    return row ? row.expires_at - Date.now() : null;
+  }
+
+  /**
+   * List keys that have not expired
+   * @returns {Promise<string[]>} - Cache keys
+   */
+  async keys() {
+    const now = Date.now();
+    this.statements.purge.run(now);
+    return this.statements.keys.all(now).map(row => row.key);
+  }
+
+  /**
+   * Close the underlying database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteCache;
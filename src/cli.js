@@ -0,0 +1,435 @@
+/**
+ * Command-line interface for the LunarCrush adapter (`lunarcrush`)
+ * @module cli
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const LunarCrushAdapter = require('./index');
+const { LunarCrushError } = require('./errors');
+const exporter = require('./export');
+const mcp = require('./mcp');
+const helpers = require('../utils/helpers');
+
+const { isMockData, isStaleData } = LunarCrushAdapter;
+
+const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  usage: 2,
+  mock: 3
+};
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: lunarcrush <command> [options]
+
+Commands:
+  coins list [--limit n]            Top coins (default 20)
+  coin <symbol>                     One coin
+  timeseries <symbol> [--bucket hour|day] [--start date] [--end date] [--limit n]
+  topic <name> [--days n]           Topic sentiment and activity
+  ecosystem <name> [--limit n]      Coins in an ecosystem (default 15)
+  social <symbol> [--days n]        Social metrics with trends and anomalies
+  tier                              API tier, capabilities and rate limit budget
+  mcp [--http] [--port n] [--host h]
+                                    Serve the adapter as MCP tools over stdio, or HTTP (default port 3333)
+
+Options:
+  --format table|json|csv           Output format (default table)
+  --allow-mock                      Exit 0 even when mock data was served
+  --api-key <key>                   API key (default LUNARCRUSH_API_KEY, then the config file)
+  --config <file>                   Config file (default LUNARCRUSH_CONFIG, then ~/.lunarcrushrc)
+  -h, --help                        Show this help
+
+Exit codes: 0 success, 1 request failed, 2 usage or configuration error, 3 mock data served`;
+
+/**
+ * Raised for bad arguments or configuration; exits with the usage code
+ */
+class UsageError extends Error {}
+
+/**
+ * Format a number for people, with '-' for missing values
+ * @param {number|null} value - Number
+ * @param {number} [decimals=2] - Decimal places
+ * @returns {string} - Formatted number
+ */
+function human(value, decimals = 2) {
+  if (value === null || value === undefined) return '-';
+  if (Math.abs(value) > 0 && Math.abs(value) < 1) return value.toPrecision(4);
+  return helpers.formatNumber(value, decimals);
+}
+
+/**
+ * Format a percentage, with '-' for missing values
+ * @param {number|null} value - Percentage
+ * @returns {string} - Formatted percentage
+ */
+function percent(value) {
+  return value === null || value === undefined ? '-' : `${value.toFixed(2)}%`;
+}
+
+/**
+ * Format an epoch millisecond time, with '-' for missing values
+ * @param {number|null} value - Time
+ * @returns {string} - ISO time, or date only at midnight UTC
+ */
+function time(value) {
+  if (value === null || value === undefined) return '-';
+  const iso = new Date(value).toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.replace('.000Z', 'Z');
+}
+
+/**
+ * Format a value of a flattened object for people
+ * @param {string} field - Dotted field name
+ * @param {*} value - Value
+ * @returns {string} - Formatted value; times for fields ending in At, whole numbers below 1000 as is
+ */
+function fieldValue(field, value) {
+  if (value === null || value === undefined) return '-';
+  if (typeof value !== 'number') return String(value);
+  if (/At$/.test(field)) return time(value);
+  return Number.isInteger(value) && Math.abs(value) < 1e3 ? String(value) : human(value);
+}
+
+/**
+ * Table columns per dataset: [header, formatter]
+ */
+const TABLES = {
+  coins: [
+    ['Symbol', coin => coin.symbol || '-'],
+    ['Name', coin => coin.name || '-'],
+    ['Price', coin => human(coin.price)],
+    ['Market Cap', coin => human(coin.marketCap)],
+    ['24h', coin => percent(coin.percentChange24h)],
+    ['Galaxy', coin => human(coin.galaxyScore, 0)],
+    ['AltRank', coin => human(coin.altRank, 0)],
+    ['Sentiment', coin => percent(coin.sentiment)],
+    ['Social Vol', coin => human(coin.socialVolume)]
+  ],
+  timeSeries: [
+    ['Time', point => time(point.time)],
+    ['Price', point => human(point.price)],
+    ['Volume', point => human(point.volume)],
+    ['Galaxy', point => human(point.galaxyScore, 0)],
+    ['Sentiment', point => percent(point.sentiment)],
+    ['Social Vol', point => human(point.socialVolume)],
+    ['Interactions', point => human(point.interactions)]
+  ],
+  socialMetrics: [
+    ['Metric', row => row.metric],
+    ['Value', row => human(row.value)],
+    ['Previous', row => human(row.previous)],
+    ['Change', row => (row.changeType === 'percent' ? percent(row.change) : human(row.change))],
+    ['Trend', row => row.trend || '-'],
+    ['Z-Score', row => human(row.zScore)],
+    ['Points', row => String(row.points)]
+  ]
+};
+
+/**
+ * Commands: each returns { data, dataset, coin } where dataset picks the
+ * table and CSV layout (objects without one are printed as fields)
+ */
+const COMMANDS = {
+  coins: async (adapter, args, options) => {
+    if (args[0] !== 'list') throw new UsageError('Unknown coins command. Did you mean `coins list`?');
+    return { data: await adapter.getCoinsList(toInteger(options.limit, 'limit') || 20, { raw: false }), dataset: 'coins' };
+  },
+
+  coin: async (adapter, args) => ({
+    data: await adapter.getCoinData(requireArgument(args, 'symbol'), { raw: false }),
+    dataset: 'coins'
+  }),
+
+  timeseries: async (adapter, args, options) => {
+    const coin = requireArgument(args, 'symbol');
+    const data = await adapter.getTimeSeries(coin, {
+      bucket: options.bucket,
+      start: options.start,
+      end: options.end,
+      limit: toInteger(options.limit, 'limit'),
+      raw: false
+    });
+    return { data, dataset: 'timeSeries', coin: coin.toUpperCase() };
+  },
+
+  topic: async (adapter, args, options) => {
+    const topic = await adapter.getTopicSentiment(requireArgument(args, 'name'), toInteger(options.days, 'days') || 7, { raw: false });
+    const data = {
+      topic: topic.topic,
+      title: topic.title,
+      rank: topic.rank,
+      sentiment: topic.sentiment,
+      periodSentiment: topic.periodSentiment,
+      interactions24h: topic.interactions24h,
+      contributors: topic.contributors,
+      posts: topic.posts,
+      trend: topic.trend,
+      sentimentByNetwork: topic.sentimentByNetwork
+    };
+    if (isMockData(topic)) Object.defineProperty(data, 'meta', { value: topic.meta, enumerable: false });
+    return { data };
+  },
+
+  ecosystem: async (adapter, args, options) => ({
+    data: await adapter.getEcosystemCoins(requireArgument(args, 'name'), toInteger(options.limit, 'limit') || 15, { raw: false }),
+    dataset: 'coins'
+  }),
+
+  social: async (adapter, args, options) => {
+    const coin = requireArgument(args, 'symbol');
+    return {
+      data: await adapter.getSocialMetrics(coin, toInteger(options.days, 'days') || 7),
+      dataset: 'socialMetrics',
+      coin: coin.toUpperCase()
+    };
+  },
+
+  tier: async adapter => {
+    const status = await adapter.detectTier();
+    return { data: { ...status, rateLimit: adapter.getRateLimitStatus() } };
+  }
+};
+
+/**
+ * Get a positional argument or fail with a usage error
+ * @param {string[]} args - Positional arguments after the command
+ * @param {string} name - Argument name for the message
+ * @returns {string} - Argument
+ * @throws {UsageError} - When the argument is missing
+ */
+function requireArgument(args, name) {
+  if (!args[0]) throw new UsageError(`Missing <${name}>`);
+  return args[0];
+}
+
+/**
+ * Parse an optional positive integer option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name for the message
+ * @returns {number|undefined} - Integer, or undefined when not given
+ * @throws {UsageError} - When the value is not a positive integer
+ */
+function toInteger(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) throw new UsageError(`--${name} must be a positive integer`);
+  return number;
+}
+
+/**
+ * Read the config file
+ * A missing default file is fine; a missing file that was asked for is not
+ * @param {string|undefined} file - Config file from --config or LUNARCRUSH_CONFIG
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Adapter options from the file
+ * @throws {UsageError} - When the file can't be read or parsed
+ */
+function loadConfig(file, env) {
+  const explicit = Boolean(file);
+  const target = file || path.join(env.HOME || os.homedir(), '.lunarcrushrc');
+
+  let text;
+  try {
+    text = fs.readFileSync(target, 'utf8');
+  } catch (error) {
+    if (!explicit && error.code === 'ENOENT') return {};
+    throw new UsageError(`Cannot read config file ${target}: ${error.message}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Config file ${target} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Lay out rows as an aligned text table
+ * @param {Array<Object>} items - Items to show
+ * @param {Array<Array>} columns - [header, formatter] pairs
+ * @returns {string} - Table
+ */
+function renderTable(items, columns) {
+  const cells = [columns.map(([header]) => header), ...items.map(item => columns.map(([, format]) => format(item)))];
+  const widths = columns.map((_, index) => Math.max(...cells.map(row => row[index].length)));
+
+  return cells
+    .map(row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Flatten an object into [field, value] pairs with dotted names
+ * @param {Object} value - Object to flatten
+ * @param {string} [prefix] - Name prefix
+ * @returns {Array<Array>} - [field, value] pairs
+ */
+function flatten(value, prefix = '') {
+  const fields = [];
+
+  for (const [key, item] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      fields.push(...flatten(item, name));
+    } else {
+      fields.push([name, Array.isArray(item) ? item.join(' ') : item]);
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Render a command result in the requested format
+ * @param {Object} result - { data, dataset, coin } from a command
+ * @param {string} format - table, json or csv
+ * @param {Writable} stdout - Output stream
+ * @returns {Promise<void>}
+ */
+async function render(result, format, stdout) {
+  const { data, dataset, coin } = result;
+  const mock = isMockData(data);
+  const stale = isStaleData(data);
+
+  if (format === 'json') {
+    stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+    return;
+  }
+
+  if (format === 'csv') {
+    if (dataset) {
+      const writer = new exporter.ExportWriter(stdout, { dataset, format: 'csv' });
+      await writer.write(exporter.toRows(dataset, data, { coin, mock, stale }));
+      await writer.end();
+    } else {
+      const csv = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value));
+      const lines = flatten(data).map(([field, value]) => `${csv(field)},${value === null || value === undefined ? '' : csv(value)}`);
+      stdout.write(`field,value\n${lines.join('\n')}\n`);
+    }
+    return;
+  }
+
+  if (dataset === 'socialMetrics') {
+    stdout.write(`${renderTable(exporter.toRows(dataset, data, { coin }), TABLES.socialMetrics)}\n`);
+    stdout.write(`\n${coin} ${data.timeframe} (${data.window ? `${time(data.window.start)} to ${time(data.window.end)}` : '-'}), ` +
+      `confidence ${data.confidence.level} (${data.confidence.points}/${data.confidence.expectedPoints} points), ` +
+      `${data.anomalies.length} anomalies\n`);
+  } else if (dataset) {
+    stdout.write(`${renderTable(Array.isArray(data) ? data : [data], TABLES[dataset])}\n`);
+  } else {
+    const fields = flatten(data).map(([field, value]) => ({ field, value: fieldValue(field, value) }));
+    stdout.write(`${renderTable(fields, [['Field', row => row.field], ['Value', row => row.value]])}\n`);
+  }
+}
+
+/**
+ * Serve the adapter over MCP until stdin ends or the HTTP server closes
+ * @param {LunarCrushAdapter} adapter - Adapter
+ * @param {Object} options - Parsed options (http, port, host)
+ * @param {Object} io - Process hooks (stdin, stdout, stderr)
+ * @returns {Promise<void>}
+ */
+async function serveMcp(adapter, options, io) {
+  const server = new mcp.McpServer({ adapter });
+
+  if (!options.http) {
+    await mcp.serveStdio(server, { input: io.stdin || process.stdin, output: io.stdout || process.stdout });
+    return;
+  }
+
+  const port = options.port === '0' ? 0 : toInteger(options.port, 'port');
+  const httpServer = await mcp.serveHttp(server, { port, host: options.host });
+  const address = httpServer.address();
+  io.stderr.write(`LunarCrush MCP server listening on http://${address.address}:${address.port}/mcp\n`);
+  await new Promise(resolve => httpServer.once('close', resolve));
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {Object} [io] - Process hooks, for embedding and tests
+ * @param {Readable} [io.stdin=process.stdin] - Input stream (MCP over stdio)
+ * @param {Writable} [io.stdout=process.stdout] - Output stream
+ * @param {Writable} [io.stderr=process.stderr] - Error stream
+ * @param {Object} [io.env=process.env] - Environment variables
+ * @param {Function} [io.createAdapter] - Builds the adapter from its options
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const env = io.env || process.env;
+  const createAdapter = io.createAdapter || (options => new LunarCrushAdapter(options));
+
+  try {
+    const { values: options, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', default: 'table' },
+        'allow-mock': { type: 'boolean', default: false },
+        'api-key': { type: 'string' },
+        config: { type: 'string' },
+        limit: { type: 'string' },
+        days: { type: 'string' },
+        bucket: { type: 'string' },
+        start: { type: 'string' },
+        end: { type: 'string' },
+        http: { type: 'boolean', default: false },
+        port: { type: 'string' },
+        host: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+
+    const [command, ...args] = positionals;
+    if (options.help || !command) {
+      (options.help ? stdout : stderr).write(`${USAGE}\n`);
+      return options.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+
+    if (!COMMANDS[command] && command !== 'mcp') throw new UsageError(`Unknown command: ${command}`);
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+      throw new UsageError(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const config = loadConfig(options.config || env.LUNARCRUSH_CONFIG, env);
+    const apiKey = options['api-key'] || env.LUNARCRUSH_API_KEY || config.apiKey;
+    if (!apiKey && !(config.apiKeys && config.apiKeys.length > 0)) {
+      throw new UsageError('No LunarCrush API key. Set LUNARCRUSH_API_KEY, pass --api-key or add apiKey to ~/.lunarcrushrc');
+    }
+
+    const adapter = createAdapter({ ...config, ...(apiKey ? { apiKey } : {}) });
+    if (command === 'mcp') {
+      await serveMcp(adapter, options, { ...io, stderr });
+      return EXIT_CODES.ok;
+    }
+
+    const result = await COMMANDS[command](adapter, args, options);
+    await render(result, options.format, stdout);
+
+    if (isMockData(result.data) && !options['allow-mock']) {
+      stderr.write('The output above is LunarCrush mock data, not live data. Pass --allow-mock to accept it.\n');
+      return EXIT_CODES.mock;
+    }
+
+    return EXIT_CODES.ok;
+  } catch (error) {
+    const usage = error instanceof UsageError || error instanceof TypeError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+      (error instanceof LunarCrushError && error.code === 'CONFIGURATION_INVALID');
+    stderr.write(`lunarcrush: ${error.message}${error.code && !usage ? ` (${error.code})` : ''}\n`);
+    if (usage && !(error instanceof LunarCrushError)) stderr.write('Run `lunarcrush --help` for usage.\n');
+    return usage ? EXIT_CODES.usage : EXIT_CODES.error;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  run
+};
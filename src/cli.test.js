@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const { run, EXIT_CODES } = require('./cli');
+const { DATASETS } = require('./export');
+const { LunarCrushError, RateLimitExceededError } = require('./errors');
+
+const BTC = { symbol: 'BTC', name: 'Bitcoin', id: 1, price: 42000, marketCap: 8.2e11, percentChange24h: 1.5, galaxyScore: 70 };
+
+/**
+ * A writable stream that keeps what is written to it
+ * @returns {Writable} - Stream with a text() method
+ */
+function collector() {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  stream.text = () => Buffer.concat(chunks).toString('utf8');
+  return stream;
+}
+
+/**
+ * Mark a value as mock data the way the adapter does
+ * @param {Array|Object} value - Adapter result
+ * @returns {Array|Object} - The same value with a non-enumerable meta
+ */
+function asMock(value) {
+  Object.defineProperty(value, 'meta', { value: { using_mock_data: true }, enumerable: false });
+  return value;
+}
+
+describe('cli', () => {
+  let home;
+  let adapter;
+  let createAdapter;
+
+  /**
+   * Run the CLI against the fake adapter
+   * @param {string[]} argv - Arguments
+   * @param {Object} [env] - Environment variables (an API key and an empty home by default)
+   * @returns {Promise<Object>} - { code, stdout, stderr }
+   */
+  async function cli(argv, env = { LUNARCRUSH_API_KEY: 'env-key', HOME: home }) {
+    const stdout = collector();
+    const stderr = collector();
+    const code = await run(argv, { stdout, stderr, env, createAdapter });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+  }
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'lunarcrush-cli-'));
+    adapter = {
+      getCoinsList: jest.fn(async () => [BTC]),
+      getCoinData: jest.fn(async () => ({ ...BTC })),
+      getTimeSeries: jest.fn(async () => [{ time: 1704067200000, price: 42000 }, { time: 1704070800000, price: 42100 }])
+    };
+    createAdapter = jest.fn(() => adapter);
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  test('prints usage to stdout for --help and to stderr without a command', async () => {
+    const help = await cli(['-h']);
+    expect(help.code).toBe(EXIT_CODES.ok);
+    expect(help.stdout).toMatch(/^Usage: lunarcrush <command>/);
+
+    const bare = await cli([]);
+    expect(bare.code).toBe(EXIT_CODES.usage);
+    expect(bare.stderr).toMatch(/^Usage: lunarcrush <command>/);
+    expect(createAdapter).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    [['price', 'BTC'], /Unknown command: price/],
+    [['coin', 'BTC', '--verbose'], /Unknown option '--verbose'/],
+    [['coin', 'BTC', '--format', 'xml'], /--format must be one of table, json, csv/],
+    [['coins', 'top'], /Did you mean `coins list`/],
+    [['coin'], /Missing <symbol>/],
+    [['coins', 'list', '--limit', '2.5'], /--limit must be a positive integer/],
+    [['timeseries', 'BTC', '--limit', '0'], /--limit must be a positive integer/]
+  ])('exits with the usage code for %j', async (argv, message) => {
+    const { code, stderr } = await cli(argv);
+
+    expect(code).toBe(EXIT_CODES.usage);
+    expect(stderr).toMatch(message);
+    expect(stderr).toMatch(/Run `lunarcrush --help` for usage/);
+  });
+
+  test('passes parsed options to the adapter', async () => {
+    await cli(['coins', 'list', '--limit', '5']);
+    expect(adapter.getCoinsList).toHaveBeenCalledWith(5, { raw: false });
+
+    await cli(['coins', 'list']);
+    expect(adapter.getCoinsList).toHaveBeenLastCalledWith(20, { raw: false });
+
+    await cli(['timeseries', 'btc', '--bucket', 'day', '--start', '2024-01-01', '--end', '2024-02-01', '--limit', '10']);
+    expect(adapter.getTimeSeries).toHaveBeenCalledWith('btc', { bucket: 'day', start: '2024-01-01', end: '2024-02-01', limit: 10, raw: false });
+  });
+
+  test('takes the API key from --api-key, then the environment, then the config file', async () => {
+    const config = path.join(home, 'config.json');
+    fs.writeFileSync(config, JSON.stringify({ apiKey: 'file-key', cacheTTL: 1000 }));
+
+    await cli(['coin', 'BTC', '--api-key', 'flag-key', '--config', config]);
+    await cli(['coin', 'BTC', '--config', config]);
+    await cli(['coin', 'BTC'], { LUNARCRUSH_CONFIG: config, HOME: home });
+    fs.writeFileSync(path.join(home, '.lunarcrushrc'), JSON.stringify({ apiKeys: ['rc-key'] }));
+    await cli(['coin', 'BTC'], { HOME: home });
+
+    expect(createAdapter.mock.calls.map(([options]) => options)).toEqual([
+      { apiKey: 'flag-key', cacheTTL: 1000 },
+      { apiKey: 'env-key', cacheTTL: 1000 },
+      { apiKey: 'file-key', cacheTTL: 1000 },
+      { apiKeys: ['rc-key'] }
+    ]);
+  });
+
+  test('fails with the usage code without a key or with a bad config file', async () => {
+    expect((await cli(['coin', 'BTC'], { HOME: home })).stderr).toMatch(/No LunarCrush API key/);
+
+    const missing = await cli(['coin', 'BTC', '--config', path.join(home, 'missing.json')]);
+    expect(missing.code).toBe(EXIT_CODES.usage);
+    expect(missing.stderr).toMatch(/Cannot read config file/);
+
+    fs.writeFileSync(path.join(home, '.lunarcrushrc'), '{ apiKey: ');
+    const invalid = await cli(['coin', 'BTC']);
+    expect(invalid.code).toBe(EXIT_CODES.usage);
+    expect(invalid.stderr).toMatch(/is not valid JSON/);
+  });
+
+  test('renders tables, JSON and CSV', async () => {
+    const table = await cli(['coin', 'BTC']);
+    expect(table.code).toBe(EXIT_CODES.ok);
+    expect(table.stdout.split('\n')[0]).toMatch(/^Symbol\s+Name\s+Price\s+Market Cap/);
+    expect(table.stdout).toMatch(/BTC\s+Bitcoin\s+42\.00K\s+820\.00B\s+1\.50%\s+70/);
+
+    expect(JSON.parse((await cli(['coin', 'BTC', '--format', 'json'])).stdout)).toEqual(BTC);
+
+    const csv = (await cli(['timeseries', 'BTC', '--format', 'csv'])).stdout.trim().split('\n');
+    expect(csv[0]).toBe(DATASETS.timeSeries.map(({ name }) => name).join(','));
+    expect(csv[1]).toMatch(/^BTC,1704067200000,42000,/);
+  });
+
+  test('exits with the mock code when mock data was served, unless allowed', async () => {
+    adapter.getCoinsList.mockImplementation(async () => asMock([{ ...BTC }]));
+
+    const mock = await cli(['coins', 'list']);
+    expect(mock.code).toBe(EXIT_CODES.mock);
+    expect(mock.stdout).toMatch(/BTC/);
+    expect(mock.stderr).toMatch(/mock data, not live data/);
+
+    expect((await cli(['coins', 'list', '--allow-mock'])).code).toBe(EXIT_CODES.ok);
+  });
+
+  test('exits with the error code and the error code name when a request fails', async () => {
+    adapter.getCoinData.mockRejectedValue(new RateLimitExceededError());
+
+    const { code, stderr } = await cli(['coin', 'BTC']);
+    expect(code).toBe(EXIT_CODES.error);
+    expect(stderr).toMatch(/\(RATE_LIMIT_EXCEEDED\)\n$/);
+
+    adapter.getCoinData.mockRejectedValue(new LunarCrushError('Unknown coin: NOPE', { code: 'CONFIGURATION_INVALID' }));
+    const invalid = await cli(['coin', 'NOPE']);
+    expect(invalid.code).toBe(EXIT_CODES.usage);
+    expect(invalid.stderr).toBe('lunarcrush: Unknown coin: NOPE\n');
+  });
+});
@@ -0,0 +1,234 @@
+const { LunarCrushError } = require('./errors');
+const { FixtureNotFoundError } = require('./fixtures');
+
+const AMBIGUITY_MODES = ['error', 'top'];
+
+/**
+ * Raised when a coin identifier matches several coins
+ */
+class AmbiguousCoinError extends LunarCrushError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'CONFIGURATION_INVALID' });
+    this.input = details.input;
+    this.candidates = details.candidates || [];
+  }
+}
+
+/**
+ * Registry of LunarCrush coins by ID, symbol, name and alias
+ *
+ * The registry is filled from the coins list on first use and reloaded once
+ * it is older than its TTL. Identifiers it doesn't know are passed through,
+ * since LunarCrush itself accepts symbols and IDs.
+ */
+class CoinRegistry {
+  /**
+   * Create a new coin registry
+   * @param {Object} options - Configuration options
+   * @param {Function} options.load - Returns a promise of raw coins (a coins list payload)
+   * @param {number} [options.ttl=86400000] - How long a loaded list is used before reloading
+   * @param {number} [options.retryAfter=60000] - How long to wait before reloading after a failed load
+   * @param {Object<string, string|number>} [options.aliases] - Extra names for coins, mapped to a
+   *   symbol or ID, e.g. { 'render': 'RNDR' }
+   * @param {string} [options.ambiguity='error'] - 'error' (throw AmbiguousCoinError) or 'top'
+   *   (pick the candidate with the best market cap rank)
+   */
+  constructor(options = {}) {
+    this.load = options.load;
+    this.ttl = options.ttl || 24 * 60 * 60 * 1000; // 24 hours
+    this.retryAfter = options.retryAfter || 60 * 1000; // 1 minute
+    this.aliases = new Map();
+    this.ambiguity = options.ambiguity || 'error';
+    this.entries = [];
+    this.byId = new Map();
+    this.bySymbol = new Map();
+    this.byName = new Map();
+    this.loadedAt = 0;
+    this.nextLoadAt = 0;
+    this.loading = null;
+
+    if (!AMBIGUITY_MODES.includes(this.ambiguity)) {
+      throw new LunarCrushError(`Invalid ambiguity mode: ${this.ambiguity}. Expected one of ${AMBIGUITY_MODES.join(', ')}`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+
+    for (const [alias, target] of Object.entries(options.aliases || {})) {
+      this.addAlias(alias, target);
+    }
+  }
+
+  /**
+   * Add an alias for a coin
+   * @param {string} alias - Alias
+   * @param {string|number} target - Symbol or ID the alias stands for
+   */
+  addAlias(alias, target) {
+    this.aliases.set(CoinRegistry.normalizeName(alias), target);
+  }
+
+  /**
+   * Resolve a coin identifier to its registry entry
+   * @param {string|number|Object} coin - Symbol, name, numeric ID, alias, or a coin object with an id
+   * @returns {Promise<Object>} - { id, symbol, name, marketCapRank }; id is null and symbol is the
+   *   input as given (trimmed) when the coin is not in the registry
+   * @throws {AmbiguousCoinError} - When several coins match and ambiguity is 'error'
+   */
+  async resolve(coin) {
+    await this._ensureLoaded();
+    return this.lookup(coin);
+  }
+
+  /**
+   * Resolve a coin identifier against the entries loaded so far
+   * @param {string|number|Object} coin - Symbol, name, numeric ID, alias, or a coin object with an id
+   * @returns {Object} - Registry entry (see resolve)
+   * @throws {AmbiguousCoinError} - When several coins match and ambiguity is 'error'
+   */
+  lookup(coin) {
+    if (coin && typeof coin === 'object') {
+      return coin.id !== undefined && coin.id !== null ? this.lookup(coin.id) : this.lookup(coin.symbol);
+    }
+
+    const input = String(coin === undefined || coin === null ? '' : coin).trim();
+
+    if (/^\d+$/.test(input)) {
+      const entry = this.byId.get(Number(input));
+      return entry ? { ...entry } : { id: Number(input), symbol: null, name: null, marketCapRank: null };
+    }
+
+    const alias = this.aliases.get(CoinRegistry.normalizeName(input));
+    if (alias !== undefined && CoinRegistry.normalizeName(alias) !== CoinRegistry.normalizeName(input)) {
+      return this.lookup(alias);
+    }
+
+    // Symbols win over names, so 'LINK' never resolves to a coin named "Link"
+    const candidates = this.bySymbol.get(input.toUpperCase()) || this.byName.get(CoinRegistry.normalizeName(input)) || [];
+
+    if (candidates.length === 1) {
+      return { ...candidates[0] };
+    }
+
+    if (candidates.length > 1) {
+      if (this.ambiguity === 'top') {
+        return { ...candidates[0] };
+      }
+
+      const listed = candidates.map(candidate =>
+        `${candidate.symbol} "${candidate.name}" (id ${candidate.id}, rank ${candidate.marketCapRank || 'n/a'})`);
+      throw new AmbiguousCoinError(`Coin "${input}" matches ${candidates.length} coins: ${listed.join(', ')}. Pass the numeric ID instead.`, {
+        input,
+        candidates: candidates.map(candidate => ({ ...candidate }))
+      });
+    }
+
+    // Unknown coins go to LunarCrush as given; guessing a slug ('Render Token' -> 'rendertoken') hides the miss
+    return { id: null, symbol: input, name: null, marketCapRank: null };
+  }
+
+  /**
+   * Force a reload on the next resolve
+   */
+  invalidate() {
+    this.loadedAt = 0;
+    this.nextLoadAt = 0;
+  }
+
+  /**
+   * Number of coins in the registry
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Load the coin list when it is missing or expired; concurrent callers share one load
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _ensureLoaded() {
+    const now = Date.now();
+    if (now - this.loadedAt < this.ttl || now < this.nextLoadAt) return;
+
+    if (!this.loading) {
+      this.loading = this._load().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Load the coin list into the indexes
+   * A failed load keeps the previous entries and is retried after retryAfter
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _load() {
+    try {
+      const coins = await this.load();
+      this._index(Array.isArray(coins) ? coins : []);
+      this.loadedAt = Date.now();
+    } catch (error) {
+      if (error instanceof FixtureNotFoundError) {
+        throw error;
+      }
+
+      this.nextLoadAt = Date.now() + this.retryAfter;
+      console.warn(`Failed to load the LunarCrush coin registry: ${error.message}. Coin identifiers are passed through as given.`);
+    }
+  }
+
+  /**
+   * Rebuild the indexes from raw coins
+   * @private
+   * @param {Array} coins - Raw coins from a coins list payload
+   */
+  _index(coins) {
+    const entries = coins
+      .filter(coin => coin && (coin.id !== undefined || coin.symbol || coin.s))
+      .map(coin => ({
+        id: coin.id !== undefined && coin.id !== null ? Number(coin.id) : null,
+        symbol: String(coin.symbol || coin.s || '').toUpperCase() || null,
+        name: coin.name || coin.n || null,
+        marketCapRank: Number(coin.market_cap_rank || coin.rank || coin.r) || null
+      }))
+      .sort((a, b) => (a.marketCapRank || Number.MAX_SAFE_INTEGER) - (b.marketCapRank || Number.MAX_SAFE_INTEGER));
+
+    const byId = new Map();
+    const bySymbol = new Map();
+    const byName = new Map();
+    const add = (index, key, entry) => {
+      if (!key) return;
+      if (!index.has(key)) index.set(key, []);
+      if (!index.get(key).includes(entry)) index.get(key).push(entry);
+    };
+
+    for (const entry of entries) {
+      if (entry.id !== null) byId.set(entry.id, entry);
+      add(bySymbol, entry.symbol, entry);
+      add(byName, entry.name && CoinRegistry.normalizeName(entry.name), entry);
+    }
+
+    this.entries = entries;
+    this.byId = byId;
+    this.bySymbol = bySymbol;
+    this.byName = byName;
+  }
+
+  /**
+   * Normalize a coin name or alias for lookups: lowercase letters and digits only
+   * @param {string|number} name - Name
+   * @returns {string} - Lookup key
+   */
+  static normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '');
+  }
+}
+
+module.exports = {
+  CoinRegistry,
+  AmbiguousCoinError
+};
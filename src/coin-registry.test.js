@@ -0,0 +1,109 @@
+const { CoinRegistry, AmbiguousCoinError } = require('./coin-registry');
+
+const COINS = [
+  { id: 1, symbol: 'BTC', name: 'Bitcoin', market_cap_rank: 1 },
+  { id: 6, symbol: 'RNDR', name: 'Render Token', market_cap_rank: 42 },
+  { id: 9, symbol: 'LINK', name: 'Chainlink', market_cap_rank: 15 },
+  { id: 70, symbol: 'LINKX', name: 'Link', market_cap_rank: 900 },
+  { id: 20, s: 'pepe', n: 'Pepe', r: 30 },
+  { id: 31, symbol: 'USDC', name: 'USD Coin', market_cap_rank: 6 },
+  { id: 32, symbol: 'USDC', name: 'Bridged USD Coin', market_cap_rank: 400 }
+];
+
+/**
+ * Create a registry over a fixed coin list
+ * @param {Object} [options] - Registry options
+ * @returns {CoinRegistry} - Registry with a jest.fn load
+ */
+function createRegistry(options = {}) {
+  return new CoinRegistry({ load: jest.fn(async () => COINS), ...options });
+}
+
+describe('CoinRegistry', () => {
+  test('resolves symbols, names, IDs and coin objects to one entry', async () => {
+    const registry = createRegistry();
+    const rndr = { id: 6, symbol: 'RNDR', name: 'Render Token', marketCapRank: 42 };
+
+    expect(await registry.resolve('rndr')).toEqual(rndr);
+    expect(await registry.resolve('Render Token')).toEqual(rndr);
+    expect(await registry.resolve('render-token')).toEqual(rndr);
+    expect(await registry.resolve(6)).toEqual(rndr);
+    expect(await registry.resolve('6')).toEqual(rndr);
+    expect(await registry.resolve({ id: 6 })).toEqual(rndr);
+    expect(await registry.resolve('pepe')).toMatchObject({ id: 20, symbol: 'PEPE' });
+    expect(registry.size).toBe(COINS.length);
+  });
+
+  test('prefers symbols over names', async () => {
+    expect((await createRegistry().resolve('link')).id).toBe(9);
+  });
+
+  test('raises an ambiguity error listing the candidates, best rank first', async () => {
+    const error = await createRegistry().resolve('USDC').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AmbiguousCoinError);
+    expect(error.code).toBe('CONFIGURATION_INVALID');
+    expect(error.input).toBe('USDC');
+    expect(error.candidates.map(candidate => candidate.id)).toEqual([31, 32]);
+    expect(error.message).toMatch(/matches 2 coins: USDC "USD Coin" \(id 31, rank 6\), USDC "Bridged USD Coin" \(id 32, rank 400\)/);
+  });
+
+  test('picks the best ranked candidate with ambiguity top', async () => {
+    expect((await createRegistry({ ambiguity: 'top' }).resolve('USDC')).id).toBe(31);
+    expect(() => createRegistry({ ambiguity: 'first' })).toThrow(/Invalid ambiguity mode/);
+  });
+
+  test('follows aliases', async () => {
+    const registry = createRegistry({ aliases: { render: 'RNDR' } });
+    registry.addAlias('usd-coin', 31);
+
+    expect((await registry.resolve('Render')).id).toBe(6);
+    expect((await registry.resolve('usd coin')).id).toBe(31);
+  });
+
+  test('passes unknown identifiers through as given', async () => {
+    const registry = createRegistry();
+
+    expect(await registry.resolve(' New Coin ')).toEqual({ id: null, symbol: 'New Coin', name: null, marketCapRank: null });
+    expect(await registry.resolve(12345)).toEqual({ id: 12345, symbol: null, name: null, marketCapRank: null });
+  });
+
+  test('loads once, shares concurrent loads and reloads after its TTL', async () => {
+    jest.useFakeTimers();
+    try {
+      const registry = createRegistry({ ttl: 1000 });
+      await Promise.all([registry.resolve('BTC'), registry.resolve('ETH')]);
+      await registry.resolve('BTC');
+      expect(registry.load).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(1000);
+      await registry.resolve('BTC');
+      expect(registry.load).toHaveBeenCalledTimes(2);
+
+      registry.invalidate();
+      await registry.resolve('BTC');
+      expect(registry.load).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('passes identifiers through after a failed load and retries later', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const load = jest.fn().mockRejectedValueOnce(new Error('down')).mockResolvedValue(COINS);
+      const registry = new CoinRegistry({ load, retryAfter: 60 * 1000 });
+
+      expect(await registry.resolve('Bitcoin')).toMatchObject({ id: null, symbol: 'Bitcoin' });
+      expect(warn).toHaveBeenCalledWith(expect.stringMatching(/passed through as given/));
+
+      await registry.resolve('Bitcoin');
+      expect(load).toHaveBeenCalledTimes(1);
+
+      registry.invalidate();
+      expect((await registry.resolve('Bitcoin')).id).toBe(1);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
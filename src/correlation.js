@@ -0,0 +1,334 @@
+/**
+ * Correlation between time-series metrics: Pearson and Spearman coefficients,
+ * lead/lag scans, rolling correlation and cross-coin matrices
+ * @module correlation
+ */
+
+const { LunarCrushError } = require('./errors');
+const { BUCKETS, METRIC_FIELDS } = require('./time-series');
+
+const METHODS = ['pearson', 'spearman'];
+const TRANSFORMS = ['level', 'change'];
+
+// Fewer pairs than this leave a coefficient undefined
+const MIN_PAIRS = 4;
+
+/**
+ * Pearson correlation coefficient
+ * @param {number[]} xs - First values
+ * @param {number[]} ys - Second values, paired with xs
+ * @returns {number|null} - Coefficient in [-1, 1], or null without enough pairs or variation
+ */
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < MIN_PAIRS) return null;
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+}
+
+/**
+ * Rank values, giving tied values the average of their ranks
+ * @param {number[]} values - Values
+ * @returns {number[]} - Rank of each value (1-based)
+ */
+function rank(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+
+    const average = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].index] = average;
+    i = j + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation coefficient
+ * @param {number[]} xs - First values
+ * @param {number[]} ys - Second values, paired with xs
+ * @returns {number|null} - Coefficient in [-1, 1], or null without enough pairs or variation
+ */
+function spearman(xs, ys) {
+  return pearson(rank(xs), rank(ys));
+}
+
+/**
+ * Correlation coefficient by method
+ * @param {number[]} xs - First values
+ * @param {number[]} ys - Second values, paired with xs
+ * @param {string} [method='pearson'] - pearson or spearman
+ * @returns {number|null} - Coefficient, or null when undefined
+ */
+function coefficient(xs, ys, method = 'pearson') {
+  return method === 'spearman' ? spearman(xs, ys) : pearson(xs, ys);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26)
+ * @param {number} z - Standard score
+ * @returns {number} - P(Z <= z)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+    t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided p-value for a coefficient being non-zero, from the Fisher z-transform
+ * Spearman coefficients use the Fieller-Hartley-Pearson variance correction
+ * @param {number|null} r - Coefficient
+ * @param {number} n - Number of pairs
+ * @param {string} [method='pearson'] - pearson or spearman
+ * @returns {number|null} - p-value, or null when it can't be estimated
+ */
+function pValue(r, n, method = 'pearson') {
+  if (r === null || n < MIN_PAIRS) return null;
+  if (Math.abs(r) >= 1) return 0;
+
+  const standardError = Math.sqrt((method === 'spearman' ? 1.06 : 1) / (n - 3));
+  return 2 * (1 - normalCdf(Math.abs(Math.atanh(r)) / standardError));
+}
+
+/**
+ * Correlate paired values and estimate significance
+ * @param {number[]} xs - First values
+ * @param {number[]} ys - Second values, paired with xs
+ * @param {Object} [options] - Options
+ * @param {string} [options.method='pearson'] - pearson or spearman
+ * @param {number} [options.confidence=0.95] - Confidence level for `significant`
+ * @returns {Object} - { r, n, pValue, significant }
+ */
+function correlate(xs, ys, options = {}) {
+  const method = options.method || 'pearson';
+  const confidence = options.confidence || 0.95;
+  const r = coefficient(xs, ys, method);
+  const p = pValue(r, xs.length, method);
+
+  return {
+    r,
+    n: xs.length,
+    pValue: p,
+    significant: p !== null && p < 1 - confidence
+  };
+}
+
+/**
+ * Check a metric name, method, transform, lag and window
+ * @param {Object} options - { x, y, method, transform, maxLag, window } (any subset)
+ * @throws {LunarCrushError} - CONFIGURATION_INVALID when a metric, method or transform is not
+ *   supported, or maxLag or window is not a non-negative integer
+ */
+function checkOptions(options) {
+  for (const metric of [options.x, options.y]) {
+    if (metric !== undefined && !METRIC_FIELDS[metric]) {
+      throw new LunarCrushError(`Invalid metric: ${metric}. Expected one of ${Object.keys(METRIC_FIELDS).join(', ')}`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+  }
+
+  if (options.method !== undefined && !METHODS.includes(options.method)) {
+    throw new LunarCrushError(`Invalid correlation method: ${options.method}. Expected one of ${METHODS.join(', ')}`, {
+      code: 'CONFIGURATION_INVALID'
+    });
+  }
+
+  if (options.transform !== undefined && !TRANSFORMS.includes(options.transform)) {
+    throw new LunarCrushError(`Invalid transform: ${options.transform}. Expected one of ${TRANSFORMS.join(', ')}`, {
+      code: 'CONFIGURATION_INVALID'
+    });
+  }
+
+  for (const name of ['maxLag', 'window']) {
+    const value = options[name];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+      throw new LunarCrushError(`Invalid ${name}: ${value}. Expected a non-negative integer`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+  }
+}
+
+/**
+ * Read one metric from normalized points, keyed by time
+ * `change` turns values into percent changes from the previous bucket, which keeps
+ * two trending series from looking correlated just because both trend
+ * @param {Object[]} points - Normalized time-series points
+ * @param {string} metric - Metric name (see TimeSeriesPoint)
+ * @param {Object} [options] - Options
+ * @param {string} [options.transform='level'] - level or change
+ * @param {string} [options.bucket='day'] - Point spacing (hour or day)
+ * @returns {Map<number, number>} - Value per point time
+ */
+function toSeries(points, metric, options = {}) {
+  const levels = new Map();
+  for (const point of points) {
+    const value = point[metric];
+    if (value !== null && value !== undefined && Number.isFinite(value)) {
+      levels.set(point.time, value);
+    }
+  }
+
+  if (options.transform !== 'change') return levels;
+
+  const bucketMs = BUCKETS[options.bucket || 'day'];
+  const changes = new Map();
+  for (const [time, value] of levels) {
+    const previous = levels.get(time - bucketMs);
+    if (previous !== undefined && previous !== 0) {
+      changes.set(time, ((value - previous) / Math.abs(previous)) * 100);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Pair two series, shifting the second by a number of buckets
+ * With a positive lag, x at time t is paired with y at t + lag buckets (x leads y)
+ * @param {Map<number, number>} xSeries - First series by time
+ * @param {Map<number, number>} ySeries - Second series by time
+ * @param {number} lag - Shift in buckets
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @returns {Object} - { xs, ys, times } with times of the x values, oldest first
+ */
+function pair(xSeries, ySeries, lag, bucketMs) {
+  const times = [...xSeries.keys()].sort((a, b) => a - b);
+  const result = { xs: [], ys: [], times: [] };
+
+  for (const time of times) {
+    const y = ySeries.get(time + lag * bucketMs);
+    if (y === undefined) continue;
+    result.xs.push(xSeries.get(time));
+    result.ys.push(y);
+    result.times.push(time);
+  }
+
+  return result;
+}
+
+/**
+ * Correlate two metrics at every lag from -maxLag to maxLag
+ * @param {Map<number, number>} xSeries - First series by time
+ * @param {Map<number, number>} ySeries - Second series by time
+ * @param {Object} options - Options
+ * @param {number} options.maxLag - Largest shift, in buckets
+ * @param {number} options.bucketMs - Bucket size in milliseconds
+ * @param {string} [options.method='pearson'] - pearson or spearman
+ * @param {number} [options.confidence=0.95] - Confidence level for `significant`
+ * @returns {Object[]} - { lag, r, n, pValue, significant } per lag
+ */
+function scanLags(xSeries, ySeries, options) {
+  const results = [];
+
+  for (let lag = -options.maxLag; lag <= options.maxLag; lag++) {
+    const { xs, ys } = pair(xSeries, ySeries, lag, options.bucketMs);
+    results.push({ lag, ...correlate(xs, ys, options) });
+  }
+
+  return results;
+}
+
+/**
+ * Pick the lag with the strongest correlation
+ * @param {Object[]} lags - Results of scanLags
+ * @returns {Object|null} - Strongest result, preferring the smallest shift on ties
+ */
+function strongestLag(lags) {
+  return lags
+    .filter(result => result.r !== null)
+    .reduce((best, result) => {
+      if (!best) return result;
+      const difference = Math.abs(result.r) - Math.abs(best.r);
+      return difference > 1e-12 || (Math.abs(difference) <= 1e-12 && Math.abs(result.lag) < Math.abs(best.lag))
+        ? result
+        : best;
+    }, null);
+}
+
+/**
+ * Correlation over a sliding window of pairs
+ * @param {Object} pairs - Result of pair
+ * @param {number} window - Pairs per window
+ * @param {string} [method='pearson'] - pearson or spearman
+ * @returns {Object[]} - { time, r, n } for each window, keyed by the time of its last pair
+ */
+function rollingCorrelation(pairs, window, method = 'pearson') {
+  const results = [];
+
+  for (let end = window; end <= pairs.xs.length; end++) {
+    results.push({
+      time: pairs.times[end - 1],
+      r: coefficient(pairs.xs.slice(end - window, end), pairs.ys.slice(end - window, end), method),
+      n: window
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Correlate the same metric across several series
+ * @param {Map<number, number>[]} series - One series by time per member
+ * @param {Object} [options] - Options
+ * @param {string} [options.method='pearson'] - pearson or spearman
+ * @param {number} [options.confidence=0.95] - Confidence level for `significant`
+ * @returns {Object} - { matrix, pairs }; matrix[i][j] is the coefficient between members
+ *   i and j, pairs lists { i, j, r, n, pValue, significant } for i < j
+ */
+function correlationMatrix(series, options = {}) {
+  const matrix = series.map(() => series.map(() => null));
+  const pairs = [];
+
+  for (let i = 0; i < series.length; i++) {
+    matrix[i][i] = 1;
+
+    for (let j = i + 1; j < series.length; j++) {
+      const { xs, ys } = pair(series[i], series[j], 0, 0);
+      const result = correlate(xs, ys, options);
+      matrix[i][j] = result.r;
+      matrix[j][i] = result.r;
+      pairs.push({ i, j, ...result });
+    }
+  }
+
+  return { matrix, pairs };
+}
+
+module.exports = {
+  METHODS,
+  TRANSFORMS,
+  pearson,
+  spearman,
+  rank,
+  pValue,
+  correlate,
+  checkOptions,
+  toSeries,
+  pair,
+  scanLags,
+  strongestLag,
+  rollingCorrelation,
+  correlationMatrix
+};
@@ -0,0 +1,151 @@
+const correlation = require('./correlation');
+const { LunarCrushError } = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a series keyed by daily times
+ * @param {number[]} values - Values, oldest first
+ * @returns {Map<number, number>} - Series by time
+ */
+function series(values) {
+  return new Map(values.map((value, index) => [index * DAY, value]));
+}
+
+describe('coefficients', () => {
+  test('pearson measures linear correlation', () => {
+    expect(correlation.pearson([1, 2, 3, 4, 5], [2, 4, 6, 8, 10])).toBeCloseTo(1, 12);
+    expect(correlation.pearson([1, 2, 3, 4, 5], [10, 8, 6, 4, 2])).toBeCloseTo(-1, 12);
+    expect(correlation.pearson([1, 2, 3, 4, 5], [2, 1, 4, 3, 5])).toBeCloseTo(0.8, 12);
+  });
+
+  test('pearson is undefined without enough pairs or variation', () => {
+    expect(correlation.pearson([1, 2, 3], [1, 2, 3])).toBeNull();
+    expect(correlation.pearson([1, 2, 3, 4], [5, 5, 5, 5])).toBeNull();
+  });
+
+  test('rank averages ties', () => {
+    expect(correlation.rank([10, 30, 20, 30])).toEqual([1, 3.5, 2, 3.5]);
+  });
+
+  test('spearman sees monotonic relations pearson underrates', () => {
+    const xs = [1, 2, 3, 4, 5, 6];
+    const ys = xs.map(x => Math.exp(x));
+
+    expect(correlation.spearman(xs, ys)).toBeCloseTo(1, 12);
+    expect(correlation.pearson(xs, ys)).toBeLessThan(0.95);
+  });
+
+  test('correlate reports significance from the p-value', () => {
+    const xs = Array.from({ length: 30 }, (unused, index) => index);
+    const strong = correlation.correlate(xs, xs.map(x => x * 2 + (x % 3)));
+    const none = correlation.correlate([1, 2, 3, 4, 5, 6], [3, 1, 4, 1, 5, 9].map((y, index) => (index % 2 ? y : -y)));
+
+    expect(strong).toMatchObject({ n: 30, significant: true });
+    expect(strong.pValue).toBeLessThan(0.001);
+    expect(none.significant).toBe(false);
+    expect(correlation.correlate([1, 2], [1, 2])).toEqual({ r: null, n: 2, pValue: null, significant: false });
+  });
+});
+
+describe('checkOptions', () => {
+  test('accepts supported options', () => {
+    expect(() => correlation.checkOptions({
+      x: 'sentiment',
+      y: 'price',
+      method: 'spearman',
+      transform: 'level',
+      maxLag: 0,
+      window: 30
+    })).not.toThrow();
+  });
+
+  test('rejects unknown metrics, methods and transforms', () => {
+    for (const options of [{ x: 'mood' }, { y: 'mood' }, { method: 'kendall' }, { transform: 'log' }]) {
+      const error = (() => {
+        try {
+          correlation.checkOptions(options);
+        } catch (caught) {
+          return caught;
+        }
+        return null;
+      })();
+
+      expect(error).toBeInstanceOf(LunarCrushError);
+      expect(error.code).toBe('CONFIGURATION_INVALID');
+    }
+  });
+
+  test('rejects lags and windows that are not non-negative integers', () => {
+    for (const options of [{ maxLag: -1 }, { maxLag: 1.5 }, { window: '30' }, { window: NaN }]) {
+      expect(() => correlation.checkOptions(options)).toThrow(expect.objectContaining({ code: 'CONFIGURATION_INVALID' }));
+    }
+  });
+});
+
+describe('series', () => {
+  test('toSeries keeps finite values and computes percent changes between adjacent buckets', () => {
+    const points = [
+      { time: 0, price: 100 },
+      { time: DAY, price: 110 },
+      { time: 2 * DAY, price: null },
+      { time: 3 * DAY, price: 99 },
+      { time: 4 * DAY, price: 0 }
+    ];
+
+    expect([...correlation.toSeries(points, 'price').entries()]).toEqual([[0, 100], [DAY, 110], [3 * DAY, 99], [4 * DAY, 0]]);
+
+    const changes = correlation.toSeries(points, 'price', { transform: 'change' });
+    expect([...changes.keys()]).toEqual([DAY, 4 * DAY]);
+    expect(changes.get(DAY)).toBeCloseTo(10, 12);
+    expect(changes.get(4 * DAY)).toBeCloseTo(-100, 12);
+  });
+
+  test('pair shifts the second series by whole buckets', () => {
+    const pairs = correlation.pair(series([1, 2, 3, 4]), series([10, 20, 30, 40]), 1, DAY);
+
+    expect(pairs).toEqual({ xs: [1, 2, 3], ys: [20, 30, 40], times: [0, DAY, 2 * DAY] });
+  });
+
+  test('scanLags finds the lag at which x leads y', () => {
+    const xs = [5, 1, 8, 3, 9, 2, 7, 4, 6, 0, 8, 2, 5, 9, 1];
+    const ys = [0, 0, ...xs.slice(0, -2)];
+    const lags = correlation.scanLags(series(xs), series(ys), { maxLag: 3, bucketMs: DAY });
+
+    expect(lags.map(result => result.lag)).toEqual([-3, -2, -1, 0, 1, 2, 3]);
+    expect(correlation.strongestLag(lags)).toMatchObject({ lag: 2, n: 13 });
+    expect(correlation.strongestLag(lags).r).toBeCloseTo(1, 12);
+  });
+
+  test('strongestLag prefers the smallest shift on ties', () => {
+    expect(correlation.strongestLag([
+      { lag: -2, r: 0.5 },
+      { lag: 1, r: -0.5 },
+      { lag: 0, r: null }
+    ]).lag).toBe(1);
+    expect(correlation.strongestLag([{ lag: 0, r: null }])).toBeNull();
+  });
+
+  test('rollingCorrelation slides a window over the pairs', () => {
+    const pairs = correlation.pair(series([1, 2, 3, 4, 5, 6]), series([1, 2, 3, 4, 3, 2]), 0, DAY);
+    const rolling = correlation.rollingCorrelation(pairs, 4);
+
+    expect(rolling.map(result => result.time)).toEqual([3 * DAY, 4 * DAY, 5 * DAY]);
+    expect(rolling[0]).toMatchObject({ n: 4 });
+    expect(rolling[0].r).toBeCloseTo(1, 12);
+    expect(rolling[2].r).toBeCloseTo(-2 / Math.sqrt(10), 12);
+  });
+
+  test('correlationMatrix is symmetric with ones on the diagonal', () => {
+    const a = series([1, 2, 3, 4, 5]);
+    const b = series([2, 4, 6, 8, 10]);
+    const c = series([5, 4, 3, 2, 1]);
+    const { matrix, pairs } = correlation.correlationMatrix([a, b, c]);
+
+    expect(matrix[0][0]).toBe(1);
+    expect(matrix[0][1]).toBeCloseTo(1, 12);
+    expect(matrix[1][0]).toBe(matrix[0][1]);
+    expect(matrix[0][2]).toBeCloseTo(-1, 12);
+    expect(pairs.map(({ i, j }) => [i, j])).toEqual([[0, 1], [0, 2], [1, 2]]);
+  });
+});
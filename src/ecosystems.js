@@ -0,0 +1,137 @@
+/**
+ * Ecosystem definitions resolved to LunarCrush categories and coin symbols
+ * @module ecosystems
+ */
+
+const { LunarCrushError } = require('./errors');
+
+/**
+ * Built-in ecosystems
+ * A definition is one of:
+ * - a string: another ecosystem or a LunarCrush category it stands for
+ * - an array: explicit coin symbols
+ * - an object: { symbols, categories, match: 'any' | 'all', aliases }
+ */
+const DEFAULT_ECOSYSTEMS = {
+  'ai-agents': { categories: ['ai'] },
+  'defai': { categories: ['defi'] },
+  'solana': { categories: ['solana'], aliases: ['sol'] },
+  'ethereum': { categories: ['ethereum'], aliases: ['eth'] },
+  'bitcoin': { categories: ['bitcoin'], aliases: ['btc'] }
+};
+
+const MATCH_MODES = ['any', 'all'];
+
+/**
+ * Registry of ecosystem definitions
+ */
+class EcosystemRegistry {
+  /**
+   * Create a new ecosystem registry
+   * @param {Object<string, string|string[]|Object>} [definitions] - Definitions added to
+   *   (or replacing) the built-in ones
+   */
+  constructor(definitions = {}) {
+    this.definitions = new Map();
+    this.aliases = new Map();
+
+    for (const [name, definition] of Object.entries({ ...DEFAULT_ECOSYSTEMS, ...definitions })) {
+      this.define(name, definition);
+    }
+  }
+
+  /**
+   * Add or replace an ecosystem
+   * @param {string} name - Ecosystem name
+   * @param {string|string[]|Object} definition - Alias target, symbol list or
+   *   { symbols, categories, match, aliases }
+   * @throws {LunarCrushError} - When the definition is malformed
+   */
+  define(name, definition) {
+    const key = EcosystemRegistry.normalizeName(name);
+
+    if (typeof definition === 'string') {
+      this.definitions.set(key, { alias: EcosystemRegistry.normalizeName(definition) });
+      return;
+    }
+
+    const spec = Array.isArray(definition) ? { symbols: definition } : definition;
+    if (!spec || typeof spec !== 'object') {
+      throw new LunarCrushError(`Invalid definition for ecosystem ${name}`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+
+    const match = spec.match || 'any';
+    if (!MATCH_MODES.includes(match)) {
+      throw new LunarCrushError(`Invalid match mode for ecosystem ${name}: ${match}. Expected one of ${MATCH_MODES.join(', ')}`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+
+    this.definitions.set(key, {
+      symbols: (spec.symbols || []).map(symbol => String(symbol).toUpperCase()),
+      categories: (spec.categories || []).map(category => String(category).toLowerCase()),
+      match
+    });
+
+    for (const alias of spec.aliases || []) {
+      this.aliases.set(EcosystemRegistry.normalizeName(alias), key);
+    }
+  }
+
+  /**
+   * Resolve an ecosystem to the categories and symbols it covers
+   * Unknown names are treated as a LunarCrush category
+   * @param {string} name - Ecosystem name or alias
+   * @returns {Object} - { name, symbols, categories, match }
+   * @throws {LunarCrushError} - When aliases form a cycle
+   */
+  resolve(name) {
+    const seen = new Set();
+    let key = EcosystemRegistry.normalizeName(name);
+
+    for (;;) {
+      if (seen.has(key)) {
+        throw new LunarCrushError(`Ecosystem alias cycle: ${[...seen, key].join(' -> ')}`, {
+          code: 'CONFIGURATION_INVALID'
+        });
+      }
+      seen.add(key);
+
+      const definition = this.definitions.get(key);
+
+      if (definition && definition.alias) {
+        key = definition.alias;
+      } else if (definition) {
+        return { name: key, ...definition };
+      } else if (this.aliases.has(key)) {
+        key = this.aliases.get(key);
+      } else {
+        return { name: key, symbols: [], categories: [key], match: 'any' };
+      }
+    }
+  }
+
+  /**
+   * List the defined ecosystem names
+   * @returns {string[]} - Ecosystem names
+   */
+  list() {
+    return [...this.definitions.keys()];
+  }
+
+  /**
+   * Normalize an ecosystem, alias or category name
+   * @param {string} name - Name
+   * @returns {string} - Lowercase, trimmed name
+   */
+  static normalizeName(name) {
+    return String(name).trim().toLowerCase();
+  }
+}
+
+module.exports = {
+  DEFAULT_ECOSYSTEMS,
+  EcosystemRegistry
+};
@@ -0,0 +1,37 @@
+const { EcosystemRegistry, DEFAULT_ECOSYSTEMS } = require('./ecosystems');
+
+describe('EcosystemRegistry', () => {
+  test('starts with the built-in ecosystems', () => {
+    const registry = new EcosystemRegistry();
+
+    expect(registry.list()).toEqual(Object.keys(DEFAULT_ECOSYSTEMS));
+    expect(registry.resolve('ai-agents')).toEqual({ name: 'ai-agents', symbols: [], categories: ['ai'], match: 'any' });
+  });
+
+  test('resolves aliases, alias definitions and names in any case', () => {
+    const registry = new EcosystemRegistry({ agents: 'ai-agents' });
+
+    expect(registry.resolve(' SOL ').name).toBe('solana');
+    expect(registry.resolve('agents').name).toBe('ai-agents');
+  });
+
+  test('defines ecosystems from symbol lists and category combinations', () => {
+    const registry = new EcosystemRegistry({ majors: ['btc', 'eth'] });
+    registry.define('ai-defi', { categories: ['AI', 'DeFi'], match: 'all', aliases: ['defai-core'] });
+
+    expect(registry.resolve('majors')).toMatchObject({ symbols: ['BTC', 'ETH'], categories: [] });
+    expect(registry.resolve('defai-core')).toEqual({ name: 'ai-defi', symbols: [], categories: ['ai', 'defi'], match: 'all' });
+  });
+
+  test('treats unknown names as categories', () => {
+    expect(new EcosystemRegistry().resolve('Gaming')).toEqual({ name: 'gaming', symbols: [], categories: ['gaming'], match: 'any' });
+  });
+
+  test('rejects malformed definitions and alias cycles', () => {
+    const registry = new EcosystemRegistry({ a: 'b', b: 'a' });
+
+    expect(() => registry.resolve('a')).toThrow(expect.objectContaining({ code: 'CONFIGURATION_INVALID' }));
+    expect(() => registry.define('x', 42)).toThrow(/Invalid definition/);
+    expect(() => registry.define('x', { categories: ['ai'], match: 'most' })).toThrow(/Invalid match mode/);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * LunarCrush endpoint definitions shared by tier checks, caching,
+ * schema validation and mock routing
+ * @module endpoints
+ */
+
+/**
+ * Read an optional numeric query parameter, which arrives as a string from a URL
+ * @param {string|number|undefined} value - Parameter value
+ * @returns {number|undefined} - Number, or undefined when absent
+ */
+function toNumber(value) {
+  return value === undefined || value === null || value === '' ? undefined : Number(value);
+}
+
+/**
+ * Read the range query parameters of a series endpoint
+ * @param {Object} query - Query parameters
+ * @returns {Object} - { bucket, start, end, limit }
+ */
+function toRange(query) {
+  return {
+    bucket: query.bucket,
+    start: toNumber(query.start),
+    end: toNumber(query.end),
+    limit: toNumber(query.limit)
+  };
+}
+
+/**
+ * Known endpoints
+ * `tier` is the lowest API tier that can call the endpoint, `family` groups
+ * endpoints that share cache TTLs and schemas, and `mock` generates the
+ * endpoint's payload from a mock provider (see mock/data). The adapter's mock
+ * fallback and the stub server both use `mock`, so they always agree.
+ */
+const ENDPOINTS = {
+  coinsListV1: {
+    path: '/public/coins/list/v1',
+    tier: 'free',
+    family: 'coinsList',
+    mock: (provider, params, query) => provider.getCoinsListPage(query)
+  },
+  coinsListV2: {
+    path: '/public/coins/list/v2',
+    tier: 'paid',
+    family: 'coinsList',
+    mock: (provider, params, query) => provider.getCoinsListPage(query)
+  },
+  coin: {
+    path: '/public/coins/:coin/v1',
+    tier: 'paid',
+    family: 'coin',
+    mock: (provider, { coin }) => provider.getCoinData(coin)
+  },
+  timeSeries: {
+    path: '/public/coins/:coin/time-series/v2',
+    tier: 'paid',
+    family: 'timeSeries',
+    mock: (provider, { coin }, query) => provider.getTimeSeriesData(coin, toRange(query))
+  },
+  topic: {
+    path: '/public/topic/:topic/v1',
+    tier: 'free',
+    family: 'topic',
+    mock: (provider, { topic }) => provider.getTopicData(topic)
+  },
+  topicTimeSeries: {
+    path: '/public/topic/:topic/time-series/v1',
+    tier: 'free',
+    family: 'topicTimeSeries',
+    mock: (provider, { topic }, query) => provider.getTopicTimeSeries(topic, toRange(query))
+  },
+  topicCreators: {
+    path: '/public/topic/:topic/creators/v1',
+    tier: 'free',
+    family: 'topicCreators',
+    mock: (provider, { topic }) => provider.getTopicCreators(topic)
+  },
+  topicPosts: {
+    path: '/public/topic/:topic/posts/v1',
+    tier: 'free',
+    family: 'topicPosts',
+    mock: (provider, { topic }, query) => provider.getTopicPosts(topic, {
+      start: toNumber(query.start),
+      end: toNumber(query.end)
+    })
+  },
+  categories: {
+    path: '/public/categories/list/v1',
+    tier: 'free',
+    family: 'categories',
+    mock: provider => provider.getCategories()
+  }
+};
+
+/**
+ * Compile an endpoint path with :params into a regular expression
+ * @param {string} path - Endpoint path
+ * @returns {RegExp} - Pattern with one named group per param
+ */
+function compilePath(path) {
+  const pattern = path.replace(/:([^/]+)/g, '(?<$1>[^/]+)');
+  return new RegExp(`^${pattern}$`);
+}
+
+const ROUTES = Object.entries(ENDPOINTS).map(([name, definition]) => ({
+  name,
+  ...definition,
+  pattern: compilePath(definition.path)
+}));
+
+/**
+ * Match a concrete endpoint against the known endpoints
+ * @param {string} endpoint - API endpoint, e.g. /public/coins/BTC/v1
+ * @returns {Object|null} - { name, path, tier, family, params } or null when unknown
+ */
+function matchEndpoint(endpoint) {
+  for (const route of ROUTES) {
+    const match = route.pattern.exec(endpoint);
+    if (match) {
+      const params = {};
+      for (const [key, value] of Object.entries(match.groups || {})) {
+        params[key] = decodeURIComponent(value);
+      }
+
+      return {
+        name: route.name,
+        path: route.path,
+        tier: route.tier,
+        family: route.family,
+        params
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Generate the mock payload of a concrete endpoint
+ * @param {Object} provider - Mock data provider (see mock/data)
+ * @param {string} endpoint - API endpoint, e.g. /public/coins/BTC/v1
+ * @param {Object} [query] - Query parameters, as numbers or URL strings
+ * @returns {Array|Object|undefined} - Mock payload, or undefined when the endpoint is unknown
+ */
+function getMockData(provider, endpoint, query = {}) {
+  const route = matchEndpoint(endpoint);
+  return route ? ENDPOINTS[route.name].mock(provider, route.params, query) : undefined;
+}
+
+/**
+ * List endpoint paths available to a tier
+ * @param {string} tier - API tier (free or paid)
+ * @returns {string[]} - Endpoint paths
+ */
+function getEndpointPaths(tier) {
+  return ROUTES.filter(route => route.tier === tier).map(route => route.path);
+}
+
+module.exports = {
+  ENDPOINTS,
+  compilePath,
+  matchEndpoint,
+  getMockData,
+  getEndpointPaths
+};
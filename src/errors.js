@@ -0,0 +1,181 @@
+/**
+ * Error types raised by the LunarCrush adapter
+ * Codes follow the INTUE error codes documented in error-handling.md
+ */
+
+/**
+ * Base class for all LunarCrush adapter errors
+ */
+class LunarCrushError extends Error {
+  /**
+   * Create a new LunarCrush error
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.code] - INTUE error code
+   * @param {number} [details.status] - HTTP status code, if any
+   * @param {string} [details.endpoint] - API endpoint that failed
+   * @param {Object} [details.params] - Query parameters of the failed request
+   * @param {number} [details.retryAfter] - Milliseconds to wait before retrying
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = details.code || 'MARKET_DATA_UNAVAILABLE';
+    this.status = details.status || null;
+    this.endpoint = details.endpoint || null;
+    this.params = details.params || {};
+    this.retryAfter = details.retryAfter != null ? details.retryAfter : null;
+
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+}
+
+/**
+ * API key missing, invalid or expired (401/403)
+ */
+class AuthenticationFailedError extends LunarCrushError {
+  constructor(message = 'LunarCrush API key invalid or expired', details = {}) {
+    super(message, { ...details, code: 'AUTHENTICATION_FAILED' });
+  }
+}
+
+/**
+ * Endpoint requires a higher subscription tier (402)
+ */
+class SubscriptionRequiredError extends LunarCrushError {
+  constructor(message = 'LunarCrush API subscription required for this endpoint', details = {}) {
+    super(message, { ...details, code: 'INSUFFICIENT_PERMISSIONS' });
+  }
+}
+
+/**
+ * API rate limit exceeded (429)
+ */
+class RateLimitExceededError extends LunarCrushError {
+  constructor(message = 'LunarCrush API rate limit exceeded', details = {}) {
+    super(message, { ...details, code: 'RATE_LIMIT_EXCEEDED' });
+  }
+}
+
+/**
+ * Requested coin, topic or endpoint does not exist (404)
+ */
+class NotFoundError extends LunarCrushError {
+  constructor(message = 'LunarCrush resource not found', details = {}) {
+    super(message, { ...details, code: 'MARKET_DATA_UNAVAILABLE' });
+  }
+}
+
+/**
+ * Request never reached LunarCrush or got no response
+ */
+class NetworkError extends LunarCrushError {
+  constructor(message = 'Unable to reach the LunarCrush API', details = {}) {
+    super(message, { ...details, code: 'MARKET_DATA_UNAVAILABLE' });
+  }
+}
+
+/**
+ * Request to LunarCrush timed out
+ */
+class TimeoutError extends NetworkError {
+  constructor(message = 'LunarCrush API request timed out', details = {}) {
+    super(message, details);
+  }
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|number} value - Header value (seconds or HTTP date)
+ * @returns {number|null} - Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Work out how long to wait before retrying from LunarCrush response headers
+ * Prefers Retry-After, then the rate-limit reset headers
+ * @param {Object} [headers] - Response headers
+ * @returns {number|null} - Delay in milliseconds
+ */
+function getRetryAfter(headers = {}) {
+  const retryAfter = parseRetryAfter(headers['retry-after']);
+  if (retryAfter !== null) return retryAfter;
+
+  const reset = headers['x-ratelimit-reset'] || headers['x-rate-limit-reset'] || headers['ratelimit-reset'];
+  if (reset === undefined || reset === null || reset === '') return null;
+
+  const value = Number(reset);
+  if (Number.isNaN(value)) return parseRetryAfter(reset);
+
+  // Large values are epoch timestamps (seconds), small ones are deltas
+  return value > 1e9 ? Math.max(0, value * 1000 - Date.now()) : value * 1000;
+}
+
+/**
+ * Convert an axios error into the matching LunarCrush error
+ * @param {Error} error - Error thrown by axios
+ * @param {Object} context - Request context
+ * @param {string} context.endpoint - API endpoint
+ * @param {Object} [context.params] - Query parameters
+ * @returns {LunarCrushError} - Typed error
+ */
+function fromAxiosError(error, { endpoint, params } = {}) {
+  if (error instanceof LunarCrushError) return error;
+
+  const details = { endpoint, params, cause: error };
+
+  if (!error.response) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new TimeoutError(undefined, details);
+    }
+    return new NetworkError(`Unable to reach the LunarCrush API: ${error.message}`, details);
+  }
+
+  const { status, headers = {} } = error.response;
+  details.status = status;
+  details.retryAfter = getRetryAfter(headers);
+
+  switch (status) {
+    case 401:
+    case 403:
+      return new AuthenticationFailedError(undefined, details);
+    case 402:
+      return new SubscriptionRequiredError(undefined, details);
+    case 404:
+      return new NotFoundError(`LunarCrush resource not found: ${endpoint}`, details);
+    case 429:
+      return new RateLimitExceededError(undefined, details);
+    default:
+      return new LunarCrushError(`LunarCrush API request failed with status ${status}`, details);
+  }
+}
+
+module.exports = {
+  LunarCrushError,
+  AuthenticationFailedError,
+  SubscriptionRequiredError,
+  RateLimitExceededError,
+  NotFoundError,
+  NetworkError,
+  TimeoutError,
+  parseRetryAfter,
+  getRetryAfter,
+  fromAxiosError
+};
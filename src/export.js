@@ -0,0 +1,302 @@
+/**
+ * Export normalized adapter data to CSV, JSONL and a columnar JSON layout
+ *
+ * Every dataset has a fixed column order with a type and unit per column, and
+ * every row carries `mock` and `stale` columns. The columnar layout is a single
+ * JSON document (not Arrow IPC or Parquet) holding one array per column plus the
+ * schema, which loads into pyarrow (`pa.table(doc['columns'])`), pandas or DuckDB.
+ * It is built in memory and written at the end, so only CSV and JSONL stream.
+ * @module export
+ */
+
+const { METRIC_FIELDS } = require('./time-series');
+const { SOCIAL_METRICS } = require('./analytics');
+
+const FORMATS = ['csv', 'jsonl', 'columnar'];
+
+/**
+ * Units of time-series metrics and coin fields
+ */
+const UNITS = {
+  price: 'USD',
+  open: 'USD',
+  high: 'USD',
+  low: 'USD',
+  volume: 'USD',
+  volume24h: 'USD',
+  marketCap: 'USD',
+  marketCapRank: 'rank',
+  percentChange24h: 'percent',
+  percentChange7d: 'percent',
+  galaxyScore: 'score (0-100)',
+  altRank: 'rank',
+  sentiment: 'percent positive',
+  socialScore: 'score',
+  socialVolume: 'posts',
+  socialContributors: 'accounts',
+  socialDominance: 'percent',
+  interactions: 'interactions',
+  interactions24h: 'interactions',
+  engagement: 'interactions per post'
+};
+
+/**
+ * Build a column definition
+ * @param {string} name - Column name
+ * @param {string} type - string, number, integer, boolean or timestamp[ms]
+ * @returns {Object} - { name, type, unit }
+ */
+function column(name, type) {
+  return { name, type, unit: UNITS[name] || null };
+}
+
+/**
+ * Columns per dataset, in export order
+ */
+const DATASETS = {
+  coins: [
+    column('symbol', 'string'),
+    column('name', 'string'),
+    column('id', 'integer'),
+    ...['price', 'volume24h', 'marketCap', 'marketCapRank', 'percentChange24h', 'percentChange7d',
+      'galaxyScore', 'altRank', 'sentiment', 'socialScore', 'socialVolume', 'socialContributors',
+      'socialDominance', 'interactions24h'].map(name => column(name, 'number')),
+    column('mock', 'boolean'),
+    column('stale', 'boolean')
+  ],
+  timeSeries: [
+    column('coin', 'string'),
+    column('time', 'timestamp[ms]'),
+    ...Object.keys(METRIC_FIELDS).map(name => column(name, 'number')),
+    column('mock', 'boolean'),
+    column('stale', 'boolean')
+  ],
+  socialMetrics: [
+    column('coin', 'string'),
+    column('windowStart', 'timestamp[ms]'),
+    column('windowEnd', 'timestamp[ms]'),
+    column('bucket', 'string'),
+    column('metric', 'string'),
+    column('unit', 'string'),
+    column('value', 'number'),
+    column('previous', 'number'),
+    column('change', 'number'),
+    column('changeType', 'string'),
+    column('trend', 'string'),
+    column('movingAverage', 'number'),
+    column('zScore', 'number'),
+    column('points', 'integer'),
+    column('previousPoints', 'integer'),
+    column('anomalies', 'integer'),
+    column('confidence', 'number'),
+    column('mock', 'boolean'),
+    column('stale', 'boolean')
+  ]
+};
+
+/**
+ * Convert normalized adapter data to rows in column order
+ * @param {string} dataset - coins, timeSeries or socialMetrics
+ * @param {Coin[]|TimeSeriesPoint[]|Object} data - getCoinsList, getTimeSeries or getSocialMetrics output
+ * @param {Object} [context] - Values shared by every row
+ * @param {string} [context.coin] - Coin the data belongs to (time series and social metrics)
+ * @param {boolean} [context.mock=false] - Whether the data is mock data
+ * @param {boolean} [context.stale=false] - Whether the data is stale cached data served after a failure
+ * @returns {Array<Object>} - Rows
+ * @throws {TypeError} - When the dataset is unknown
+ */
+function toRows(dataset, data, context = {}) {
+  const columns = getColumns(dataset);
+  const flags = { mock: Boolean(context.mock), stale: Boolean(context.stale) };
+  let records;
+
+  if (dataset === 'socialMetrics') {
+    const anomalies = data.anomalies || [];
+    records = Object.keys(SOCIAL_METRICS)
+      .filter(metric => data[metric])
+      .map(metric => ({
+        ...data[metric],
+        coin: context.coin !== undefined ? context.coin : data.coin,
+        windowStart: data[metric].window.start,
+        windowEnd: data[metric].window.end,
+        bucket: data.bucket,
+        metric,
+        unit: UNITS[metric],
+        anomalies: anomalies.filter(anomaly => anomaly.metric === metric).length,
+        confidence: data.confidence ? data.confidence.score : null
+      }));
+  } else {
+    records = (Array.isArray(data) ? data : [data]).map(item => ({ coin: context.coin, ...item }));
+  }
+
+  return records.map(record => {
+    const row = {};
+    for (const { name } of columns) {
+      const value = name in flags ? flags[name] : record[name];
+      row[name] = value === undefined ? null : value;
+    }
+    return row;
+  });
+}
+
+/**
+ * Get the columns of a dataset
+ * @param {string} dataset - coins, timeSeries or socialMetrics
+ * @returns {Array<Object>} - { name, type, unit } per column
+ * @throws {TypeError} - When the dataset is unknown
+ */
+function getColumns(dataset) {
+  const columns = DATASETS[dataset];
+  if (!columns) {
+    throw new TypeError(`Invalid dataset: ${dataset}. Expected one of ${Object.keys(DATASETS).join(', ')}`);
+  }
+  return columns;
+}
+
+/**
+ * Check an export's dataset and format
+ * @param {Object} options - { dataset, format }
+ * @throws {TypeError} - When the dataset or format is unknown
+ */
+function checkExport(options) {
+  getColumns(options.dataset);
+
+  const format = options.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    throw new TypeError(`Invalid export format: ${format}. Expected one of ${FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} - CSV field; null becomes an empty field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Streams rows of one dataset to a writable stream
+ *
+ * CSV and JSONL rows are written as they come, waiting for the stream to drain.
+ * The columnar layout is a single JSON document, so every column is held in
+ * memory until end() and nothing is written before then.
+ */
+class ExportWriter {
+  /**
+   * Create a new export writer
+   * @param {Writable} output - Stream to write to
+   * @param {Object} options - Export options
+   * @param {string} options.dataset - coins, timeSeries or socialMetrics
+   * @param {string} [options.format='csv'] - csv, jsonl or columnar
+   * @throws {TypeError} - When the dataset or format is unknown
+   */
+  constructor(output, options) {
+    checkExport(options);
+
+    this.output = output;
+    this.dataset = options.dataset;
+    this.format = options.format || 'csv';
+    this.columns = getColumns(this.dataset);
+    this.rows = 0;
+    this.mock = false;
+    this.stale = false;
+    this.headerWritten = false;
+    this.data = null;
+    this.error = null;
+
+    output.on('error', error => {
+      this.error = error;
+    });
+
+    if (this.format === 'columnar') {
+      this.data = Object.fromEntries(this.columns.map(({ name }) => [name, []]));
+    }
+  }
+
+  /**
+   * Write rows
+   * @param {Array<Object>} rows - Rows from toRows
+   * @returns {Promise<void>}
+   */
+  async write(rows) {
+    for (const row of rows) {
+      this.rows++;
+      this.mock = this.mock || row.mock === true;
+      this.stale = this.stale || row.stale === true;
+
+      if (this.format === 'columnar') {
+        for (const { name } of this.columns) this.data[name].push(row[name]);
+      } else if (this.format === 'jsonl') {
+        await this._write(`${JSON.stringify(row)}\n`);
+      } else {
+        if (!this.headerWritten) {
+          this.headerWritten = true;
+          await this._write(`${this.columns.map(({ name }) => name).join(',')}\n`);
+        }
+        await this._write(`${this.columns.map(({ name }) => csvField(row[name])).join(',')}\n`);
+      }
+    }
+  }
+
+  /**
+   * Finish the export, writing the columnar document or a lone CSV header
+   * The output stream itself is left open
+   * @param {Object} [metadata] - Extra metadata for the columnar document
+   * @returns {Promise<Object>} - { dataset, format, rows, mock, stale }
+   */
+  async end(metadata = {}) {
+    if (this.format === 'columnar') {
+      await this._write(JSON.stringify({
+        format: 'columnar',
+        dataset: this.dataset,
+        schema: this.columns,
+        metadata: { rows: this.rows, mock: this.mock, stale: this.stale, generatedAt: new Date().toISOString(), ...metadata },
+        columns: this.data
+      }));
+    } else if (this.format === 'csv' && !this.headerWritten) {
+      this.headerWritten = true;
+      await this._write(`${this.columns.map(({ name }) => name).join(',')}\n`);
+    }
+
+    return { dataset: this.dataset, format: this.format, rows: this.rows, mock: this.mock, stale: this.stale };
+  }
+
+  /**
+   * Write a chunk, waiting for the stream to drain when its buffer is full
+   * @private
+   * @param {string} chunk - Text to write
+   * @returns {Promise<void>}
+   */
+  _write(chunk) {
+    if (this.error) return Promise.reject(this.error);
+    if (this.output.write(chunk)) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        this.output.off('error', onError);
+        resolve();
+      };
+      const onError = error => {
+        this.output.off('drain', onDrain);
+        reject(error);
+      };
+      this.output.once('drain', onDrain);
+      this.output.once('error', onError);
+    });
+  }
+}
+
+module.exports = {
+  FORMATS,
+  DATASETS,
+  UNITS,
+  getColumns,
+  checkExport,
+  toRows,
+  ExportWriter
+};
@@ -0,0 +1,112 @@
+const { PassThrough } = require('stream');
+const { DATASETS, toRows, checkExport, ExportWriter } = require('./export');
+
+/**
+ * Export rows to a string
+ * @param {Object} options - Export options (dataset, format)
+ * @param {Array<Array<Object>>} batches - Rows passed to each write
+ * @returns {Promise<Object>} - { text, summary }
+ */
+async function exportRows(options, batches) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const writer = new ExportWriter(output, options);
+  for (const rows of batches) await writer.write(rows);
+  const summary = await writer.end();
+
+  return { text: Buffer.concat(chunks).toString('utf8'), summary };
+}
+
+const names = dataset => DATASETS[dataset].map(({ name }) => name);
+
+const POINTS = [
+  { time: 1704067200000, price: 42000.5, galaxyScore: 70, extra: 'dropped' },
+  { time: 1704070800000, price: 42100, sentiment: 81 }
+];
+
+describe('export', () => {
+  test('ends every dataset with the mock and stale columns', () => {
+    for (const dataset of Object.keys(DATASETS)) {
+      expect(names(dataset).slice(-2)).toEqual(['mock', 'stale']);
+    }
+    expect(names('timeSeries').slice(0, 4)).toEqual(['coin', 'time', 'price', 'open']);
+  });
+
+  test('builds rows in column order, filling missing fields with null', () => {
+    const rows = toRows('timeSeries', POINTS, { coin: 'BTC', stale: true });
+
+    expect(Object.keys(rows[0])).toEqual(names('timeSeries'));
+    expect(rows[0]).toMatchObject({ coin: 'BTC', time: 1704067200000, price: 42000.5, open: null, mock: false, stale: true });
+    expect(rows[0]).not.toHaveProperty('extra');
+  });
+
+  test('turns social metrics into one row per metric', () => {
+    const window = { start: 1704067200000, end: 1704672000000 };
+    const rows = toRows('socialMetrics', {
+      bucket: 'day',
+      sentiment: { window, value: 72, previous: 70, change: 2, changeType: 'difference' },
+      socialVolume: { window, value: 1200, previous: 1000, change: 20, changeType: 'percent' },
+      anomalies: [{ metric: 'socialVolume' }, { metric: 'socialVolume' }],
+      confidence: { score: 0.9 }
+    }, { coin: 'ETH', mock: true });
+
+    expect(rows.map(row => [row.metric, row.unit, row.value, row.anomalies])).toEqual([
+      ['sentiment', 'percent positive', 72, 0],
+      ['socialVolume', 'posts', 1200, 2]
+    ]);
+    expect(rows[1]).toMatchObject({ coin: 'ETH', windowStart: window.start, windowEnd: window.end, confidence: 0.9, mock: true, stale: false });
+  });
+
+  test('writes CSV with a header in column order and quoted fields', async () => {
+    const { text, summary } = await exportRows({ dataset: 'coins' }, [
+      toRows('coins', [{ symbol: 'BTC', name: 'Bitcoin, "digital gold"', id: 1, price: 42000 }]),
+      toRows('coins', [{ symbol: 'ETH', name: 'Ethereum', id: 2 }], { stale: true })
+    ]);
+    const [header, btc, eth, end] = text.split('\n');
+
+    expect(header).toBe(names('coins').join(','));
+    expect(btc).toBe(`BTC,"Bitcoin, ""digital gold""",1,42000${','.repeat(13)},false,false`);
+    expect(eth.endsWith(',false,true')).toBe(true);
+    expect(end).toBe('');
+    expect(summary).toEqual({ dataset: 'coins', format: 'csv', rows: 2, mock: false, stale: true });
+  });
+
+  test('writes a lone CSV header when there are no rows', async () => {
+    expect((await exportRows({ dataset: 'timeSeries' }, [])).text).toBe(`${names('timeSeries').join(',')}\n`);
+  });
+
+  test('writes one JSON object per line with JSONL', async () => {
+    const { text } = await exportRows({ dataset: 'timeSeries', format: 'jsonl' }, [toRows('timeSeries', POINTS, { coin: 'BTC' })]);
+    const lines = text.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(lines).toHaveLength(2);
+    expect(Object.keys(lines[1])).toEqual(names('timeSeries'));
+  });
+
+  test('writes the columnar document only at the end, with its schema and flags', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const writer = new ExportWriter(output, { dataset: 'timeSeries', format: 'columnar' });
+
+    await writer.write(toRows('timeSeries', POINTS, { coin: 'BTC', mock: true }));
+    expect(chunks).toEqual([]);
+
+    await writer.end({ failed: [] });
+    const doc = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+
+    expect(doc).toMatchObject({ format: 'columnar', dataset: 'timeSeries', schema: DATASETS.timeSeries });
+    expect(doc.metadata).toMatchObject({ rows: 2, mock: true, stale: false, failed: [] });
+    expect(Object.keys(doc.columns)).toEqual(names('timeSeries'));
+    expect(doc.columns.price).toEqual([42000.5, 42100]);
+    expect(doc.columns.open).toEqual([null, null]);
+  });
+
+  test('rejects unknown datasets and formats', () => {
+    expect(() => checkExport({ dataset: 'posts' })).toThrow(/Invalid dataset: posts/);
+    expect(() => checkExport({ dataset: 'coins', format: 'parquet' })).toThrow(/Invalid export format: parquet/);
+    expect(() => toRows('posts', [])).toThrow(TypeError);
+  });
+});
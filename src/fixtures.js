@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { LunarCrushError } = require('./errors');
+const helpers = require('../utils/helpers');
+
+// Response headers worth keeping in fixtures
+const RECORDED_HEADERS = [
+  'content-type',
+  'retry-after',
+  'x-ratelimit-limit',
+  'x-ratelimit-remaining',
+  'x-ratelimit-reset',
+  'x-rate-limit-reset',
+  'ratelimit-reset'
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Raised in replay mode when no fixture was recorded for a request
+ */
+class FixtureNotFoundError extends LunarCrushError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'CONFIGURATION_INVALID' });
+    this.fixturePath = details.fixturePath || null;
+  }
+}
+
+/**
+ * Stores recorded LunarCrush responses on disk, keyed by endpoint and canonical params
+ */
+class FixtureStore {
+  /**
+   * Create a new fixture store
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.dir='fixtures/lunarcrush'] - Fixture directory
+   * @param {string[]} [options.secrets] - Values to scrub from recorded fixtures (API keys)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join('fixtures', 'lunarcrush');
+    this.secrets = (options.secrets || []).filter(Boolean);
+  }
+
+  /**
+   * Get the fixture file for a request
+   * @param {string} endpoint - API endpoint
+   * @param {Object} [params] - Query parameters
+   * @returns {string} - Fixture file path
+   */
+  getPath(endpoint, params = {}) {
+    const folder = endpoint.replace(/^\/+/, '').split('/').map(encodeURIComponent).join(path.sep);
+    const hash = crypto.createHash('sha1').update(helpers.stableStringify(params)).digest('hex').slice(0, 12);
+    return path.join(this.dir, folder, `${hash}.json`);
+  }
+
+  /**
+   * Save a response (successful or not) for a request
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @param {Object} response - Response ({ status, headers, data })
+   */
+  save(endpoint, params, response) {
+    const headers = {};
+    for (const name of RECORDED_HEADERS) {
+      if (response.headers && response.headers[name] !== undefined) {
+        headers[name] = response.headers[name];
+      }
+    }
+
+    const fixture = this._scrub({
+      endpoint,
+      params,
+      recordedAt: new Date().toISOString(),
+      status: response.status,
+      headers,
+      data: response.data
+    });
+
+    const file = this.getPath(endpoint, params);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+
+  /**
+   * Load the recorded response for a request
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @returns {Object} - Fixture ({ endpoint, params, status, headers, data })
+   * @throws {FixtureNotFoundError} - When nothing was recorded for the request
+   */
+  load(endpoint, params) {
+    const file = this.getPath(endpoint, params);
+
+    if (!fs.existsSync(file)) {
+      throw new FixtureNotFoundError(
+        `No LunarCrush fixture recorded for ${endpoint} ${helpers.stableStringify(params)} (expected ${file}). ` +
+        'Run in record mode to capture it.',
+        { endpoint, params, fixturePath: file }
+      );
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Replace every secret in a fixture
+   * @private
+   * @param {Object} fixture - Fixture to scrub
+   * @returns {Object} - Scrubbed fixture
+   */
+  _scrub(fixture) {
+    let json = JSON.stringify(fixture);
+    for (const secret of this.secrets) {
+      json = json.split(secret).join(REDACTED);
+    }
+    return JSON.parse(json);
+  }
+}
+
+module.exports = {
+  FixtureStore,
+  FixtureNotFoundError
+};
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LunarCrushAdapter = require('./index');
+const { FixtureStore, FixtureNotFoundError } = require('./fixtures');
+const StubServer = require('../mock/server');
+
+const API_KEY = 'secret-paid-key';
+
+/**
+ * List every file under a directory
+ * @param {string} dir - Directory
+ * @returns {string[]} - File paths
+ */
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => (entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name))
+    : [path.join(dir, entry.name)]));
+}
+
+describe('FixtureStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunarcrush-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keys fixtures by endpoint and params, whatever their order', () => {
+    const store = new FixtureStore({ dir });
+
+    expect(store.getPath('/public/coins/list/v2', { limit: 10, sort: 'rank' }))
+      .toBe(store.getPath('/public/coins/list/v2', { sort: 'rank', limit: 10 }));
+    expect(store.getPath('/public/coins/list/v2', { limit: 10 }))
+      .not.toBe(store.getPath('/public/coins/list/v2', { limit: 20 }));
+  });
+
+  test('saves responses without secrets or unlisted headers', () => {
+    const store = new FixtureStore({ dir, secrets: [API_KEY] });
+    store.save('/public/topic/bitcoin/v1', { key: API_KEY }, {
+      status: 429,
+      headers: { 'retry-after': '5', 'set-cookie': 'session' },
+      data: { error: `bad key ${API_KEY}` }
+    });
+
+    const fixture = store.load('/public/topic/bitcoin/v1', { key: API_KEY });
+    expect(fixture).toMatchObject({
+      endpoint: '/public/topic/bitcoin/v1',
+      params: { key: '[REDACTED]' },
+      status: 429,
+      headers: { 'retry-after': '5' },
+      data: { error: 'bad key [REDACTED]' }
+    });
+    expect(fixture.headers['set-cookie']).toBeUndefined();
+  });
+
+  test('throws FixtureNotFoundError for unrecorded requests', () => {
+    const store = new FixtureStore({ dir });
+
+    expect(() => store.load('/public/coins/1/v1', {})).toThrow(FixtureNotFoundError);
+  });
+});
+
+describe('record and replay', () => {
+  const stub = new StubServer({ keys: { [API_KEY]: 'paid' } });
+  let baseUrl;
+  let fixtureDir;
+
+  beforeAll(async () => {
+    baseUrl = await stub.start();
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunarcrush-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  test('replays recorded responses without the network', async () => {
+    const recorder = new LunarCrushAdapter({ apiKey: API_KEY, baseUrl, mode: 'record', fixtureDir });
+    const coins = await recorder.getCoinsList(10);
+    const eth = await recorder.getCoinData('ETH');
+    const topic = await recorder.getTopicSentiment('ethereum', 7);
+
+    const requests = stub.requestLog.length;
+    // Nothing listens on port 1, so any live request would fail
+    const replayer = new LunarCrushAdapter({ apiKey: API_KEY, baseUrl: 'http://127.0.0.1:1', mode: 'replay', fixtureDir });
+
+    expect(await replayer.getCoinsList(10)).toEqual(coins);
+    expect(await replayer.getCoinData('ETH')).toEqual(eth);
+    expect(await replayer.getTopicSentiment('ethereum', 7)).toEqual(topic);
+    expect(stub.requestLog.length).toBe(requests);
+  });
+
+  test('never writes the API key to fixtures', async () => {
+    const recorder = new LunarCrushAdapter({ apiKey: API_KEY, baseUrl, mode: 'record', fixtureDir });
+    await recorder.getCoinsList(10);
+
+    const files = listFiles(fixtureDir);
+    expect(files.length).toBeGreaterThan(0);
+    for (const file of files) {
+      expect(fs.readFileSync(file, 'utf8')).not.toContain(API_KEY);
+    }
+  });
+
+  test('fails loudly on requests that were not recorded', async () => {
+    const recorder = new LunarCrushAdapter({ apiKey: API_KEY, baseUrl, mode: 'record', fixtureDir });
+    await recorder.getCoinData('ETH');
+
+    const replayer = new LunarCrushAdapter({ apiKey: API_KEY, baseUrl: 'http://127.0.0.1:1', mode: 'replay', fixtureDir });
+    await expect(replayer.getCoinData('SOL')).rejects.toBeInstanceOf(FixtureNotFoundError);
+  });
+});
@@ -0,0 +1,141 @@
+const axios = require('axios');
+const { LunarCrushError } = require('./errors');
+const { FixtureStore } = require('./fixtures');
+
+const MODES = ['live', 'record', 'replay'];
+
+const DEFAULT_BASE_URL = 'https://lunarcrush.com/api4';
+
+const DEFAULT_TIMEOUT = 30 * 1000; // 30 seconds
+
+/**
+ * HTTP client for the LunarCrush API with record/replay support
+ * In record mode every response is saved as a fixture; in replay mode
+ * fixtures are served instead of calling the network
+ */
+class HttpClient {
+  /**
+   * Create a new HTTP client
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.apiKey] - LunarCrush API key
+   * @param {string} [options.baseUrl] - API base URL (defaults to the public LunarCrush API)
+   * @param {string} [options.mode='live'] - live, record or replay
+   * @param {string} [options.fixtureDir] - Directory for recorded fixtures
+   * @param {string[]} [options.secrets] - Extra values to scrub from fixtures (other API keys)
+   * @param {number} [options.timeout=30000] - Milliseconds before a request is abandoned
+   *   (0 disables the timeout); timeouts reject with code ECONNABORTED or ETIMEDOUT
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey;
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.mode = options.mode || 'live';
+    this.timeout = options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT;
+
+    if (!Number.isFinite(this.timeout) || this.timeout < 0) {
+      throw new LunarCrushError(`Invalid timeout: ${this.timeout}. Expected milliseconds, or 0 for none`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+
+    if (!MODES.includes(this.mode)) {
+      throw new LunarCrushError(`Invalid mode: ${this.mode}. Expected one of ${MODES.join(', ')}`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+
+    this.fixtures = this.mode === 'live'
+      ? null
+      : new FixtureStore({ dir: options.fixtureDir, secrets: [this.apiKey, ...(options.secrets || [])] });
+  }
+
+  /**
+   * Send a GET request
+   * Failed requests reject with an axios-shaped error ({ message, code, response })
+   * that carries no request config, so the API key cannot leak into logs
+   * @param {string} endpoint - API endpoint
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.params] - Query parameters
+   * @param {string} [options.apiKey] - API key for this request (defaults to the client's)
+   * @returns {Promise<Object>} - Response ({ status, headers, data })
+   */
+  async get(endpoint, options = {}) {
+    const params = options.params || {};
+
+    if (this.mode === 'replay') {
+      return this._replay(endpoint, params);
+    }
+
+    try {
+      const response = await axios.get(`${this.baseUrl}${endpoint}`, {
+        headers: {
+          'Authorization': `Bearer ${options.apiKey || this.apiKey}`
+        },
+        params,
+        timeout: this.timeout
+      });
+
+      if (this.mode === 'record') {
+        this.fixtures.save(endpoint, params, response);
+      }
+
+      return response;
+    } catch (error) {
+      // Error responses are recorded too, so tier detection and fallbacks replay faithfully
+      if (this.mode === 'record' && error.response) {
+        this.fixtures.save(endpoint, params, error.response);
+      }
+      throw this._sanitizeError(error);
+    }
+  }
+
+  /**
+   * Strip the request config (and its Authorization header) from an axios error
+   * @private
+   * @param {Error} error - Axios error
+   * @returns {Error} - Error with only message, code and response
+   */
+  _sanitizeError(error) {
+    const sanitized = new Error(error.message);
+    sanitized.code = error.code;
+
+    if (error.response) {
+      sanitized.response = {
+        status: error.response.status,
+        headers: error.response.headers || {},
+        data: error.response.data
+      };
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Serve a recorded response
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @returns {Object} - Recorded response
+   * @throws {Error} - Axios-shaped error for recorded error responses
+   * @throws {FixtureNotFoundError} - When nothing was recorded
+   */
+  _replay(endpoint, params) {
+    const fixture = this.fixtures.load(endpoint, params);
+    const response = {
+      status: fixture.status,
+      headers: fixture.headers || {},
+      data: fixture.data
+    };
+
+    if (fixture.status >= 400) {
+      const error = new Error(`Request failed with status code ${fixture.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    return response;
+  }
+}
+
+module.exports = HttpClient;
+module.exports.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+module.exports.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
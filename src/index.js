@@ -1,8 +1,57 @@
-const axios = require('axios');
+const fs = require('fs');
+const stream = require('stream');
+const util = require('util');
 const { Cache } = require('@intue/core');
-const LunarCrushAuth = require('./auth');
-const mockData = require('./mock/data');
-const helpers = require('./utils/helpers');
+const KeyPool = require('./key-pool');
+const errors = require('./errors');
+const { createRetryPolicy, withRetry } = require('./retry');
+const RateLimiter = require('./rate-limiter');
+const { FileCache, SqliteCache, DEFAULT_TTLS, getEndpointFamily } = require('./cache');
+const timeSeries = require('./time-series');
+const normalize = require('./normalize');
+const analytics = require('./analytics');
+const correlation = require('./correlation');
+const { SchemaValidator, SchemaValidationError } = require('./schema');
+const { getMockData } = require('./endpoints');
+const { EcosystemRegistry } = require('./ecosystems');
+const { CoinRegistry, AmbiguousCoinError } = require('./coin-registry');
+const HttpClient = require('./http');
+const Watcher = require('./watcher');
+const exporter = require('./export');
+const { JsonlSnapshotStore, SqliteSnapshotStore, SnapshotRecorder, openSnapshotStore } = require('./snapshots');
+const { FixtureNotFoundError } = require('./fixtures');
+const mockData = require('../mock/data');
+const helpers = require('../utils/helpers');
+
+const FALLBACK_MODES = ['mock', 'stale', 'none'];
+
+// Coins requested per coins list page when collecting a category
+const CATEGORY_PAGE_SIZE = 100;
+
+// Coins scanned per category when an ecosystem requires every category to match
+const ECOSYSTEM_SCAN_LIMIT = 1000;
+
+// Coins loaded into the coin registry
+const COIN_REGISTRY_SIZE = 1000;
+
+// Default number of requests a batch method keeps in flight
+const DEFAULT_CONCURRENCY = 5;
+
+// Successful responses kept for stale fallbacks, and how long they stay usable
+const STALE_MAX_ENTRIES = 500;
+const STALE_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+// Buckets correlated when no start is given
+const CORRELATION_POINTS = 90;
+
+/**
+ * Read the symbol of a raw coin
+ * @param {Object} coin - Raw coin from a list or detail payload
+ * @returns {string} - Uppercase symbol
+ */
+function getRawSymbol(coin) {
+  return String(coin.symbol || coin.s || '').toUpperCase();
+}
 
 /**
  * LunarCrush API adapter for the INTUE ecosystem
@@ -13,95 +62,467 @@ class LunarCrushAdapter {
    * Create a new LunarCrush adapter
    * @param {Object} options - Configuration options
    * @param {string} options.apiKey - LunarCrush API key
-   * @param {Object} [options.cache] - Optional cache instance
-   * @param {number} [options.ttl] - Optional cache TTL in milliseconds
+   * @param {Array<string|Object>} [options.apiKeys] - Several API keys, or { key, label, tier } objects;
+   *   requests go to the key best able to serve them and rotate away from rate-limited keys
+   * @param {string} [options.baseUrl] - API base URL, e.g. a local stub server
+   * @param {string} [options.tier] - Force the API tier ('paid' or 'free') instead of detecting it
+   * @param {Function} [options.onTierChange] - Called with (tier, previousTier, keyId) when a key's
+   *   detected tier changes
+   * @param {number} [options.transientTtl=60000] - How long a network error or 5xx pauses tier
+   *   probing of an endpoint
+   * @param {Object} [options.cache] - Optional cache instance (see CacheBackend in src/cache)
+   * @param {number} [options.ttl] - Optional cache TTL in milliseconds for every endpoint family
+   * @param {Object} [options.ttls] - TTL overrides per endpoint family
+   *   (coinsList, coin, topic, timeSeries, categories)
+   * @param {string} [options.mode='live'] - 'live', 'record' (save every response as a fixture)
+   *   or 'replay' (serve fixtures, failing when one is missing)
+   * @param {string} [options.fixtureDir='fixtures/lunarcrush'] - Fixture directory for record/replay
+   * @param {number} [options.timeout=30000] - Milliseconds before a request fails with TimeoutError
+   *   (retried like other network errors); 0 disables the timeout
+   * @param {number} [options.mockSeed] - Seed for generated mock data, for reproducible fixtures
+   * @param {string} [options.fallback='mock'] - What to serve when the API refuses a request:
+   *   'mock' (generated data), 'stale' (last good response) or 'none' (throw)
+   * @param {Object|boolean} [options.retry] - Retry policy overrides, or false to disable retries
+   * @param {number} [options.retry.maxAttempts=3] - Attempts per request, including the first
+   * @param {number} [options.retry.baseDelay=500] - Initial backoff delay in milliseconds
+   * @param {number} [options.retry.maxDelay=30000] - Upper bound for a single backoff delay
+   * @param {number} [options.retry.jitter=0.2] - Random +/- fraction applied to backoff delays
+   * @param {number[]} [options.retry.retryableStatuses] - HTTP statuses worth retrying
+   * @param {number} [options.retry.deadline=60000] - Total time budget across attempts
+   * @param {Object} [options.rateLimit] - Client-side budget overrides (perMinute, perDay, maxWait);
+   *   budgets otherwise follow the detected API tier
+   * @param {RateLimiter} [options.rateLimiter] - Shared limiter, for several adapters using one key;
+   *   with several keys each key gets its own limiter
+   * @param {number} [options.priority=0] - Default queue priority for this adapter's requests
+   * @param {boolean} [options.raw=false] - Return raw LunarCrush payloads instead of normalized objects
+   * @param {string} [options.validation='lenient'] - Response schema validation: 'strict' (throw),
+   *   'lenient' (warn) or 'off'
+   * @param {boolean|number} [options.staleWhileRevalidate=false] - Serve expired cache entries
+   *   immediately while refreshing in the background; a number caps the stale age in milliseconds
+   * @param {number} [options.staleMaxEntries=500] - Most responses kept for stale fallbacks;
+   *   the least recently used are dropped first
+   * @param {number} [options.staleMaxAge=86400000] - Oldest response served as stale data, in milliseconds
+   * @param {Object} [options.ecosystems] - Ecosystem definitions added to the built-in ones
+   *   (see src/ecosystems)
+   * @param {Object<string, string|number>} [options.coinAliases] - Extra coin names, mapped to a
+   *   symbol or LunarCrush ID
+   * @param {string} [options.ambiguousCoins='error'] - When a symbol or name matches several coins:
+   *   'error' (throw AmbiguousCoinError) or 'top' (use the best-ranked one)
+   * @param {number} [options.coinRegistryTtl=86400000] - How often the coin registry is reloaded
+   * @param {number} [options.concurrency=5] - Requests kept in flight by batch methods
    */
   constructor(options = {}) {
-    this.apiKey = options.apiKey;
-    this.baseUrl = 'https://lunarcrush.com/api4';
+    const apiKeys = options.apiKeys && options.apiKeys.length > 0 ? options.apiKeys : [options.apiKey];
+    this.apiKey = typeof apiKeys[0] === 'object' && apiKeys[0] !== null ? apiKeys[0].key : apiKeys[0];
+    this.baseUrl = options.baseUrl || HttpClient.DEFAULT_BASE_URL;
     this.cache = options.cache || new Cache({ ttl: options.ttl });
-    this.auth = new LunarCrushAuth(this.apiKey);
+    this.ttl = options.ttl;
+    this.ttls = { ...this._getDefaultTtls(options.ttl), ...(options.ttls || {}) };
+    this.http = new HttpClient({
+      apiKey: this.apiKey,
+      baseUrl: this.baseUrl,
+      mode: options.mode,
+      fixtureDir: options.fixtureDir,
+      timeout: options.timeout,
+      secrets: apiKeys.map(key => (typeof key === 'object' && key !== null ? key.key : key))
+    });
+    this.keys = new KeyPool(apiKeys, {
+      http: this.http,
+      tier: options.tier,
+      transientTtl: options.transientTtl,
+      rateLimit: options.rateLimit,
+      rateLimiter: options.rateLimiter,
+      onTierChange: options.onTierChange
+    });
+    // The first key's handlers, kept for single-key callers
+    this.auth = this.keys.entries[0].auth;
+    this.rateLimiter = this.keys.entries[0].rateLimiter;
+    this.fallback = options.fallback || 'mock';
+    this.mockData = options.mockSeed !== undefined
+      ? mockData.createMockProvider({ seed: options.mockSeed })
+      : mockData;
+    this.retryPolicy = createRetryPolicy(options.retry);
+    this.priority = options.priority || 0;
+    this.staleData = new Map();
+    this.staleMaxEntries = options.staleMaxEntries || STALE_MAX_ENTRIES;
+    this.staleMaxAge = options.staleMaxAge || STALE_MAX_AGE;
+    this.inFlight = new Map();
+    this.staleWhileRevalidate = options.staleWhileRevalidate || false;
+    this.raw = options.raw || false;
+    this.validator = new SchemaValidator({ mode: options.validation });
+    this.ecosystems = new EcosystemRegistry(options.ecosystems);
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.coins = new CoinRegistry({
+      load: () => this._loadCoinRegistry(),
+      ttl: options.coinRegistryTtl,
+      aliases: options.coinAliases,
+      ambiguity: options.ambiguousCoins
+    });
+    
+    if (!FALLBACK_MODES.includes(this.fallback)) {
+      throw new errors.LunarCrushError(`Invalid fallback mode: ${this.fallback}`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
     
     if (!this.apiKey) {
       console.warn('LunarCrush API key not provided. Some endpoints may not work.');
     }
   }
   
+  /**
+   * Get the TTL for each endpoint family; a global ttl option applies to all of them
+   * @private
+   * @param {number} [ttl] - Global cache TTL in milliseconds
+   * @returns {Object} - TTL per endpoint family
+   */
+  _getDefaultTtls(ttl) {
+    if (!ttl) return { ...DEFAULT_TTLS };
+    
+    return Object.keys(DEFAULT_TTLS).reduce((ttls, family) => {
+      ttls[family] = ttl;
+      return ttls;
+    }, {});
+  }
+  
+  /**
+   * Build the cache key for a request; parameter order does not matter
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @returns {string} - Cache key
+   */
+  _getCacheKey(endpoint, params = {}) {
+    return `${endpoint}_${helpers.stableStringify(params)}`;
+  }
+  
+  /**
+   * Get the cache TTL for an endpoint
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @returns {number|undefined} - TTL in milliseconds, or undefined for the cache default
+   */
+  _getTtl(endpoint) {
+    const family = getEndpointFamily(endpoint);
+    return family ? this.ttls[family] : this.ttl;
+  }
+  
+  /**
+   * Store a successful response in the cache; cache failures never fail the request
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {string} cacheKey - Cache key of the request
+   * @param {Object} data - API response
+   * @returns {Promise<void>}
+   */
+  async _cacheResponse(endpoint, cacheKey, data) {
+    try {
+      await this.cache.set(cacheKey, data, this._getTtl(endpoint));
+    } catch (error) {
+      console.warn(`Failed to cache LunarCrush response for ${endpoint}: ${error.message}`);
+    }
+  }
+  
   /**
    * Make a request to the LunarCrush API
+   * Concurrent callers for the same request share a single in-flight promise
    * @private
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
+   * @param {Object} [options] - Request options
+   * @param {number} [options.priority] - Queue priority when over the rate limit budget
    * @returns {Promise<Object>} - API response
+   * @throws {LunarCrushError} - When the request fails and no fallback applies
    */
-  async _makeRequest(endpoint, params = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
-    const cacheKey = `${endpoint}_${JSON.stringify(params)}`;
+  async _makeRequest(endpoint, params = {}, options = {}) {
+    const cacheKey = this._getCacheKey(endpoint, params);
     
     // Check cache first
-    const cachedData = this.cache.get(cacheKey);
+    const cachedData = await this.cache.get(cacheKey);
     if (cachedData) return cachedData;
     
-    // Check if we can access this endpoint with our API key
-    const canAccess = await this.auth.canAccessEndpoint(endpoint);
-    if (!canAccess) {
-      return this._getFallbackData(endpoint, params);
+    // Serve expired data right away and refresh it in the background
+    const stale = this._getStaleEntry(cacheKey, this.staleWhileRevalidate);
+    if (stale) {
+      this._fetchShared(endpoint, params, options, cacheKey).catch(error => {
+        console.warn(`Background refresh of ${endpoint} failed: ${error.message}`);
+      });
+      return stale.data;
     }
     
+    return this._fetchShared(endpoint, params, options, cacheKey);
+  }
+  
+  /**
+   * Fetch a request, joining an identical request that is already in flight
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Request options
+   * @param {string} cacheKey - Cache key of the request
+   * @returns {Promise<Object>} - API response
+   */
+  _fetchShared(endpoint, params, options, cacheKey) {
+    if (this.inFlight.has(cacheKey)) {
+      return this.inFlight.get(cacheKey);
+    }
+    
+    const request = this._fetch(endpoint, params, options, cacheKey)
+      .finally(() => this.inFlight.delete(cacheKey));
+    this.inFlight.set(cacheKey, request);
+    return request;
+  }
+  
+  /**
+   * Get a previously successful response that has dropped out of the cache
+   * @private
+   * @param {string} cacheKey - Cache key of the request
+   * @param {boolean|number} maxAge - false for none, true for any age up to staleMaxAge,
+   *   or a maximum age in ms
+   * @returns {Object|null} - Stale entry ({ data, storedAt }) or null
+   */
+  _getStaleEntry(cacheKey, maxAge) {
+    if (!maxAge) return null;
+    
+    const entry = this.staleData.get(cacheKey);
+    if (!entry) return null;
+    
+    const age = Date.now() - entry.storedAt;
+    if (age > this.staleMaxAge) {
+      this.staleData.delete(cacheKey);
+      return null;
+    }
+    
+    if (maxAge !== true && age > maxAge) {
+      return null;
+    }
+    
+    // Mark as recently used
+    this.staleData.delete(cacheKey);
+    this.staleData.set(cacheKey, entry);
+    return entry;
+  }
+  
+  /**
+   * Keep a successful response for stale fallbacks
+   * Entries past staleMaxAge and the least recently used ones beyond
+   * staleMaxEntries are dropped, so long-running processes stay bounded
+   * @private
+   * @param {string} cacheKey - Cache key of the request
+   * @param {Object} data - API response
+   */
+  _storeStaleEntry(cacheKey, data) {
+    const now = Date.now();
+    
+    this.staleData.delete(cacheKey);
+    this.staleData.set(cacheKey, { data, storedAt: now });
+    
+    for (const [key, entry] of this.staleData) {
+      if (this.staleData.size <= this.staleMaxEntries && now - entry.storedAt <= this.staleMaxAge) break;
+      this.staleData.delete(key);
+    }
+  }
+  
+  /**
+   * Send a request to the LunarCrush API, applying the fallback policy on failure
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Request options
+   * @param {string} cacheKey - Cache key of the request
+   * @returns {Promise<Object>} - API response
+   */
+  async _fetch(endpoint, params, options, cacheKey) {
+    // Check if any of our API keys can access this endpoint
+    if (!this.keys.select(endpoint)) {
+      return this._getFallbackData(endpoint, params, this._getAccessError(endpoint, params));
+    }
+    
+    const priority = options.priority !== undefined ? options.priority : this.priority;
+    
     try {
-      const response = await axios.get(url, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        params
-      });
+      const response = await withRetry(
+        (attempt, deadline) => this._sendWithKeyRotation(endpoint, params, priority, deadline),
+        this.retryPolicy
+      );
       
       const data = response.data;
-      this.cache.set(cacheKey, data);
+      this.validator.validate(endpoint, data);
+      await this._cacheResponse(endpoint, cacheKey, data);
+      this._storeStaleEntry(cacheKey, data);
       return data;
     } catch (error) {
+      const lcError = errors.fromAxiosError(error, { endpoint, params });
+      
       // Handle API limitations
-      if (error.response && error.response.status === 402) {
-        console.warn('LunarCrush API subscription required for this endpoint.');
-        return this._getFallbackData(endpoint, params);
+      if (lcError instanceof errors.AuthenticationFailedError ||
+          lcError instanceof errors.SubscriptionRequiredError ||
+          lcError instanceof errors.RateLimitExceededError) {
+        return this._getFallbackData(endpoint, params, lcError);
       }
       
-      if (error.response && error.response.status === 429) {
-        console.warn('LunarCrush API rate limit reached. Using cached or mock data.');
-        return this._getFallbackData(endpoint, params);
+      throw lcError;
+    }
+  }
+  
+  /**
+   * Send one request attempt, moving to another key when the chosen one is
+   * rate limited, rejected or lacks the subscription for the endpoint
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @param {number} priority - Rate limiter queue priority
+   * @param {number} [deadline] - Retry deadline (epoch ms); queueing past it is refused
+   * @returns {Promise<Object>} - API response
+   * @throws {LunarCrushError} - Error from the last key tried
+   */
+  async _sendWithKeyRotation(endpoint, params, priority, deadline) {
+    const tried = new Set();
+    let entry = this.keys.select(endpoint);
+    
+    if (!entry) {
+      throw this._getAccessError(endpoint, params);
+    }
+    
+    for (;;) {
+      entry.rateLimiter.setTier(entry.auth.apiTier);
+      
+      // Replayed fixtures cost no API quota
+      if (this.http.mode !== 'replay') {
+        await entry.rateLimiter.acquire({ priority, endpoint, deadline });
       }
       
-      throw error;
+      try {
+        const result = await this.http.get(endpoint, { params, apiKey: entry.key });
+        this.keys.record(entry, endpoint, result.status);
+        return result;
+      } catch (error) {
+        const lcError = errors.fromAxiosError(error, { endpoint, params });
+        if (error instanceof FixtureNotFoundError) {
+          throw lcError;
+        }
+        
+        this.keys.record(entry, endpoint, lcError.status, lcError.code);
+        
+        const rateLimited = lcError instanceof errors.RateLimitExceededError;
+        if (rateLimited) {
+          entry.rateLimiter.pause(lcError.retryAfter || 60 * 1000);
+        }
+        
+        if (!rateLimited &&
+            !(lcError instanceof errors.AuthenticationFailedError) &&
+            !(lcError instanceof errors.SubscriptionRequiredError)) {
+          throw lcError;
+        }
+        
+        tried.add(entry);
+        const next = this.keys.select(endpoint, { exclude: tried, skipPaused: rateLimited });
+        if (!next) {
+          throw lcError;
+        }
+        entry = next;
+      }
     }
   }
   
+  /**
+   * Build the error for an endpoint the current API tier cannot access
+   * @private
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @returns {LunarCrushError} - Access error
+   */
+  _getAccessError(endpoint, params) {
+    const details = { endpoint, params };
+    
+    if (this.keys.getDenialReason(endpoint) === 'invalid') {
+      return new errors.AuthenticationFailedError(undefined, details);
+    }
+    
+    return new errors.SubscriptionRequiredError(undefined, details);
+  }
+  
   /**
    * Get fallback data when API is unavailable
    * @private
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
-   * @returns {Object} - Fallback data
+   * @param {LunarCrushError} error - Reason the API request was refused
+   * @returns {Promise<Object>} - Fallback data
+   * @throws {LunarCrushError} - When the fallback mode has nothing to serve
    */
-  async _getFallbackData(endpoint, params) {
+  async _getFallbackData(endpoint, params, error) {
     // Map paid endpoints to free endpoints where possible
     if (endpoint.includes('/coins/list/v2')) {
       try {
         return await this._makeRequest('/public/coins/list/v1', params);
       } catch (e) {
-        // If that fails too, use mock data
+        // If that fails too, fall through to the configured fallback
       }
     }
     
+    // Stale real data is preferred over mock data
+    const stale = this.fallback !== 'none'
+      ? this._getStaleEntry(this._getCacheKey(endpoint, params), true)
+      : null;
+    
+    if (stale) {
+      console.warn(`${error.message}. Serving stale data for ${endpoint}.`);
+      const staleData = stale.data;
+      return {
+        ...staleData,
+        meta: {
+          ...staleData.meta,
+          using_stale_data: true,
+          stale_since: stale.storedAt,
+          original_endpoint: endpoint,
+          error_code: error.code
+        }
+      };
+    }
+    
+    if (this.fallback !== 'mock') {
+      throw error;
+    }
+    
     // For endpoints without free alternatives, use structured mock data
+    console.warn(`${error.message}. Using mock data for ${endpoint}.`);
     return {
       data: this._getMockData(endpoint, params),
       meta: {
         using_mock_data: true,
-        original_endpoint: endpoint
+        original_endpoint: endpoint,
+        error_code: error.code
       }
     };
   }
   
+  /**
+   * Extract the payload from an API response, keeping its fallback metadata
+   * reachable through a non-enumerable `meta` property
+   * @private
+   * @param {Object} result - Response from _makeRequest
+   * @param {Function} [normalizer] - Converts the payload into domain objects
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.raw] - Skip normalization (defaults to the adapter setting)
+   * @returns {Array|Object} - Response payload
+   */
+  _unwrap(result, normalizer, options = {}) {
+    const raw = options.raw !== undefined ? options.raw : this.raw;
+    const data = normalizer && !raw && result.data ? normalizer(result.data) : result.data;
+    
+    if (data && typeof data === 'object' && result.meta &&
+        (result.meta.using_mock_data || result.meta.using_stale_data)) {
+      Object.defineProperty(data, 'meta', {
+        value: result.meta,
+        enumerable: false,
+        configurable: true
+      });
+    }
+    
+    return data;
+  }
+  
   /**
    * Generate realistic mock data based on endpoint
    * @private
@@ -110,132 +531,587 @@ class LunarCrushAdapter {
    * @returns {Array|Object} - Mock data
    */
   _getMockData(endpoint, params) {
-    if (endpoint.includes('/coins/list')) {
-      return mockData.getCoinsList(params.limit || 50);
+    const data = getMockData(this.mockData, endpoint, params);
+    
+    if (data === undefined) {
+      throw new errors.NotFoundError(`No mock data available for LunarCrush endpoint ${endpoint}`, {
+        endpoint,
+        params
+      });
     }
     
-    if (endpoint.includes('/coins/')) {
-      const coinSymbol = endpoint.split('/').slice(-2)[0];
-      return mockData.getCoinData(coinSymbol);
+    return data;
+  }
+  
+  /**
+   * Get the API tier and which endpoints the key was found to access
+   * With several keys, tier is the best across keys and each key is listed under keys
+   * @returns {Object} - { tier, capabilities } with one capability per probed endpoint
+   */
+  getTierStatus() {
+    if (this.keys.size === 1) {
+      return {
+        tier: this.auth.apiTier,
+        capabilities: this.auth.getCapabilities()
+      };
     }
     
-    if (endpoint.includes('/topic/')) {
-      const topic = endpoint.split('/').slice(-2)[0];
-      return mockData.getTopicData(topic);
+    return {
+      tier: this.keys.getTier(),
+      keys: this.keys.getHealth().map(({ id, tier, capabilities }) => ({ id, tier, capabilities }))
+    };
+  }
+  
+  /**
+   * Probe every API key for its tier, then report the tier status
+   * Keys already probed (or with a tier override) are not probed again
+   * @returns {Promise<Object>} - Tier status (see getTierStatus)
+   */
+  async detectTier() {
+    await Promise.all(this.keys.entries.map(entry => entry.auth.detectApiTier()));
+    return this.getTierStatus();
+  }
+  
+  /**
+   * Get the client-side rate limit budget and request queue depth
+   * With several keys, budgets are summed and each key is listed under keys
+   * @returns {Object} - Tier, remaining per-minute/per-day requests and queue depth
+   */
+  getRateLimitStatus() {
+    if (this.keys.size === 1) {
+      return this.rateLimiter.getStatus();
     }
     
-    return [];
+    const keys = this.keys.getHealth().map(({ id, rateLimit }) => ({ id, ...rateLimit }));
+    const sum = (window, field) => keys.reduce((total, key) => total + key[window][field], 0);
+    
+    return {
+      tier: this.keys.getTier(),
+      minute: { limit: sum('minute', 'limit'), remaining: sum('minute', 'remaining') },
+      day: { limit: sum('day', 'limit'), remaining: sum('day', 'remaining') },
+      queueDepth: keys.reduce((total, key) => total + key.queueDepth, 0),
+      pausedFor: Math.min(...keys.map(key => key.pausedFor)),
+      keys
+    };
+  }
+  
+  /**
+   * Get per-key health: tier, capabilities, rate limit budget and usage
+   * Keys are identified by their label or a fingerprint, never by the key itself
+   * @returns {Array<Object>} - One report per key
+   */
+  getKeyHealth() {
+    return this.keys.getHealth();
+  }
+  
+  /**
+   * Get the fields that went missing, held invalid values or appeared unannounced
+   * in LunarCrush responses, per endpoint family
+   * @returns {Object} - Drift report
+   */
+  getDriftReport() {
+    return this.validator.getDriftReport();
   }
   
   /**
    * Get list of top coins
    * @param {number} [limit=50] - Number of coins to return
-   * @returns {Promise<Array>} - List of coins
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.raw] - Return the raw LunarCrush payload
+   * @returns {Promise<Coin[]>} - List of coins
    */
-  async getCoinsList(limit = 50) {
+  async getCoinsList(limit = 50, options = {}) {
     const result = await this._makeRequest('/public/coins/list/v2', { limit });
-    return result.data;
+    return this._unwrap(result, normalize.normalizeCoinList, options);
   }
   
   /**
    * Get detailed data for a specific coin
-   * @param {string} coin - Coin symbol or name
-   * @returns {Promise<Object>} - Coin data
+   * @param {string|number} coin - Coin symbol, name, alias or LunarCrush ID
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.raw] - Return the raw LunarCrush payload
+   * @returns {Promise<Coin>} - Coin data
+   */
+  async getCoinData(coin, options = {}) {
+    const coinId = await this._resolveCoinId(coin);
+    const result = await this._makeRequest(`/public/coins/${coinId}/v1`);
+    return this._unwrap(result, normalize.normalizeCoin, options);
+  }
+  
+  /**
+   * Resolve a coin symbol, name, alias or ID to its LunarCrush registry entry
+   * @param {string|number|Object} coin - Coin identifier, or a coin object with an id
+   * @returns {Promise<Object>} - { id, symbol, name, marketCapRank }; id is null for coins
+   *   the registry doesn't know
+   * @throws {AmbiguousCoinError} - When several coins match (unless ambiguousCoins is 'top')
    */
-  async getCoinData(coin) {
-    // Normalize coin name/symbol
-    const normalizedCoin = helpers.normalizeCoinIdentifier(coin);
-    const result = await this._makeRequest(`/public/coins/${normalizedCoin}/v1`);
+  resolveCoin(coin) {
+    return this.coins.resolve(coin);
+  }
+  
+  /**
+   * Get the path segment identifying a coin: its LunarCrush ID when known
+   * @private
+   * @param {string|number|Object} coin - Coin identifier
+   * @returns {Promise<string>} - Path segment
+   */
+  async _resolveCoinId(coin) {
+    const entry = await this.coins.resolve(coin);
+    return encodeURIComponent(entry.id !== null ? String(entry.id) : entry.symbol);
+  }
+  
+  /**
+   * Load the coins list for the coin registry
+   * Mock lists are refused so made-up IDs never end up in the registry
+   * @private
+   * @returns {Promise<Array>} - Raw coins
+   */
+  async _loadCoinRegistry() {
+    const result = await this._makeRequest('/public/coins/list/v2', { limit: COIN_REGISTRY_SIZE });
+    
+    if (result.meta && result.meta.using_mock_data) {
+      throw new errors.LunarCrushError('coins list unavailable, only mock data was served', {
+        endpoint: '/public/coins/list/v2'
+      });
+    }
+    
     return result.data;
   }
   
   /**
-   * Get sentiment for a specific topic
+   * Get sentiment for a specific topic, with its daily history over the period
    * @param {string} topic - Topic to analyze
    * @param {number} [days=7] - Number of days to analyze
-   * @returns {Promise<Object>} - Topic sentiment data
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.raw] - Return the raw topic payload, with the raw daily points under time_series
+   * @returns {Promise<Object>} - TopicSnapshot plus days, history (TopicTimeSeriesPoint[]) and
+   *   periodSentiment (post-weighted sentiment over the period)
    */
-  async getTopicSentiment(topic, days = 7) {
-    // This endpoint should be available in free tier
-    const result = await this._makeRequest(`/public/topic/${topic}/v1`);
-    return result.data;
+  async getTopicSentiment(topic, days = 7, options = {}) {
+    // These endpoints should be available in free tier
+    const [result, history] = await Promise.all([
+      this._makeRequest(this._getTopicEndpoint(topic)),
+      this._getSeries(this._getTopicEndpoint(topic, 'time-series'), { bucket: 'day', limit: days })
+    ]);
+    
+    const raw = options.raw !== undefined ? options.raw : this.raw;
+    let data;
+    
+    if (raw) {
+      data = { ...result.data, time_series: history.data };
+    } else {
+      const points = normalize.normalizeTopicTimeSeries(history.data);
+      data = {
+        ...normalize.normalizeTopic(result.data || {}, topic),
+        days,
+        history: points,
+        periodSentiment: this._calculatePeriodSentiment(points)
+      };
+    }
+    
+    return this._unwrap({ data, meta: this._getFallbackMeta([result, history]) });
+  }
+  
+  /**
+   * Get a topic's social activity over time
+   * Ranges larger than one API response are fetched in chunks and merged
+   * @param {string} topic - Topic
+   * @param {Object} [options] - Query options
+   * @param {string} [options.bucket='day'] - Point spacing (hour or day)
+   * @param {Date|number|string} [options.start] - Range start (defaults to 30 buckets before end)
+   * @param {Date|number|string} [options.end=now] - Range end
+   * @param {number} [options.limit] - Keep only the most recent points
+   * @param {boolean} [options.raw] - Return raw LunarCrush points
+   * @returns {Promise<TopicTimeSeriesPoint[]>} - Topic time series, oldest first
+   */
+  async getTopicTimeSeries(topic, options = {}) {
+    const series = await this._getSeries(this._getTopicEndpoint(topic, 'time-series'), options);
+    return this._unwrap(series, normalize.normalizeTopicTimeSeries, options);
+  }
+  
+  /**
+   * Get the most influential creators for a topic
+   * @param {string} topic - Topic
+   * @param {Object} [options] - Query options
+   * @param {string} [options.network] - Keep only one network (x, reddit, youtube, tiktok)
+   * @param {number} [options.limit] - Maximum number of creators
+   * @param {boolean} [options.raw] - Return raw LunarCrush creators
+   * @returns {Promise<Creator[]>} - Creators, most influential first
+   */
+  async getTopicCreators(topic, options = {}) {
+    const result = await this._makeRequest(this._getTopicEndpoint(topic, 'creators'));
+    const data = this._selectByNetwork(result.data, normalize.normalizeCreator, options);
+    return this._unwrap({ data, meta: result.meta }, normalize.normalizeCreators, options);
+  }
+  
+  /**
+   * Get the top posts for a topic
+   * @param {string} topic - Topic
+   * @param {Object} [options] - Query options
+   * @param {Date|number|string} [options.start] - Range start (LunarCrush defaults to the last 24 hours)
+   * @param {Date|number|string} [options.end=now] - Range end
+   * @param {string} [options.network] - Keep only one network (x, reddit, youtube, tiktok, news)
+   * @param {number} [options.limit] - Maximum number of posts
+   * @param {boolean} [options.raw] - Return raw LunarCrush posts
+   * @returns {Promise<Post[]>} - Posts, most interacted-with first
+   */
+  async getTopicPosts(topic, options = {}) {
+    const params = {};
+    if (options.start !== undefined) {
+      params.start = Math.floor(timeSeries.toMillis(options.start) / 1000);
+    }
+    if (options.end !== undefined) {
+      params.end = Math.floor(timeSeries.toMillis(options.end) / 1000);
+    }
+    
+    const result = await this._makeRequest(this._getTopicEndpoint(topic, 'posts'), params);
+    const data = this._selectByNetwork(result.data, normalize.normalizePost, options);
+    return this._unwrap({ data, meta: result.meta }, normalize.normalizePosts, options);
+  }
+  
+  /**
+   * Get the coins most discussed alongside a topic
+   * @param {string} topic - Topic
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Maximum number of coins
+   * @param {boolean} [options.raw] - Return raw LunarCrush coins
+   * @returns {Promise<Coin[]>} - Related coins
+   */
+  async getTopicRelatedCoins(topic, options = {}) {
+    const result = await this._makeRequest(this._getTopicEndpoint(topic));
+    const coins = (result.data && result.data.related_coins) || [];
+    const data = options.limit ? coins.slice(0, options.limit) : coins;
+    return this._unwrap({ data, meta: result.meta }, normalize.normalizeCoinList, options);
+  }
+  
+  /**
+   * Build a topic endpoint
+   * @private
+   * @param {string} topic - Topic
+   * @param {string} [resource] - Sub-resource (time-series, creators, posts)
+   * @returns {string} - API endpoint
+   */
+  _getTopicEndpoint(topic, resource) {
+    const slug = encodeURIComponent(String(topic).trim().toLowerCase());
+    return resource ? `/public/topic/${slug}/${resource}/v1` : `/public/topic/${slug}/v1`;
+  }
+  
+  /**
+   * Filter raw creators or posts by network and cap their number
+   * @private
+   * @param {Array} items - Raw items
+   * @param {Function} normalizer - Normalizes one item, to read its network
+   * @param {Object} options - network and limit options
+   * @returns {Array} - Selected raw items
+   */
+  _selectByNetwork(items, normalizer, options) {
+    let selected = Array.isArray(items) ? items : [];
+    
+    if (options.network) {
+      const network = normalize.toNetwork(options.network);
+      selected = selected.filter(item => normalizer(item).network === network);
+    }
+    
+    return options.limit ? selected.slice(0, options.limit) : selected;
   }
   
   /**
    * Get historical time series data
-   * @param {string} coin - Coin symbol or name
-   * @param {string} [interval='1d'] - Time interval (1h, 1d, 7d, etc.)
-   * @param {number} [limit=30] - Number of data points
-   * @returns {Promise<Array>} - Time series data
+   * Ranges larger than one API response are fetched in chunks and merged
+   * @param {string|number} coin - Coin symbol, name, alias or LunarCrush ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.bucket='day'] - Point spacing (hour or day)
+   * @param {Date|number|string} [options.start] - Range start (defaults to 30 buckets before end)
+   * @param {Date|number|string} [options.end=now] - Range end
+   * @param {string[]} [options.metrics] - Metrics to keep (e.g. price, galaxyScore, socialVolume);
+   *   all fields are returned when omitted
+   * @param {number} [options.limit] - Keep only the most recent points
+   * @param {boolean} [options.raw] - Return raw LunarCrush points
+   * @returns {Promise<TimeSeriesPoint[]>} - Time series data, oldest first, one point per timestamp
    */
-  async getTimeSeries(coin, interval = '1d', limit = 30) {
-    const normalizedCoin = helpers.normalizeCoinIdentifier(coin);
-    const result = await this._makeRequest(`/public/coins/${normalizedCoin}/time-series/v2`, {
-      interval,
-      limit
+  async getTimeSeries(coin, options = {}) {
+    // Support the legacy (coin, interval, limit) signature
+    if (typeof options === 'string') {
+      options = this._legacyTimeSeriesOptions(options, arguments[2]);
+    }
+    
+    const coinId = await this._resolveCoinId(coin);
+    const series = await this._getSeries(`/public/coins/${coinId}/time-series/v2`, options);
+    let points = series.data;
+    
+    const raw = options.raw !== undefined ? options.raw : this.raw;
+    if (!raw) {
+      points = normalize.normalizeTimeSeries(points);
+    }
+    
+    if (options.metrics) {
+      points = points.map(point => raw
+        ? timeSeries.selectMetrics(point, options.metrics)
+        : ['time', ...options.metrics].reduce((selected, metric) => {
+          selected[metric] = point[metric] !== undefined ? point[metric] : null;
+          return selected;
+        }, {}));
+    }
+    
+    return this._unwrap({ data: points, meta: series.meta });
+  }
+  
+  /**
+   * Fetch a time-series endpoint over a range, one window per API response
+   * @private
+   * @param {string} endpoint - Time-series endpoint
+   * @param {Object} options - bucket, start, end, limit and maxPoints (see getTimeSeries)
+   * @returns {Promise<Object>} - { data, meta } with raw points oldest first and the
+   *   fallback metadata of any window served from mock or stale data
+   */
+  async _getSeries(endpoint, options) {
+    const bucket = options.bucket || 'day';
+    const bucketMs = timeSeries.BUCKETS[bucket];
+    const end = options.end !== undefined ? timeSeries.toMillis(options.end) : Date.now();
+    const start = options.start !== undefined
+      ? timeSeries.toMillis(options.start)
+      : end - (options.limit || 30) * bucketMs;
+    
+    const windows = timeSeries.planWindows({ start, end, bucket, maxPoints: options.maxPoints });
+    
+    // Fetch windows one after another so a long range doesn't flood the rate limiter
+    const results = [];
+    for (const window of windows) {
+      results.push(await this._makeRequest(endpoint, {
+        bucket,
+        start: window.start,
+        end: window.end
+      }));
+    }
+    
+    const rangeStart = windows[0].start * 1000;
+    let points = timeSeries.mergeTimeSeries(results.map(result => result.data)).filter(point => {
+      const time = timeSeries.getPointTime(point);
+      return time >= rangeStart && time <= end;
     });
-    return result.data;
+    
+    if (options.limit) {
+      points = points.slice(-options.limit);
+    }
+    
+    return { data: points, meta: this._getFallbackMeta(results) };
   }
   
   /**
-   * Get coins in a specific ecosystem
-   * @param {string} ecosystem - Ecosystem name
-   * @param {number} [limit=15] - Number of coins to return
-   * @returns {Promise<Array>} - List of coins in the ecosystem
-   */
-  async getEcosystemCoins(ecosystem, limit = 15) {
-    // Map ecosystems to appropriate categories
-    const categoryMap = {
-      'ai-agents': 'ai',
-      'defai': 'defi',
-      'solana': 'solana',
-      'ethereum': 'ethereum',
-      'bitcoin': 'bitcoin'
+   * Find the fallback metadata among several responses
+   * @private
+   * @param {Object[]} results - Responses from _makeRequest
+   * @returns {Object|undefined} - Metadata of the first mock or stale response
+   */
+  _getFallbackMeta(results) {
+    const fallback = results.find(result => result && result.meta &&
+      (result.meta.using_mock_data || result.meta.using_stale_data));
+    return fallback && fallback.meta;
+  }
+  
+  /**
+   * Translate the legacy (interval, limit) arguments of getTimeSeries
+   * @private
+   * @param {string} interval - Point spacing (1h, 1d, 7d, etc.)
+   * @param {number} [limit=30] - Number of data points
+   * @returns {Object} - getTimeSeries options
+   */
+  _legacyTimeSeriesOptions(interval, limit = 30) {
+    const days = helpers.periodToDays(interval);
+    const bucket = days < 1 ? 'hour' : 'day';
+    
+    return {
+      bucket,
+      start: Date.now() - limit * days * timeSeries.BUCKETS.day,
+      limit: limit * Math.max(1, Math.round(days))
     };
+  }
+  
+  /**
+   * Get the LunarCrush coin categories
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.raw] - Return the raw LunarCrush payload
+   * @returns {Promise<Category[]>} - Categories
+   */
+  async getCategories(options = {}) {
+    // This endpoint should be available in free tier
+    const result = await this._makeRequest('/public/categories/list/v1');
+    return this._unwrap(result, normalize.normalizeCategoryList, options);
+  }
+  
+  /**
+   * Get the coins in a LunarCrush category, paging through the coins list as needed
+   * @param {string} category - Category slug (see getCategories)
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Number of coins to return
+   * @param {number} [options.pageSize=100] - Coins requested per page
+   * @param {boolean} [options.raw] - Return raw LunarCrush coins
+   * @returns {Promise<Coin[]>} - Coins in the category
+   */
+  async getCategoryCoins(category, options = {}) {
+    const result = await this._getCategoryCoins(category, options.limit || 50, options.pageSize);
+    return this._unwrap(result, normalize.normalizeCoinList, options);
+  }
+  
+  /**
+   * Collect raw coins of a category, one coins list page at a time
+   * @private
+   * @param {string} category - Category slug
+   * @param {number} limit - Number of coins to collect
+   * @param {number} [pageSize] - Coins requested per page
+   * @returns {Promise<Object>} - { data, meta } with the raw coins and any fallback metadata
+   */
+  async _getCategoryCoins(category, limit, pageSize = CATEGORY_PAGE_SIZE) {
+    const size = Math.min(limit, pageSize);
+    const filter = String(category).trim().toLowerCase();
+    const results = [];
+    const coins = [];
     
-    const category = categoryMap[ecosystem] || ecosystem;
+    for (let page = 0; coins.length < limit; page++) {
+      const result = await this._makeRequest('/public/coins/list/v2', { filter, limit: size, page });
+      const data = Array.isArray(result.data) ? result.data : [];
+      results.push(result);
+      coins.push(...data);
+      
+      // A short page is the last one
+      if (data.length < size) break;
+    }
     
-    // Try to get coins with category filter
-    try {
-      const allCoins = await this.getCoinsList(200);
+    return { data: coins.slice(0, limit), meta: this._getFallbackMeta(results) };
+  }
+  
+  /**
+   * Add or replace an ecosystem definition
+   * @param {string} name - Ecosystem name
+   * @param {string|string[]|Object} definition - Another ecosystem or category name, a list of
+   *   coin symbols, or { symbols, categories, match: 'any' | 'all', aliases }
+   */
+  defineEcosystem(name, definition) {
+    this.ecosystems.define(name, definition);
+  }
+  
+  /**
+   * Get coins in a specific ecosystem
+   * Explicit symbols come first, then coins from the ecosystem's categories
+   * (in any of them, or in all of them with match: 'all'), by market cap rank.
+   * Explicit symbols that can't be fetched are left out and listed in `failed`.
+   * @param {string} ecosystem - Ecosystem name or alias, or a LunarCrush category
+   * @param {number} [limit=15] - Number of coins to return
+   * @param {Object} [options] - Query options
+   * @param {number} [options.pageSize=100] - Coins requested per coins list page
+   * @param {number} [options.concurrency] - Symbol requests kept in flight (defaults to the adapter setting)
+   * @param {boolean} [options.raw] - Return raw LunarCrush coins
+   * @returns {Promise<Coin[]>} - List of coins in the ecosystem, with a non-enumerable
+   *   `failed` ({ coin, error } per symbol left out)
+   */
+  async getEcosystemCoins(ecosystem, limit = 15, options = {}) {
+    const definition = this.ecosystems.resolve(ecosystem);
+    const coins = new Map();
+    const symbolResults = [];
+    const failed = [];
+    
+    const settled = await this._settleBatch(definition.symbols.slice(0, limit), options, async symbol =>
+      this._makeRequest(`/public/coins/${await this._resolveCoinId(symbol)}/v1`));
+    for (const result of settled) {
+      if (result.status === 'rejected') {
+        failed.push({ coin: result.coin, error: result.reason.message });
+        continue;
+      }
       
-      // Filter coins by category
-      const filteredCoins = allCoins.filter(coin => {
-        if (!coin.categories) return false;
-        
-        const categories = Array.isArray(coin.categories) 
-          ? coin.categories 
-          : String(coin.categories).split(',').map(c => c.trim());
-        
-        return categories.some(c => c.toLowerCase() === category.toLowerCase());
-      }).slice(0, limit);
+      symbolResults.push(result.value);
+      if (result.value.data) coins.set(result.coin, result.value.data);
+    }
+    
+    const categoryResults = [];
+    if (definition.categories.length > 0 && coins.size < limit) {
+      // Matching every category needs each category in full; matching any only needs enough to fill the limit
+      const perCategory = definition.match === 'all' ? ECOSYSTEM_SCAN_LIMIT : limit;
+      for (const category of definition.categories) {
+        categoryResults.push(await this._getCategoryCoins(category, perCategory, options.pageSize));
+      }
       
-      return filteredCoins;
-    } catch (error) {
-      console.error('Error fetching ecosystem coins:', error);
-      throw error;
+      for (const coin of this._combineCategories(categoryResults.map(result => result.data), definition.match)) {
+        if (coins.size >= limit) break;
+        if (!coins.has(getRawSymbol(coin))) coins.set(getRawSymbol(coin), coin);
+      }
     }
+    
+    const data = this._unwrap({
+      data: [...coins.values()].slice(0, limit),
+      meta: this._getFallbackMeta([...symbolResults, ...categoryResults])
+    }, normalize.normalizeCoinList, options);
+    
+    Object.defineProperty(data, 'failed', { value: failed, enumerable: false, configurable: true });
+    return data;
+  }
+  
+  /**
+   * Combine the coin lists of several categories
+   * @private
+   * @param {Array[]} lists - Raw coins per category
+   * @param {string} match - 'any' (union) or 'all' (intersection)
+   * @returns {Array} - Raw coins, by market cap rank
+   */
+  _combineCategories(lists, match) {
+    const bySymbol = new Map();
+    
+    for (const list of lists) {
+      for (const coin of list) {
+        if (!bySymbol.has(getRawSymbol(coin))) bySymbol.set(getRawSymbol(coin), coin);
+      }
+    }
+    
+    let coins = [...bySymbol.values()];
+    if (match === 'all') {
+      const sets = lists.map(list => new Set(list.map(getRawSymbol)));
+      coins = coins.filter(coin => sets.every(set => set.has(getRawSymbol(coin))));
+    }
+    
+    const rankOf = coin => normalize.normalizeCoin(coin).marketCapRank || Number.MAX_SAFE_INTEGER;
+    return coins.sort((a, b) => rankOf(a) - rankOf(b));
   }
   
   /**
    * Get social metrics for a specific coin
-   * @param {string} coin - Coin symbol or name
+   * Each metric is aggregated over the last `days` and compared with the period
+   * before it; moving averages, rolling z-scores and anomalies use the daily (or
+   * hourly) points. Every metric reports its time window and point count.
+   * @param {string|number} coin - Coin symbol, name, alias or LunarCrush ID
    * @param {number} [days=7] - Number of days to analyze
-   * @returns {Promise<Object>} - Social metrics
+   * @param {Object} [options] - Analysis options
+   * @param {string} [options.bucket='day'] - Point spacing (hour or day)
+   * @param {number} [options.window=7] - Buckets for moving averages and z-scores
+   * @param {number} [options.threshold=3] - Absolute z-score flagged as an anomaly
+   * @returns {Promise<Object>} - { coin, timeframe, bucket, window, points, sentiment, socialVolume,
+   *   socialContributors, interactions, engagement, galaxyScore, anomalies, confidence }
    */
-  async getSocialMetrics(coin, days = 7) {
+  async getSocialMetrics(coin, days = 7, options = {}) {
     try {
-      // Use time-series endpoint to get social metrics over time
-      const timeSeriesData = await this.getTimeSeries(coin, '1d', days);
+      const bucket = options.bucket || 'day';
+      const bucketMs = timeSeries.BUCKETS[bucket];
+      const window = options.window || analytics.DEFAULT_WINDOW;
+      const end = Date.now();
+      const start = end - days * timeSeries.BUCKETS.day;
       
-      // Extract and process social metrics
-      return {
-        sentiment: this._calculateAverageSentiment(timeSeriesData),
-        socialVolume: this._calculateTotalSocialVolume(timeSeriesData),
-        engagement: this._calculateAverageEngagement(timeSeriesData),
-        timeframe: `${days}d`,
-        coin: coin
-      };
+      // The previous period, or enough history to fill the rolling window, whichever is longer
+      const lookback = Math.max(end - start, window * bucketMs);
+      const points = await this.getTimeSeries(coin, { bucket, start: start - lookback, end, raw: false });
+      
+      return this._unwrap({
+        data: {
+          coin,
+          timeframe: `${days}d`,
+          bucket,
+          ...analytics.analyzeSocialMetrics(points, {
+            start,
+            end,
+            bucket,
+            window,
+            threshold: options.threshold
+          })
+        },
+        meta: points && points.meta
+      });
     } catch (error) {
       console.error('Error fetching social metrics:', error);
       throw error;
@@ -243,49 +1119,421 @@ class LunarCrushAdapter {
   }
   
   /**
-   * Calculate average sentiment from time series data
-   * @private
-   * @param {Array} timeSeriesData - Time series data
-   * @returns {number} - Average sentiment
+   * Correlate two metrics of a coin's time series
+   * With maxLag, every shift from -maxLag to maxLag buckets is scanned; a positive
+   * lag pairs x with a later y, so x leads y. With window, a rolling correlation
+   * over that many pairs is added.
+   * @param {string|number} coin - Coin symbol, name, alias or LunarCrush ID
+   * @param {Object} [options] - Analysis options
+   * @param {string} [options.x='sentiment'] - First metric (see TimeSeriesPoint)
+   * @param {string} [options.y='price'] - Second metric
+   * @param {string} [options.method='pearson'] - pearson or spearman
+   * @param {string} [options.transform='change'] - level, or change (percent change per bucket)
+   * @param {number} [options.maxLag=0] - Largest shift to scan, in buckets
+   * @param {number} [options.window] - Pairs per rolling window
+   * @param {number} [options.confidence=0.95] - Confidence level for `significant`
+   * @param {string} [options.bucket='day'] - Point spacing (hour or day)
+   * @param {Date|number|string} [options.start] - Range start (defaults to the last 90 buckets)
+   * @param {Date|number|string} [options.end] - Range end (defaults to now)
+   * @param {number} [options.limit] - Number of buckets when no start is given
+   * @returns {Promise<Object>} - { coin, x, y, method, transform, bucket, range, points,
+   *   correlation, lags, bestLag, rolling }
+   * @throws {LunarCrushError} - CONFIGURATION_INVALID when an option is not supported
    */
-  _calculateAverageSentiment(timeSeriesData) {
-    if (!timeSeriesData || timeSeriesData.length === 0) return 0;
+  async correlate(coin, options = {}) {
+    const settings = {
+      x: 'sentiment',
+      y: 'price',
+      method: 'pearson',
+      transform: 'change',
+      bucket: 'day',
+      maxLag: 0,
+      ...options
+    };
+    correlation.checkOptions(settings);
     
-    const sentiments = timeSeriesData.map(d => d.gs || 0); // Galaxy Score as sentiment
-    const sum = sentiments.reduce((acc, val) => acc + val, 0);
-    return sum / sentiments.length;
+    const points = await this.getTimeSeries(coin, this._correlationRange(settings));
+    const bucketMs = timeSeries.BUCKETS[settings.bucket];
+    const xSeries = correlation.toSeries(points, settings.x, settings);
+    const ySeries = correlation.toSeries(points, settings.y, settings);
+    const pairs = correlation.pair(xSeries, ySeries, 0, bucketMs);
+    const lags = settings.maxLag > 0
+      ? correlation.scanLags(xSeries, ySeries, { ...settings, bucketMs })
+      : null;
+    
+    return this._unwrap({
+      data: {
+        coin,
+        x: settings.x,
+        y: settings.y,
+        method: settings.method,
+        transform: settings.transform,
+        bucket: settings.bucket,
+        range: points.length > 0 ? { start: points[0].time, end: points[points.length - 1].time } : null,
+        points: points.length,
+        correlation: correlation.correlate(pairs.xs, pairs.ys, settings),
+        lags,
+        bestLag: lags ? correlation.strongestLag(lags) : null,
+        rolling: settings.window ? correlation.rollingCorrelation(pairs, settings.window, settings.method) : null
+      },
+      meta: points.meta
+    });
   }
   
   /**
-   * Calculate total social volume from time series data
-   * @private
-   * @param {Array} timeSeriesData - Time series data
-   * @returns {number} - Total social volume
+   * Correlate one metric across the coins of an ecosystem
+   * Coins whose time series can't be fetched are left out and listed in `failed`
+   * @param {string} ecosystem - Ecosystem name or alias, or a LunarCrush category
+   * @param {Object} [options] - Analysis options
+   * @param {string} [options.metric='price'] - Metric compared (see TimeSeriesPoint)
+   * @param {number} [options.coins=10] - Number of coins from the ecosystem
+   * @param {string} [options.method='pearson'] - pearson or spearman
+   * @param {string} [options.transform='change'] - level, or change (percent change per bucket)
+   * @param {number} [options.confidence=0.95] - Confidence level for `significant`
+   * @param {string} [options.bucket='day'] - Point spacing (hour or day)
+   * @param {Date|number|string} [options.start] - Range start (defaults to the last 90 buckets)
+   * @param {Date|number|string} [options.end] - Range end (defaults to now)
+   * @param {number} [options.limit] - Number of buckets when no start is given
+   * @param {number} [options.concurrency] - Requests kept in flight (defaults to the adapter setting)
+   * @returns {Promise<Object>} - { ecosystem, metric, method, transform, bucket, coins, matrix,
+   *   pairs, failed }; matrix rows and columns follow `coins`
+   * @throws {LunarCrushError} - CONFIGURATION_INVALID when an option is not supported
    */
-  _calculateTotalSocialVolume(timeSeriesData) {
-    if (!timeSeriesData || timeSeriesData.length === 0) return 0;
+  async correlateEcosystem(ecosystem, options = {}) {
+    const settings = {
+      metric: 'price',
+      coins: 10,
+      method: 'pearson',
+      transform: 'change',
+      bucket: 'day',
+      ...options
+    };
+    correlation.checkOptions({ x: settings.metric, method: settings.method, transform: settings.transform });
+    
+    const members = await this.getEcosystemCoins(ecosystem, settings.coins, { raw: false });
+    const range = { ...this._correlationRange(settings), metrics: [settings.metric] };
+    const results = await this._settleBatch(
+      members.map(coin => (coin.id !== null ? coin.id : coin.symbol)),
+      settings,
+      coin => this.getTimeSeries(coin, range)
+    );
     
-    return timeSeriesData.reduce((acc, d) => acc + (d.sv || 0), 0);
+    const coins = [];
+    const series = [];
+    const failed = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        coins.push(members[index].symbol);
+        series.push(correlation.toSeries(result.value, settings.metric, settings));
+      } else {
+        failed.push({ coin: members[index].symbol, error: result.reason.message });
+      }
+    });
+    
+    const { matrix, pairs } = correlation.correlationMatrix(series, settings);
+    
+    return this._unwrap({
+      data: {
+        ecosystem,
+        metric: settings.metric,
+        method: settings.method,
+        transform: settings.transform,
+        bucket: settings.bucket,
+        coins,
+        matrix,
+        pairs: pairs.map(({ i, j, ...result }) => ({ a: coins[i], b: coins[j], ...result })),
+        failed
+      },
+      meta: this._getFallbackMeta([members, ...results.map(result => result.value)])
+    });
   }
   
   /**
-   * Calculate average engagement from time series data
+   * Build the getTimeSeries options for a correlation
    * @private
-   * @param {Array} timeSeriesData - Time series data
-   * @returns {number} - Average engagement
+   * @param {Object} settings - Correlation settings (bucket, start, end, limit)
+   * @returns {Object} - getTimeSeries options
+   */
+  _correlationRange(settings) {
+    return {
+      bucket: settings.bucket,
+      start: settings.start,
+      end: settings.end,
+      limit: settings.limit || (settings.start === undefined ? CORRELATION_POINTS : undefined),
+      raw: false
+    };
+  }
+  
+  /**
+   * Watch coins and topics by polling them
+   * Polls go through the cache, so an interval shorter than the cache TTL sees
+   * cached data until it expires. Polling slows down (up to maxInterval) while
+   * requests are rate limited and returns to the interval once they succeed.
+   * @param {Object} options - Watch options
+   * @param {Array<string|number>} [options.coins] - Coin symbols, names, aliases or IDs
+   * @param {string[]} [options.topics] - Topics
+   * @param {number} [options.interval=60000] - Milliseconds between polls
+   * @param {number} [options.maxInterval=900000] - Longest interval reached by backing off
+   * @param {Array<Object>} [options.thresholds] - Rules: { field, above, below, ratio, source, key }
+   * @returns {Watcher} - Started watcher (EventEmitter and async iterator); call stop() when done
+   */
+  watch(options = {}) {
+    const targets = [
+      ...(options.coins || []).map(coin => ({
+        source: 'coin',
+        key: String(coin),
+        fetch: async () => {
+          const result = await this._makeRequest(`/public/coins/${await this._resolveCoinId(coin)}/v1`);
+          return { data: normalize.normalizeCoin(result.data || {}), meta: result.meta };
+        }
+      })),
+      ...(options.topics || []).map(topic => ({
+        source: 'topic',
+        key: String(topic),
+        fetch: async () => {
+          const result = await this._makeRequest(this._getTopicEndpoint(topic));
+          return { data: normalize.normalizeTopic(result.data || {}, topic), meta: result.meta };
+        }
+      }))
+    ];
+    
+    const watcher = new Watcher(targets, {
+      interval: options.interval,
+      maxInterval: options.maxInterval,
+      thresholds: options.thresholds,
+      concurrency: this.concurrency,
+      getRateLimitStatus: () => this.getRateLimitStatus()
+    });
+    
+    return watcher.start();
+  }
+  
+  /**
+   * Create a recorder that keeps coin-list and topic snapshots for point-in-time queries
+   * The recorder is not started: call record() for one snapshot or start() to take
+   * one every interval. Its query methods (getRankHistory, getTopMovers, getSnapshot,
+   * getTopicHistory) only need the store.
+   * @param {Object} [options] - Recorder options
+   * @param {SnapshotStore} [options.store] - Snapshot store (defaults to one opened from path)
+   * @param {string} [options.path='lunarcrush-snapshots.jsonl'] - Snapshot file; .db, .sqlite
+   *   or .sqlite3 files use SQLite
+   * @param {number} [options.coins=100] - Coins recorded from the coins list
+   * @param {string[]} [options.topics] - Topics recorded with each snapshot
+   * @param {number} [options.interval=3600000] - Milliseconds between snapshots when started
+   * @returns {SnapshotRecorder} - Snapshot recorder
+   */
+  createSnapshotRecorder(options = {}) {
+    const limit = options.coins || 100;
+    
+    return new SnapshotRecorder({
+      store: options.store || openSnapshotStore(options.path || 'lunarcrush-snapshots.jsonl'),
+      topics: options.topics,
+      interval: options.interval,
+      fetchCoins: async () => {
+        const result = await this._makeRequest('/public/coins/list/v2', { limit });
+        return { data: normalize.normalizeCoinList(result.data), meta: result.meta };
+      },
+      fetchTopic: async topic => {
+        const result = await this._makeRequest(this._getTopicEndpoint(topic));
+        return { data: normalize.normalizeTopic(result.data || {}, topic), meta: result.meta };
+      }
+    });
+  }
+  
+  /**
+   * Export a coin list, time series or social metrics to CSV, JSONL or a columnar layout
+   * Coins are fetched `concurrency` at a time and each group is written before the
+   * next is fetched, so large CSV and JSONL exports stream instead of piling up in
+   * memory. The columnar layout is one JSON document and is held in memory until the end.
+   * Coins that can't be fetched are skipped and listed in `failed`.
+   * @param {string} dataset - coins, timeSeries or socialMetrics
+   * @param {Object} options - Export options; other options go to getTimeSeries or getSocialMetrics
+   * @param {string|Writable} options.output - File path or writable stream (left open)
+   * @param {string} [options.format='csv'] - csv, jsonl or columnar
+   * @param {Array<string|number>} [options.coins] - Coins, for timeSeries and socialMetrics
+   * @param {number} [options.limit=50] - Number of coins, for the coins dataset
+   * @param {number} [options.days=7] - Days analyzed, for socialMetrics
+   * @param {number} [options.concurrency] - Coins fetched at once (defaults to the adapter setting)
+   * @returns {Promise<Object>} - { dataset, format, rows, mock, stale, failed }
    */
-  _calculateAverageEngagement(timeSeriesData) {
-    if (!timeSeriesData || timeSeriesData.length === 0) return 0;
+  async exportData(dataset, options = {}) {
+    exporter.checkExport({ dataset, format: options.format });
+    if (!options.output) {
+      throw new TypeError('exportData requires an output file path or stream');
+    }
+    
+    const file = typeof options.output === 'string' ? fs.createWriteStream(options.output) : null;
+    const writer = new exporter.ExportWriter(file || options.output, { dataset, format: options.format });
+    const failed = [];
+    let summary;
     
-    const engagements = timeSeriesData.map(d => {
-      const socialVolume = d.sv || 0;
-      const socialContributors = d.sc || 1; // Avoid division by zero
-      return socialVolume / socialContributors;
+    try {
+      if (dataset === 'coins') {
+        const coins = await this.getCoinsList(options.limit || 50, { raw: false });
+        await writer.write(exporter.toRows(dataset, coins, { mock: isMockData(coins), stale: isStaleData(coins) }));
+      } else {
+        const coins = options.coins || [];
+        const size = options.concurrency || this.concurrency;
+        
+        for (let i = 0; i < coins.length; i += size) {
+          const group = coins.slice(i, i + size);
+          const settings = { ...options, concurrency: size, raw: false };
+          const results = dataset === 'socialMetrics'
+            ? await this.getSocialMetricsBatch(group, options.days || 7, settings)
+            : await this.getTimeSeriesBatch(group, settings);
+          
+          for (const result of results) {
+            if (result.status === 'rejected') {
+              failed.push({ coin: result.coin, error: result.reason.message });
+              continue;
+            }
+            
+            const entry = await this.coins.resolve(result.coin);
+            await writer.write(exporter.toRows(dataset, result.value, {
+              coin: entry.symbol || String(result.coin),
+              mock: isMockData(result.value),
+              stale: isStaleData(result.value)
+            }));
+          }
+        }
+      }
+      
+      summary = await writer.end({ failed });
+    } finally {
+      if (file) {
+        file.end();
+        await util.promisify(stream.finished)(file);
+      }
+    }
+    
+    return { ...summary, failed };
+  }
+  
+  /**
+   * Get data for many coins at once
+   * Coins found in the coins list response (the one the coin registry loads) are
+   * taken from it; the rest are fetched one by one with bounded concurrency
+   * @param {Array<string|number>} coins - Coin symbols, names, aliases or IDs
+   * @param {Object} [options] - Call options
+   * @param {boolean} [options.fromList=true] - Take coins from the coins list response when present
+   * @param {number} [options.concurrency] - Requests kept in flight (defaults to the adapter setting)
+   * @param {boolean} [options.raw] - Return raw LunarCrush payloads
+   * @returns {Promise<Array<Object>>} - One settled result per coin, in input order:
+   *   { coin, status: 'fulfilled', value } or { coin, status: 'rejected', reason }
+   */
+  async getCoinsData(coins, options = {}) {
+    const listed = new Map();
+    
+    if (options.fromList !== false) {
+      // Same request as the coin registry load, so usually a cache hit
+      const list = await this._makeRequest('/public/coins/list/v2', { limit: COIN_REGISTRY_SIZE });
+      if (Array.isArray(list.data) && !(list.meta && list.meta.using_mock_data)) {
+        for (const coin of list.data) {
+          if (coin.id !== undefined && coin.id !== null) {
+            listed.set(Number(coin.id), { data: coin, meta: list.meta });
+          }
+        }
+      }
+    }
+    
+    return this._settleBatch(coins, options, async coin => {
+      const entry = await this.coins.resolve(coin);
+      const fromList = entry.id !== null && listed.get(entry.id);
+      
+      if (fromList) {
+        return this._unwrap({ data: { ...fromList.data }, meta: fromList.meta }, normalize.normalizeCoin, options);
+      }
+      
+      return this.getCoinData(entry.id !== null ? entry.id : coin, options);
     });
+  }
+  
+  /**
+   * Get time series for many coins at once, with bounded concurrency
+   * @param {Array<string|number>} coins - Coin symbols, names, aliases or IDs
+   * @param {Object} [options] - getTimeSeries options, plus concurrency
+   * @returns {Promise<Array<Object>>} - One settled result per coin (see getCoinsData)
+   */
+  getTimeSeriesBatch(coins, options = {}) {
+    return this._settleBatch(coins, options, coin => this.getTimeSeries(coin, options));
+  }
+  
+  /**
+   * Get social metrics for many coins at once, with bounded concurrency
+   * @param {Array<string|number>} coins - Coin symbols, names, aliases or IDs
+   * @param {number} [days=7] - Number of days to analyze
+   * @param {Object} [options] - getSocialMetrics options, plus concurrency
+   * @returns {Promise<Array<Object>>} - One settled result per coin (see getCoinsData)
+   */
+  getSocialMetricsBatch(coins, days = 7, options = {}) {
+    return this._settleBatch(coins, options, coin => this.getSocialMetrics(coin, days, options));
+  }
+  
+  /**
+   * Run a per-coin call over a batch, so one failing coin doesn't reject the batch
+   * @private
+   * @param {Array<string|number>} coins - Coin identifiers
+   * @param {Object} options - Call options (concurrency)
+   * @param {Function} fn - Called with each coin
+   * @returns {Promise<Array<Object>>} - Settled results tagged with their coin
+   */
+  async _settleBatch(coins, options, fn) {
+    const concurrency = options.concurrency || this.concurrency;
+    const results = await helpers.mapSettled(coins, concurrency, coin => fn(coin));
+    return results.map((result, index) => ({ coin: coins[index], ...result }));
+  }
+  
+  /**
+   * Calculate post-weighted sentiment from a topic time series
+   * @private
+   * @param {TopicTimeSeriesPoint[]} points - Topic time series
+   * @returns {number|null} - Sentiment (0-100), or null without data
+   */
+  _calculatePeriodSentiment(points) {
+    let total = 0;
+    let weight = 0;
+    
+    for (const point of points) {
+      if (point.sentiment === null) continue;
+      const pointWeight = point.postsCreated || 1;
+      total += point.sentiment * pointWeight;
+      weight += pointWeight;
+    }
     
-    const sum = engagements.reduce((acc, val) => acc + val, 0);
-    return sum / engagements.length;
+    return weight > 0 ? total / weight : null;
   }
 }
 
-module.exports = LunarCrushAdapter;
\ No newline at end of file
+/**
+ * Check whether a value returned by the adapter was served from mock data
+ * @param {Array|Object} value - Value returned by an adapter method
+ * @returns {boolean} - Whether the value is mock data
+ */
+function isMockData(value) {
+  return Boolean(value && value.meta && value.meta.using_mock_data);
+}
+
+/**
+ * Check whether a value returned by the adapter was served from stale cached data
+ * @param {Array|Object} value - Value returned by an adapter method
+ * @returns {boolean} - Whether the value is stale data
+ */
+function isStaleData(value) {
+  return Boolean(value && value.meta && value.meta.using_stale_data);
+}
+
+module.exports = LunarCrushAdapter;
+module.exports.LunarCrushAdapter = LunarCrushAdapter;
+module.exports.isMockData = isMockData;
+module.exports.isStaleData = isStaleData;
+module.exports.RateLimiter = RateLimiter;
+module.exports.FileCache = FileCache;
+module.exports.SqliteCache = SqliteCache;
+module.exports.SchemaValidationError = SchemaValidationError;
+module.exports.FixtureNotFoundError = FixtureNotFoundError;
+module.exports.AmbiguousCoinError = AmbiguousCoinError;
+module.exports.Watcher = Watcher;
+module.exports.SnapshotRecorder = SnapshotRecorder;
+module.exports.JsonlSnapshotStore = JsonlSnapshotStore;
+module.exports.SqliteSnapshotStore = SqliteSnapshotStore;
+Object.assign(module.exports, errors);
\ No newline at end of file
@@ -0,0 +1,426 @@
+const LunarCrushAdapter = require('./index');
+const { isMockData } = require('./index');
+const {
+  LunarCrushError,
+  AuthenticationFailedError,
+  TimeoutError
+} = require('./errors');
+const StubServer = require('../mock/server');
+
+const KEYS = { 'free-key': 'free', 'free-spare-key': 'free', 'paid-key': 'paid', 'spare-key': 'paid' };
+
+/**
+ * Create an adapter for the stub server that retries quickly and never queues locally
+ * @param {string} baseUrl - Stub server URL
+ * @param {Object} [options] - Adapter options
+ * @returns {LunarCrushAdapter} - Adapter
+ */
+function createAdapter(baseUrl, options = {}) {
+  return new LunarCrushAdapter({
+    apiKey: 'paid-key',
+    baseUrl,
+    retry: { baseDelay: 1, jitter: 0 },
+    rateLimit: { perMinute: 1000 },
+    ...options
+  });
+}
+
+/**
+ * Count logged stub requests to an endpoint
+ * @param {StubServer} stub - Stub server
+ * @param {string} endpoint - Endpoint path
+ * @returns {number} - Number of requests
+ */
+function requestsTo(stub, endpoint) {
+  return stub.requestLog.filter(entry => entry.endpoint === endpoint).length;
+}
+
+describe('LunarCrushAdapter against the stub server', () => {
+  const stub = new StubServer({ keys: KEYS, seed: 7 });
+  let baseUrl;
+  let warn;
+
+  beforeAll(async () => {
+    baseUrl = await stub.start();
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => {
+    stub.reset();
+    stub.setLatency(0);
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  describe('tier detection', () => {
+    test('a paid key is detected from its first paid request', async () => {
+      const changes = [];
+      const adapter = createAdapter(baseUrl, { onTierChange: (tier, previous) => changes.push([previous, tier]) });
+      await adapter.getCoinsList(5);
+
+      expect(adapter.auth.apiTier).toBe('paid');
+      expect(changes).toEqual([[null, 'paid']]);
+    });
+
+    test('a free key gets flagged mock data for paid-only endpoints, then stops asking', async () => {
+      const adapter = createAdapter(baseUrl, { apiKey: 'free-key' });
+      const btc = await adapter.getCoinData('BTC');
+
+      expect(isMockData(btc)).toBe(true);
+      expect(btc.meta).toMatchObject({ using_mock_data: true, error_code: 'INSUFFICIENT_PERMISSIONS' });
+
+      const requests = stub.requestLog.length;
+      const eth = await adapter.getCoinData('ETH');
+      expect(isMockData(eth)).toBe(true);
+      expect(stub.requestLog.length).toBe(requests);
+    });
+
+    test('mock fallbacks are reproducible with mockSeed', async () => {
+      const first = await createAdapter(baseUrl, { apiKey: 'free-key', mockSeed: 3 }).getCoinData('BTC');
+      const second = await createAdapter(baseUrl, { apiKey: 'free-key', mockSeed: 3 }).getCoinData('BTC');
+
+      expect(second).toEqual(first);
+    });
+
+    test('a failed probe is not repeated within transientTtl and does not deny the endpoint', async () => {
+      const adapter = createAdapter(baseUrl, { transientTtl: 60 * 1000 });
+      stub.setFailure('coinsListV2', 503);
+
+      expect((await adapter.detectTier()).tier).toBe('unknown');
+      expect((await adapter.detectTier()).tier).toBe('unknown');
+      expect(requestsTo(stub, '/public/coins/list/v2')).toBe(1);
+
+      // Requests still go out and recover once the endpoint does
+      stub.setFailure('coinsListV2', null);
+      const coins = await adapter.getCoinsList(5);
+      expect(isMockData(coins)).toBe(false);
+      expect(adapter.auth.apiTier).toBe('paid');
+    });
+
+    test('a tier override skips detection', async () => {
+      const adapter = createAdapter(baseUrl, { apiKey: 'free-key', tier: 'paid' });
+
+      expect((await adapter.detectTier()).tier).toBe('paid');
+      expect(stub.requestLog).toHaveLength(0);
+    });
+  });
+
+  describe('errors and fallbacks', () => {
+    test('an unknown key gets mock data, or an error without the mock fallback', async () => {
+      const coins = await createAdapter(baseUrl, { apiKey: 'nope' }).getCoinsList(5);
+      expect(isMockData(coins)).toBe(true);
+      expect(coins.meta).toMatchObject({ using_mock_data: true, error_code: 'AUTHENTICATION_FAILED' });
+
+      await expect(createAdapter(baseUrl, { apiKey: 'nope', fallback: 'none' }).getCoinsList(5))
+        .rejects.toBeInstanceOf(AuthenticationFailedError);
+    });
+
+    test('a server error is thrown, never answered with mock data', async () => {
+      const adapter = createAdapter(baseUrl, { retry: false });
+      await adapter.resolveCoin('BTC');
+      stub.setFailure('/public/coins/1/v1', 500);
+
+      const error = await adapter.getCoinData('BTC').catch(caught => caught);
+      expect(error).toBeInstanceOf(LunarCrushError);
+      expect(error).toMatchObject({ status: 500, code: 'MARKET_DATA_UNAVAILABLE', endpoint: '/public/coins/1/v1' });
+    });
+
+    test('a hung request fails with TimeoutError', async () => {
+      const adapter = createAdapter(baseUrl, { retry: false, timeout: 50 });
+      await adapter.resolveCoin('BTC');
+      stub.setLatency(300);
+
+      await expect(adapter.getCoinData('BTC')).rejects.toBeInstanceOf(TimeoutError);
+    });
+  });
+
+  describe('retries', () => {
+    test('a 429 is retried after its Retry-After', async () => {
+      const adapter = createAdapter(baseUrl);
+      stub.failNext(429);
+
+      const startedAt = Date.now();
+      const coins = await adapter.getCoinsList(5);
+
+      expect(isMockData(coins)).toBe(false);
+      expect(requestsTo(stub, '/public/coins/list/v2')).toBe(2);
+      // The stub sends Retry-After: 1
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(900);
+    });
+
+    test('a 429 without retries falls back to mock data', async () => {
+      const adapter = createAdapter(baseUrl, { retry: false });
+      await adapter.resolveCoin('BTC');
+      stub.failNext(429);
+
+      const btc = await adapter.getCoinData('BTC');
+      expect(btc.meta).toMatchObject({ using_mock_data: true, error_code: 'RATE_LIMIT_EXCEEDED' });
+    });
+
+    test('a 5xx is retried and the live response returned', async () => {
+      const adapter = createAdapter(baseUrl);
+      await adapter.resolveCoin('BTC');
+      stub.failNext(503);
+
+      const btc = await adapter.getCoinData('BTC');
+      expect(isMockData(btc)).toBe(false);
+      expect(requestsTo(stub, '/public/coins/1/v1')).toBe(2);
+    });
+
+    test('a persistent 5xx is thrown once attempts run out', async () => {
+      const adapter = createAdapter(baseUrl);
+      await adapter.resolveCoin('BTC');
+      stub.setFailure('/public/coins/1/v1', 500);
+
+      await expect(adapter.getCoinData('BTC')).rejects.toMatchObject({ status: 500 });
+      expect(requestsTo(stub, '/public/coins/1/v1')).toBe(3);
+    });
+
+    test('time queued in the rate limiter counts against the retry deadline', async () => {
+      const adapter = createAdapter(baseUrl, { rateLimit: { perMinute: 1 }, retry: { deadline: 1000 } });
+      await adapter.getCoinsList(5);
+
+      // The next slot is a minute away, past the one-second deadline, so the request is refused at once
+      const startedAt = Date.now();
+      const coins = await adapter.getCoinsList(6);
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      expect(coins.meta).toMatchObject({ using_mock_data: true, error_code: 'RATE_LIMIT_EXCEEDED' });
+    });
+  });
+
+  describe('key rotation', () => {
+    test('a 402 moves the request to a key that can serve it', async () => {
+      const adapter = createAdapter(baseUrl, { apiKeys: ['free-key', 'paid-key'] });
+      const btc = await adapter.getCoinData('BTC');
+
+      expect(isMockData(btc)).toBe(false);
+      expect(adapter.getKeyHealth().map(({ tier }) => tier)).toEqual(['free', 'paid']);
+
+      // Now that the tiers are known, paid endpoints go straight to the paid key
+      const requests = stub.requestLog.length;
+      await adapter.getCoinData('ETH');
+      expect(stub.requestLog.length).toBe(requests + 1);
+    });
+
+    test('a 429 rotates to a key with budget left, without retrying', async () => {
+      const adapter = createAdapter(baseUrl, { apiKeys: ['paid-key', 'spare-key'], retry: false });
+      stub.failNext(429);
+
+      const coins = await adapter.getCoinsList(5);
+      expect(isMockData(coins)).toBe(false);
+      expect(requestsTo(stub, '/public/coins/list/v2')).toBe(2);
+
+      const [first, second] = adapter.getKeyHealth();
+      expect(first).toMatchObject({ requests: 1, rateLimited: 1, lastStatus: 429 });
+      expect(first.rateLimit.pausedFor).toBeGreaterThan(0);
+      expect(second).toMatchObject({ requests: 1, rateLimited: 0, lastStatus: 200 });
+    });
+
+    test('falls back only once every key is refused', async () => {
+      const adapter = createAdapter(baseUrl, { apiKeys: ['free-key', 'free-spare-key'] });
+      await adapter.resolveCoin('BTC');
+      stub.reset();
+
+      const btc = await adapter.getCoinData('BTC');
+      expect(btc.meta).toMatchObject({ using_mock_data: true, error_code: 'INSUFFICIENT_PERMISSIONS' });
+      expect(requestsTo(stub, '/public/coins/1/v1')).toBe(2);
+    });
+
+    test('never exposes key values in health reports or errors', async () => {
+      const keys = ['secret-one-123456', 'secret-two-654321'];
+      const adapter = createAdapter(baseUrl, { apiKeys: keys, fallback: 'none' });
+      const error = await adapter.getCoinsList(5).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(AuthenticationFailedError);
+      const exposed = [
+        JSON.stringify(adapter.getKeyHealth()),
+        JSON.stringify(adapter.getTierStatus()),
+        JSON.stringify(adapter.getRateLimitStatus()),
+        error.message,
+        error.stack,
+        JSON.stringify(error)
+      ].join('\n');
+      for (const key of keys) {
+        expect(exposed).not.toContain(key);
+      }
+      expect(adapter.getKeyHealth().map(({ id }) => id)).toEqual([expect.stringMatching(/^key-1:/), expect.stringMatching(/^key-2:/)]);
+    });
+  });
+
+  describe('coin resolution', () => {
+    test('coin-taking methods send the canonical ID for symbols, names and IDs', async () => {
+      const adapter = createAdapter(baseUrl);
+
+      expect(await adapter.resolveCoin('bitcoin')).toMatchObject({ id: 1, symbol: 'BTC' });
+      const coins = [await adapter.getCoinData('Bitcoin'), await adapter.getCoinData('btc'), await adapter.getCoinData(1)];
+
+      // All three share one cached request to the canonical ID
+      expect(coins.map(coin => coin.symbol)).toEqual(['BTC', 'BTC', 'BTC']);
+      expect(requestsTo(stub, '/public/coins/1/v1')).toBe(1);
+      expect(requestsTo(stub, '/public/coins/list/v2')).toBe(1);
+    });
+  });
+
+  describe('categories and ecosystems', () => {
+    test('lists categories from the free endpoint', async () => {
+      const categories = await createAdapter(baseUrl, { apiKey: 'free-key' }).getCategories();
+
+      expect(isMockData(categories)).toBe(false);
+      expect(categories.length).toBeGreaterThan(0);
+      expect(requestsTo(stub, '/public/categories/list/v1')).toBe(1);
+    });
+
+    test('pages through the coins list until a category has enough coins', async () => {
+      const coins = await createAdapter(baseUrl).getCategoryCoins('ai', { limit: 7, pageSize: 3 });
+      const pages = stub.requestLog.filter(entry => entry.endpoint === '/public/coins/list/v2');
+
+      expect(coins).toHaveLength(7);
+      expect(pages.map(entry => entry.query)).toEqual([0, 1, 2].map(page => ({ filter: 'ai', limit: '3', page: String(page) })));
+      expect(new Set(coins.map(coin => coin.symbol)).size).toBe(7);
+    });
+
+    test('stops at the first short page', async () => {
+      const coins = await createAdapter(baseUrl).getCategoryCoins('no-such-category', { limit: 10, pageSize: 5 });
+
+      expect(coins).toEqual([]);
+      expect(requestsTo(stub, '/public/coins/list/v2')).toBe(1);
+    });
+
+    test('lists explicit symbols first, then coins from every category with match all', async () => {
+      const adapter = createAdapter(baseUrl);
+      adapter.defineEcosystem('majors', ['ETH', 'BTC']);
+      adapter.defineEcosystem('ai-defi', { categories: ['ai', 'defi'], match: 'all' });
+
+      const majors = await adapter.getEcosystemCoins('majors', 5);
+      expect(majors.map(coin => coin.symbol)).toEqual(['ETH', 'BTC']);
+
+      const aiDefi = await adapter.getEcosystemCoins('ai-defi', 5, { pageSize: 200, raw: true });
+      expect(aiDefi.length).toBeGreaterThan(0);
+      for (const coin of aiDefi) {
+        expect(coin.categories.split(',')).toEqual(expect.arrayContaining(['ai', 'defi']));
+      }
+    });
+  });
+
+  describe('batches', () => {
+    test('getCoinsData serves listed coins from the single coins list response', async () => {
+      const adapter = createAdapter(baseUrl);
+      const results = await adapter.getCoinsData(['BTC', 'eth', 'Solana']);
+
+      expect(results.map(result => [result.coin, result.status, result.value.symbol])).toEqual([
+        ['BTC', 'fulfilled', 'BTC'],
+        ['eth', 'fulfilled', 'ETH'],
+        ['Solana', 'fulfilled', 'SOL']
+      ]);
+      expect(requestsTo(stub, '/public/coins/list/v2')).toBe(1);
+      expect(stub.requestLog).toHaveLength(1);
+    });
+
+    test('one failing coin does not reject the batch', async () => {
+      const adapter = createAdapter(baseUrl, { retry: false });
+      await adapter.resolveCoin('ETH');
+      stub.setFailure('/public/coins/2/v1', 500);
+
+      const results = await adapter.getCoinsData(['BTC', 'ETH', 'SOL'], { fromList: false, concurrency: 2 });
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+      expect(results[1]).toMatchObject({ coin: 'ETH', reason: { status: 500 } });
+    });
+
+    test('ecosystems leave out symbols that fail and list them in failed', async () => {
+      const adapter = createAdapter(baseUrl, { retry: false });
+      adapter.defineEcosystem('majors', ['BTC', 'ETH', 'SOL']);
+      await adapter.resolveCoin('ETH');
+      stub.setFailure('/public/coins/2/v1', 500);
+
+      const coins = await adapter.getEcosystemCoins('majors', 3);
+      expect(coins.map(coin => coin.symbol)).toEqual(['BTC', 'SOL']);
+      expect(coins.failed).toEqual([{ coin: 'ETH', error: expect.any(String) }]);
+      expect(Object.keys(coins)).not.toContain('failed');
+    });
+  });
+
+  describe('correlation', () => {
+    test('rejects unsupported options before sending any request', async () => {
+      const adapter = createAdapter(baseUrl);
+
+      await expect(adapter.correlate('BTC', { x: 'mood' })).rejects.toMatchObject({ code: 'CONFIGURATION_INVALID' });
+      await expect(adapter.correlate('BTC', { maxLag: -1 })).rejects.toMatchObject({ code: 'CONFIGURATION_INVALID' });
+      await expect(adapter.correlateEcosystem('solana', { method: 'kendall' })).rejects.toMatchObject({ code: 'CONFIGURATION_INVALID' });
+      expect(stub.requestLog).toHaveLength(0);
+    });
+  });
+
+  describe('stub server', () => {
+    test('a paid key gets live data from the configured base URL', async () => {
+      const adapter = createAdapter(baseUrl);
+      const coins = await adapter.getCoinsList(5);
+      const btc = await adapter.getCoinData('BTC');
+
+      expect(coins).toHaveLength(5);
+      expect(isMockData(coins)).toBe(false);
+      expect(btc.symbol).toBe('BTC');
+      expect(isMockData(btc)).toBe(false);
+      expect(requestsTo(stub, '/public/coins/1/v1')).toBe(1);
+    });
+
+    test('a free key falls back to the v1 coins list after a 402', async () => {
+      const adapter = createAdapter(baseUrl, { apiKey: 'free-key' });
+      const coins = await adapter.getCoinsList(5);
+
+      expect(coins).toHaveLength(5);
+      expect(isMockData(coins)).toBe(false);
+      expect(requestsTo(stub, '/public/coins/list/v2')).toBe(1);
+      expect(requestsTo(stub, '/public/coins/list/v1')).toBe(1);
+    });
+
+    test('fails endpoints by name until cleared', async () => {
+      const adapter = createAdapter(baseUrl, { retry: false, fallback: 'none' });
+      stub.setFailure('topicCreators', 401);
+
+      await expect(adapter.getTopicCreators('bitcoin')).rejects.toMatchObject({ status: 401 });
+
+      stub.setFailure('topicCreators', null);
+      // The adapter remembers the denial, so ask with a fresh one
+      await expect(createAdapter(baseUrl).getTopicCreators('bitcoin')).resolves.not.toHaveLength(0);
+    });
+
+    test('enforces its per-minute budget', async () => {
+      // getTopicSentiment sends two requests: the topic and its time series
+      const limited = new StubServer({ keys: KEYS, perMinute: 4 });
+      const url = await limited.start();
+
+      try {
+        const adapter = createAdapter(url, { retry: false, fallback: 'none' });
+        await adapter.getTopicSentiment('bitcoin');
+        await adapter.getTopicSentiment('solana');
+        await expect(adapter.getTopicSentiment('ethereum')).rejects.toMatchObject({ status: 429, retryAfter: 1000 });
+      } finally {
+        await limited.stop();
+      }
+    });
+
+    test('keeps the most recent requests and forgets them on reset', async () => {
+      const logged = new StubServer({ keys: KEYS, logSize: 2 });
+      const url = await logged.start();
+
+      try {
+        const adapter = createAdapter(url);
+        await adapter.getTopicCreators('bitcoin');
+        await adapter.getTopicCreators('solana');
+        await adapter.getTopicCreators('ethereum');
+
+        expect(logged.requestLog.map(entry => entry.endpoint))
+          .toEqual(['/public/topic/solana/creators/v1', '/public/topic/ethereum/creators/v1']);
+
+        logged.reset();
+        expect(logged.requestLog).toEqual([]);
+      } finally {
+        await logged.stop();
+      }
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const LunarCrushAuth = require('./auth');
+const RateLimiter = require('./rate-limiter');
+const { matchEndpoint } = require('./endpoints');
+
+// Denial reasons, strongest first, used when no key can serve an endpoint
+const DENIAL_PRIORITY = ['subscription', 'invalid'];
+
+/**
+ * Pool of LunarCrush API keys with per-key tier and quota tracking
+ * Keys are only ever exposed through their id (label or fingerprint)
+ */
+class KeyPool {
+  /**
+   * Create a new key pool
+   * @param {Array<string|Object>} keys - API keys, or { key, label, tier } objects
+   * @param {Object} options - Configuration options
+   * @param {HttpClient} options.http - Shared HTTP client
+   * @param {string} [options.tier] - Tier override applied to keys without their own
+   * @param {number} [options.transientTtl] - How long a network error or 5xx pauses probing of
+   *   an endpoint with a key (see LunarCrushAuth)
+   * @param {Object} [options.rateLimit] - Rate limit options for each key's limiter
+   * @param {RateLimiter} [options.rateLimiter] - Limiter to use when the pool has a single key
+   * @param {Function} [options.onTierChange] - Called with (tier, previousTier, keyId)
+   */
+  constructor(keys, options = {}) {
+    const definitions = keys.map(key => (typeof key === 'object' && key !== null ? key : { key }));
+
+    this.entries = definitions.map((definition, index) => {
+      const auth = new LunarCrushAuth(definition.key, {
+        http: options.http,
+        tier: definition.tier || options.tier,
+        transientTtl: options.transientTtl
+      });
+      const id = definition.label || KeyPool.fingerprint(definition.key, index);
+
+      if (options.onTierChange) {
+        auth.on('tierChange', (tier, previous) => options.onTierChange(tier, previous, id));
+      }
+
+      return {
+        id,
+        key: definition.key,
+        auth,
+        rateLimiter: definitions.length === 1 && options.rateLimiter
+          ? options.rateLimiter
+          : new RateLimiter(options.rateLimit),
+        stats: {
+          requests: 0,
+          failures: 0,
+          rateLimited: 0,
+          lastStatus: null,
+          lastErrorCode: null,
+          lastUsedAt: null
+        }
+      };
+    });
+  }
+
+  /**
+   * Build a log-safe identifier for a key
+   * @param {string} key - API key
+   * @param {number} index - Position in the pool
+   * @returns {string} - Identifier such as key-1:3fa9c2
+   */
+  static fingerprint(key, index) {
+    const hash = key ? crypto.createHash('sha256').update(key).digest('hex').slice(0, 6) : 'none';
+    return `key-${index + 1}:${hash}`;
+  }
+
+  /**
+   * Number of keys in the pool
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Pick the best key for an endpoint
+   * Keys known to reach the endpoint come first (paid keys for paid endpoints),
+   * then keys whose last request to it did not recently fail, then keys with the
+   * most remaining budget; paused keys come last
+   * @param {string} endpoint - API endpoint
+   * @param {Object} [options] - Selection options
+   * @param {Set<Object>} [options.exclude] - Entries already tried for this request
+   * @param {boolean} [options.skipPaused=false] - Ignore keys paused after a 429
+   * @returns {Object|null} - Pool entry, or null when no key can serve the endpoint
+   */
+  select(endpoint, options = {}) {
+    const exclude = options.exclude || new Set();
+    const route = matchEndpoint(endpoint);
+    const paidEndpoint = Boolean(route) && route.tier === 'paid';
+
+    const candidates = this.entries
+      .filter(entry => !exclude.has(entry) && entry.auth.getDenialReason(endpoint) === null)
+      .map(entry => {
+        const capabilities = entry.auth.getCapabilities();
+        const known = route && capabilities[route.path] && capabilities[route.path].access;
+        const status = entry.rateLimiter.getStatus();
+
+        return {
+          entry,
+          paused: status.pausedFor > 0,
+          failed: entry.auth.isRecentlyFailed(endpoint),
+          score: (known ? 2 : 0) + (paidEndpoint && entry.auth.apiTier === 'paid' ? 1 : 0),
+          remaining: Math.min(status.minute.remaining, status.day.remaining)
+        };
+      })
+      .filter(candidate => !(options.skipPaused && candidate.paused));
+
+    candidates.sort((a, b) =>
+      (a.paused - b.paused) || (b.score - a.score) || (a.failed - b.failed) || (b.remaining - a.remaining));
+
+    return candidates.length > 0 ? candidates[0].entry : null;
+  }
+
+  /**
+   * Best tier across the pool (paid, free, unknown, then invalid)
+   * @returns {string} - API tier
+   */
+  getTier() {
+    const tiers = this.entries.map(entry => entry.auth.apiTier);
+    return ['paid', 'free', 'unknown'].find(tier => tiers.includes(tier)) || 'invalid';
+  }
+
+  /**
+   * Explain why no key can serve an endpoint
+   * @param {string} endpoint - API endpoint
+   * @returns {string|null} - subscription or invalid
+   */
+  getDenialReason(endpoint) {
+    const reasons = this.entries.map(entry => entry.auth.getDenialReason(endpoint));
+    return DENIAL_PRIORITY.find(reason => reasons.includes(reason)) || null;
+  }
+
+  /**
+   * Record the outcome of a request made with a key
+   * @param {Object} entry - Pool entry
+   * @param {string} endpoint - API endpoint
+   * @param {number|null} status - HTTP status, or null when no response arrived
+   * @param {string} [errorCode] - Error code when the request failed
+   */
+  record(entry, endpoint, status, errorCode) {
+    entry.stats.requests++;
+    entry.stats.lastStatus = status;
+    entry.stats.lastUsedAt = Date.now();
+
+    if (errorCode) {
+      entry.stats.failures++;
+      entry.stats.lastErrorCode = errorCode;
+    }
+
+    if (status === 429) {
+      entry.stats.rateLimited++;
+    }
+
+    entry.auth.recordResult(endpoint, status);
+  }
+
+  /**
+   * Get the health of every key
+   * @returns {Array<Object>} - One report per key; keys themselves are never included
+   */
+  getHealth() {
+    return this.entries.map(entry => ({
+      id: entry.id,
+      tier: entry.auth.apiTier,
+      capabilities: entry.auth.getCapabilities(),
+      recentFailures: entry.auth.getRecentFailures(),
+      rateLimit: entry.rateLimiter.getStatus(),
+      ...entry.stats
+    }));
+  }
+}
+
+module.exports = KeyPool;
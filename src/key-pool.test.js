@@ -0,0 +1,76 @@
+const KeyPool = require('./key-pool');
+
+const COIN = '/public/coins/1/v1';
+const TOPIC = '/public/topic/bitcoin/v1';
+
+/**
+ * Create a pool whose keys are never sent anywhere
+ * @param {Array<string|Object>} keys - API keys
+ * @param {Object} [options] - Pool options
+ * @returns {KeyPool} - Key pool
+ */
+function createPool(keys, options = {}) {
+  return new KeyPool(keys, { http: { get: jest.fn() }, ...options });
+}
+
+describe('KeyPool', () => {
+  test('identifies keys by label or fingerprint', () => {
+    const pool = createPool([{ key: 'first-secret', label: 'main' }, 'second-secret']);
+
+    expect(pool.size).toBe(2);
+    expect(pool.entries.map(entry => entry.id)).toEqual(['main', KeyPool.fingerprint('second-secret', 1)]);
+    expect(KeyPool.fingerprint('second-secret', 1)).toMatch(/^key-2:[0-9a-f]{6}$/);
+    expect(JSON.stringify(pool.getHealth())).not.toMatch(/secret/);
+  });
+
+  test('sends paid endpoints to keys known to reach them', () => {
+    const pool = createPool(['a', 'b']);
+    const [free, paid] = pool.entries;
+    pool.record(free, COIN, 402, 'INSUFFICIENT_PERMISSIONS');
+
+    expect(pool.select(COIN)).toBe(paid);
+
+    pool.record(paid, COIN, 200);
+    expect(pool.select(COIN)).toBe(paid);
+    expect(pool.getTier()).toBe('paid');
+    expect(pool.getHealth()[0]).toMatchObject({ tier: 'free', requests: 1, failures: 1, lastErrorCode: 'INSUFFICIENT_PERMISSIONS' });
+  });
+
+  test('prefers the key with the most remaining budget', async () => {
+    const pool = createPool(['a', 'b'], { rateLimit: { perMinute: 10 } });
+    await pool.entries[0].rateLimiter.acquire();
+
+    expect(pool.select(TOPIC)).toBe(pool.entries[1]);
+  });
+
+  test('passes over keys whose request recently failed, and paused keys last of all', () => {
+    const pool = createPool(['a', 'b', 'c']);
+    pool.record(pool.entries[0], TOPIC, 503, 'MARKET_DATA_UNAVAILABLE');
+    pool.entries[1].rateLimiter.pause(60 * 1000);
+
+    expect(pool.select(TOPIC)).toBe(pool.entries[2]);
+    expect(pool.select(TOPIC, { exclude: new Set([pool.entries[2]]) })).toBe(pool.entries[0]);
+    expect(pool.select(TOPIC, { exclude: new Set([pool.entries[0], pool.entries[2]]), skipPaused: true })).toBeNull();
+    expect(pool.getHealth()[0].recentFailures).toEqual({ '/public/topic/:topic/v1': expect.objectContaining({ status: 503 }) });
+  });
+
+  test('explains why no key can serve an endpoint', () => {
+    const pool = createPool(['a', 'b']);
+    pool.record(pool.entries[0], COIN, 402);
+    pool.record(pool.entries[1], COIN, 401);
+
+    expect(pool.select(COIN)).toBeNull();
+    expect(pool.getDenialReason(COIN)).toBe('subscription');
+    expect(pool.getTier()).toBe('free');
+  });
+
+  test('reports tier changes with the key id', () => {
+    const changes = [];
+    const pool = createPool([{ key: 'a', label: 'main' }], {
+      onTierChange: (tier, previous, id) => changes.push([id, previous, tier])
+    });
+    pool.record(pool.entries[0], COIN, 200);
+
+    expect(changes).toEqual([['main', null, 'paid']]);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Model Context Protocol server for the LunarCrush adapter
+ *
+ * Exposes getCoinsList, getCoinData, getTimeSeries, getTopicSentiment,
+ * getEcosystemCoins and getSocialMetrics as MCP tools, over stdio
+ * (newline-delimited JSON-RPC) or local HTTP (JSON responses to POSTs on
+ * one endpoint, without server-sent events).
+ * @module mcp
+ */
+
+const http = require('http');
+const readline = require('readline');
+const McpServer = require('./server');
+const { TOOLS } = require('./tools');
+
+const MAX_BODY = 1024 * 1024; // 1 MB
+
+/**
+ * Serve MCP over stdio: one JSON-RPC message per line in, one per line out
+ * Nothing else may be written to the output stream
+ * @param {McpServer} server - MCP server
+ * @param {Object} [options] - Transport options
+ * @param {Readable} [options.input=process.stdin] - Stream messages are read from
+ * @param {Writable} [options.output=process.stdout] - Stream responses are written to
+ * @returns {Promise<void>} - Resolves once the input ends and every response is written
+ */
+function serveStdio(server, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+
+  return new Promise(resolve => {
+    lines.on('line', line => {
+      if (!line.trim()) return;
+
+      // Requests run concurrently; responses go out as they finish
+      const job = server.handleText(line).then(response => {
+        if (response) output.write(`${JSON.stringify(response)}\n`);
+      });
+      pending.add(job);
+      job.finally(() => pending.delete(job));
+    });
+
+    lines.once('close', () => {
+      Promise.all(pending).then(() => resolve());
+    });
+  });
+}
+
+/**
+ * Serve MCP over HTTP on one endpoint
+ * POST a JSON-RPC message to get its response as JSON (202 for notifications).
+ * Requests from browser origins other than localhost are refused, so web pages
+ * can't reach the server through DNS rebinding.
+ * @param {McpServer} server - MCP server
+ * @param {Object} [options] - Transport options
+ * @param {number} [options.port=3333] - Port (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @param {string} [options.path='/mcp'] - Endpoint path
+ * @returns {Promise<http.Server>} - Listening HTTP server
+ */
+function serveHttp(server, options = {}) {
+  const port = options.port !== undefined ? options.port : 3333;
+  const host = options.host || '127.0.0.1';
+  const endpoint = options.path || '/mcp';
+
+  const httpServer = http.createServer((req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, body === undefined ? headers : { 'content-type': 'application/json', ...headers });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    if (new URL(req.url, 'http://localhost').pathname !== endpoint) {
+      send(404, { error: `Not found. The MCP endpoint is ${endpoint}` });
+      return;
+    }
+
+    if (!isLocalOrigin(req.headers.origin)) {
+      send(403, McpServer.error(null, McpServer.RPC_ERRORS.invalidRequest, 'Origin not allowed'));
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      // No server-initiated messages, so there is no event stream to open
+      send(405, undefined, { allow: 'POST' });
+      return;
+    }
+
+    let body = '';
+    let tooLarge = false;
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        tooLarge = true;
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+
+      server.handleText(body).then(response => {
+        if (response) {
+          send(response.error && response.error.code === McpServer.RPC_ERRORS.parse ? 400 : 200, response);
+        } else {
+          send(202);
+        }
+      }).catch(error => {
+        send(500, McpServer.error(null, McpServer.RPC_ERRORS.internal, error.message));
+      });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve(httpServer);
+    });
+  });
+}
+
+/**
+ * Check that a request's Origin header, when present, is a localhost origin
+ * @private
+ * @param {string|undefined} origin - Origin header
+ * @returns {boolean} - Whether the origin is allowed
+ */
+function isLocalOrigin(origin) {
+  if (!origin) return true;
+
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  McpServer,
+  TOOLS,
+  serveStdio,
+  serveHttp
+};
@@ -0,0 +1,80 @@
+const { PassThrough } = require('stream');
+const { McpServer, serveStdio, serveHttp } = require('./index');
+
+/**
+ * Create a server over an adapter whose coin data resolves after a delay
+ * @returns {McpServer} - Server
+ */
+function createServer() {
+  return new McpServer({
+    adapter: {
+      getCoinData: jest.fn(() => new Promise(resolve => setTimeout(() => resolve({ symbol: 'BTC', name: 'Bitcoin' }), 20)))
+    }
+  });
+}
+
+describe('serveStdio', () => {
+  test('answers one line per request and finishes pending calls after the input ends', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const lines = [];
+    output.on('data', chunk => lines.push(...chunk.toString('utf8').split('\n').filter(Boolean)));
+
+    const done = serveStdio(createServer(), { input, output });
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_coin_data', arguments: { coin: 'BTC' } } })}\n`);
+    input.write('\n');
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'ping' })}\n`);
+    input.end('not json\n');
+    await done;
+
+    const responses = lines.map(line => JSON.parse(line));
+    expect(responses).toHaveLength(3);
+    expect(responses).toEqual(expect.arrayContaining([
+      { jsonrpc: '2.0', id: 2, result: {} },
+      expect.objectContaining({ id: null, error: expect.objectContaining({ code: McpServer.RPC_ERRORS.parse }) })
+    ]));
+    // The slow tool call is answered last, without holding up the requests after it
+    expect(responses[2]).toMatchObject({ id: 1, result: { isError: false } });
+  });
+});
+
+describe('serveHttp', () => {
+  let httpServer;
+  let url;
+
+  beforeEach(async () => {
+    httpServer = await serveHttp(createServer(), { port: 0 });
+    url = `http://127.0.0.1:${httpServer.address().port}/mcp`;
+  });
+
+  afterEach(done => {
+    httpServer.close(done);
+  });
+
+  /**
+   * POST a body to the endpoint
+   * @param {string} body - Request body
+   * @param {Object} [headers] - Extra headers
+   * @returns {Promise<Response>} - Response
+   */
+  function post(body, headers = {}) {
+    return fetch(url, { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body });
+  }
+
+  test('answers POSTed requests, and 202 for notifications', async () => {
+    const response = await post(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }));
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+
+    expect((await post(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }))).status).toBe(202);
+    expect((await post('{')).status).toBe(400);
+  });
+
+  test('refuses other paths, methods and browser origins', async () => {
+    expect((await fetch(url.replace('/mcp', '/other'))).status).toBe(404);
+    expect((await fetch(url)).status).toBe(405);
+    expect((await post('{}', { origin: 'https://example.com' })).status).toBe(403);
+    expect((await post(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }), { origin: 'http://localhost:5173' })).status).toBe(200);
+  });
+});
@@ -0,0 +1,230 @@
+const { LunarCrushError } = require('../errors');
+const { TOOLS, checkArguments } = require('./tools');
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_INFO = { name: 'lunarcrush', title: 'LunarCrush', version: '0.1.0' };
+
+const INSTRUCTIONS = 'LunarCrush crypto market and social data. Every result starts with a summary ' +
+  'sentence, then the data. When a result says mock is true, the numbers are generated placeholders, ' +
+  'not live LunarCrush data: say so and do not base conclusions on them.';
+
+/**
+ * JSON-RPC error codes
+ */
+const RPC_ERRORS = {
+  parse: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internal: -32603
+};
+
+/**
+ * Model Context Protocol server exposing adapter methods as tools
+ *
+ * Transport-agnostic: handle() takes one JSON-RPC message and resolves to the
+ * response, or null for notifications. Tool results carry a summary sentence,
+ * data cut down to `maxItems` items and `maxChars` characters, and a `mock` flag.
+ */
+class McpServer {
+  /**
+   * Create a new MCP server
+   * @param {Object} options - Configuration options
+   * @param {LunarCrushAdapter} options.adapter - Adapter the tools call
+   * @param {number} [options.maxItems=25] - Most list items (coins, points, anomalies) in a result
+   * @param {number} [options.maxChars=20000] - Most characters of a result's text
+   */
+  constructor(options = {}) {
+    if (!options.adapter) {
+      throw new LunarCrushError('McpServer requires an adapter', { code: 'CONFIGURATION_INVALID' });
+    }
+
+    this.adapter = options.adapter;
+    this.maxItems = options.maxItems || 25;
+    this.maxChars = options.maxChars || 20000;
+    this.tools = new Map(TOOLS.map(tool => [tool.name, tool]));
+  }
+
+  /**
+   * Handle one JSON-RPC message
+   * @param {Object} message - Parsed JSON-RPC request or notification
+   * @returns {Promise<Object|null>} - Response, or null when the message needs none
+   */
+  async handle(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) ||
+        message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses from the client (we send no requests) are ignored
+      if (message && typeof message === 'object' && !message.method && ('result' in message || 'error' in message)) {
+        return null;
+      }
+      return McpServer.error(message && message.id !== undefined ? message.id : null, RPC_ERRORS.invalidRequest, 'Invalid request');
+    }
+
+    const notification = message.id === undefined || message.id === null;
+    let result;
+
+    try {
+      result = await this._dispatch(message.method, message.params || {});
+    } catch (error) {
+      if (notification) return null;
+      return McpServer.error(message.id, error.rpcCode || RPC_ERRORS.internal, error.message);
+    }
+
+    return notification ? null : { jsonrpc: '2.0', id: message.id, result };
+  }
+
+  /**
+   * Handle a raw message, as read from a transport
+   * @param {string} text - JSON text
+   * @returns {Promise<Object|null>} - Response, or null when the message needs none
+   */
+  handleText(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      return Promise.resolve(McpServer.error(null, RPC_ERRORS.parse, `Parse error: ${error.message}`));
+    }
+    return this.handle(message);
+  }
+
+  /**
+   * List the tools
+   * @returns {Array<Object>} - MCP tool definitions
+   */
+  listTools() {
+    return Array.from(this.tools.values(), ({ name, title, description, inputSchema }) => ({
+      name,
+      title,
+      description,
+      inputSchema,
+      annotations: { readOnlyHint: true, openWorldHint: true }
+    }));
+  }
+
+  /**
+   * Call a tool
+   * Bad arguments and adapter failures become results with isError, so the
+   * model sees what went wrong
+   * @param {string} name - Tool name
+   * @param {Object} [args] - Tool arguments
+   * @returns {Promise<Object>} - MCP tool result
+   * @throws {Error} - With rpcCode invalidParams when the tool doesn't exist
+   */
+  async callTool(name, args) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw McpServer.rpcError(RPC_ERRORS.invalidParams, `Unknown tool: ${name}`);
+    }
+
+    let checked;
+    let value;
+    try {
+      checked = checkArguments(tool.inputSchema, args);
+      value = await tool.call(this.adapter, checked);
+    } catch (error) {
+      const code = error.code ? ` (${error.code})` : '';
+      return {
+        content: [{ type: 'text', text: `${name} failed: ${error.message}${code}` }],
+        isError: true
+      };
+    }
+
+    return this._toResult(tool, value, checked);
+  }
+
+  /**
+   * Route a method to its handler
+   * @private
+   * @param {string} method - JSON-RPC method
+   * @param {Object} params - Parameters
+   * @returns {Promise<Object>} - Result
+   */
+  async _dispatch(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+          capabilities: { tools: { listChanged: false } },
+          serverInfo: SERVER_INFO,
+          instructions: INSTRUCTIONS
+        };
+      case 'ping':
+      case 'notifications/initialized':
+      case 'notifications/cancelled':
+        return {};
+      case 'tools/list':
+        return { tools: this.listTools() };
+      case 'tools/call':
+        if (!params.name) throw McpServer.rpcError(RPC_ERRORS.invalidParams, 'Missing tool name');
+        return this.callTool(params.name, params.arguments);
+      default:
+        throw McpServer.rpcError(RPC_ERRORS.methodNotFound, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Build a tool result, halving the item count until the text fits maxChars
+   * @private
+   * @param {Object} tool - Tool definition
+   * @param {*} value - Adapter result
+   * @param {Object} args - Checked arguments
+   * @returns {Object} - MCP tool result with text and structured content
+   */
+  _toResult(tool, value, args) {
+    const meta = (value && value.meta) || {};
+    const mock = Boolean(meta.using_mock_data);
+    const stale = Boolean(meta.using_stale_data);
+    let limit = this.maxItems;
+    let output;
+    let text;
+
+    for (;;) {
+      const { summary, data, total, returned } = tool.present(value, limit, args);
+      output = { summary, mock, stale, truncated: returned < total, returned, total, data };
+
+      const warning = mock
+        ? `WARNING: mock data, not live LunarCrush data (${meta.error_code || 'API unavailable'}).\n`
+        : stale ? 'Note: cached data served because LunarCrush was unavailable; it may be out of date.\n' : '';
+      text = `${warning}${summary}\n\n${JSON.stringify(output)}`;
+
+      if (text.length <= this.maxChars || limit <= 1) break;
+      limit = Math.floor(limit / 2);
+    }
+
+    if (text.length > this.maxChars) {
+      text = `${text.slice(0, this.maxChars)}\n[truncated]`;
+    }
+
+    return { content: [{ type: 'text', text }], structuredContent: output, isError: false };
+  }
+
+  /**
+   * Create an error that handle() turns into a JSON-RPC error response
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @returns {Error} - Error with rpcCode
+   */
+  static rpcError(code, message) {
+    const error = new Error(message);
+    error.rpcCode = code;
+    return error;
+  }
+
+  /**
+   * Build a JSON-RPC error response
+   * @param {string|number|null} id - Request ID
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @returns {Object} - Error response
+   */
+  static error(id, code, message) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+  }
+}
+
+McpServer.RPC_ERRORS = RPC_ERRORS;
+McpServer.PROTOCOL_VERSIONS = PROTOCOL_VERSIONS;
+
+module.exports = McpServer;
@@ -0,0 +1,163 @@
+const McpServer = require('./server');
+
+const BTC = { symbol: 'BTC', name: 'Bitcoin', price: 42000, percentChange24h: 1.5, galaxyScore: 70, volume24h: 2.1e10 };
+
+/**
+ * Build a JSON-RPC request
+ * @param {number} id - Request ID
+ * @param {string} method - Method
+ * @param {Object} [params] - Parameters
+ * @returns {Object} - Request
+ */
+function request(id, method, params) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+/**
+ * Call a tool through handle()
+ * @param {McpServer} server - Server
+ * @param {string} name - Tool name
+ * @param {Object} [args] - Tool arguments
+ * @returns {Promise<Object>} - Tool result
+ */
+async function callTool(server, name, args) {
+  const response = await server.handle(request(1, 'tools/call', { name, arguments: args }));
+  return response.result;
+}
+
+describe('McpServer', () => {
+  let adapter;
+  let server;
+
+  beforeEach(() => {
+    adapter = {
+      getCoinsList: jest.fn(async limit => Array.from({ length: limit }, (unused, index) => ({ ...BTC, symbol: `C${index}` }))),
+      getCoinData: jest.fn(async () => ({ ...BTC })),
+      getTimeSeries: jest.fn(async () => [])
+    };
+    server = new McpServer({ adapter });
+  });
+
+  test('requires an adapter', () => {
+    expect(() => new McpServer()).toThrow(expect.objectContaining({ code: 'CONFIGURATION_INVALID' }));
+  });
+
+  test('initializes with the client protocol version when supported', async () => {
+    const response = await server.handle(request(1, 'initialize', { protocolVersion: '2025-03-26' }));
+    expect(response).toMatchObject({
+      jsonrpc: '2.0',
+      id: 1,
+      result: { protocolVersion: '2025-03-26', capabilities: { tools: { listChanged: false } }, serverInfo: { name: 'lunarcrush' } }
+    });
+
+    const fallback = await server.handle(request(2, 'initialize', { protocolVersion: '1999-01-01' }));
+    expect(fallback.result.protocolVersion).toBe(McpServer.PROTOCOL_VERSIONS[0]);
+  });
+
+  test('answers JSON-RPC errors for bad messages and unknown methods', async () => {
+    expect(await server.handle({ id: 3, method: 'ping' })).toEqual({
+      jsonrpc: '2.0', id: 3, error: { code: McpServer.RPC_ERRORS.invalidRequest, message: 'Invalid request' }
+    });
+    expect(await server.handle([request(1, 'ping')])).toMatchObject({ id: null, error: { code: McpServer.RPC_ERRORS.invalidRequest } });
+    expect(await server.handle(request(4, 'resources/list'))).toMatchObject({ id: 4, error: { code: McpServer.RPC_ERRORS.methodNotFound } });
+    expect(await server.handle(request(5, 'tools/call', {}))).toMatchObject({ id: 5, error: { code: McpServer.RPC_ERRORS.invalidParams } });
+    expect(await server.handleText('{"jsonrpc": "2.0",')).toMatchObject({ id: null, error: { code: McpServer.RPC_ERRORS.parse } });
+  });
+
+  test('answers nothing for notifications and client responses', async () => {
+    expect(await server.handle({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+    expect(await server.handle({ jsonrpc: '2.0', method: 'no/such/method' })).toBeNull();
+    expect(await server.handle({ jsonrpc: '2.0', id: 9, result: {} })).toBeNull();
+    expect(await server.handle(request(6, 'ping'))).toEqual({ jsonrpc: '2.0', id: 6, result: {} });
+  });
+
+  test('lists every tool as read-only', async () => {
+    const { result } = await server.handle(request(1, 'tools/list'));
+
+    expect(result.tools.map(tool => tool.name)).toEqual([
+      'get_coins_list', 'get_coin_data', 'get_time_series', 'get_topic_sentiment', 'get_ecosystem_coins', 'get_social_metrics'
+    ]);
+    for (const tool of result.tools) {
+      expect(tool).toMatchObject({ inputSchema: { type: 'object' }, annotations: { readOnlyHint: true } });
+    }
+  });
+
+  test('calls tools with defaults and returns a summary with structured content', async () => {
+    const result = await callTool(server, 'get_coins_list', { limit: 3 });
+
+    expect(adapter.getCoinsList).toHaveBeenCalledWith(3, { raw: false });
+    expect(result.isError).toBe(false);
+    expect(result.structuredContent).toMatchObject({ mock: false, stale: false, truncated: false, returned: 3, total: 3 });
+    expect(result.structuredContent.data[0]).not.toHaveProperty('volume24h');
+    expect(result.content[0].text).toMatch(/^Top 3 coins by market cap\. First: C0 at \$42\.00K \(\+1\.50% 24h\)/);
+
+    await callTool(server, 'get_coins_list');
+    expect(adapter.getCoinsList).toHaveBeenLastCalledWith(20, { raw: false });
+  });
+
+  test('cuts results down to maxItems and maxChars', async () => {
+    const small = new McpServer({ adapter, maxItems: 5, maxChars: 1500 });
+    const result = await callTool(small, 'get_coins_list', { limit: 100 });
+
+    expect(result.structuredContent).toMatchObject({ truncated: true, total: 100 });
+    expect(result.structuredContent.returned).toBeLessThanOrEqual(5);
+    expect(result.content[0].text.length).toBeLessThanOrEqual(1500);
+  });
+
+  test('warns about mock and stale data', async () => {
+    adapter.getCoinData.mockImplementation(async () => Object.defineProperty({ ...BTC }, 'meta', {
+      value: { using_mock_data: true, error_code: 'INSUFFICIENT_PERMISSIONS' }
+    }));
+    const mock = await callTool(server, 'get_coin_data', { coin: 'BTC' });
+    expect(mock.structuredContent.mock).toBe(true);
+    expect(mock.content[0].text).toMatch(/^WARNING: mock data, not live LunarCrush data \(INSUFFICIENT_PERMISSIONS\)/);
+
+    adapter.getCoinData.mockImplementation(async () => Object.defineProperty({ ...BTC }, 'meta', { value: { using_stale_data: true } }));
+    const stale = await callTool(server, 'get_coin_data', { coin: 'BTC' });
+    expect(stale.structuredContent).toMatchObject({ mock: false, stale: true });
+    expect(stale.content[0].text).toMatch(/^Note: cached data served/);
+  });
+
+  test.each([
+    [{ coin: 'BTC', verbose: true }, /Unknown argument: verbose/],
+    [{}, /Missing argument: coin/],
+    [{ coin: '  ' }, /coin must not be empty/],
+    [{ coin: 'BTC', bucket: 'minute' }, /bucket must be one of hour, day/],
+    [{ coin: 'BTC', start: true }, /start must be string or number/]
+  ])('returns bad arguments %j as an error result', async (args, message) => {
+    const result = await callTool(server, 'get_time_series', args);
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(message);
+    expect(adapter.getTimeSeries).not.toHaveBeenCalled();
+  });
+
+  test('refuses time-series ranges beyond 2160 buckets before calling the adapter', async () => {
+    const end = Date.UTC(2024, 6, 1);
+    const hour = 60 * 60 * 1000;
+
+    await callTool(server, 'get_time_series', { coin: 'BTC', bucket: 'hour', start: end - 2160 * hour, end });
+    expect(adapter.getTimeSeries).toHaveBeenCalledTimes(1);
+
+    const tooLong = await callTool(server, 'get_time_series', { coin: 'BTC', bucket: 'hour', start: end - 2161 * hour, end });
+    expect(tooLong.isError).toBe(true);
+    expect(tooLong.content[0].text).toBe('get_time_series failed: Range spans 2161 hour buckets; at most 2160 are allowed. ' +
+      'Use a later start, an earlier end or a day bucket.');
+
+    const invalid = await callTool(server, 'get_time_series', { coin: 'BTC', start: 'last tuesday' });
+    expect(invalid.content[0].text).toMatch(/Invalid date: last tuesday/);
+    expect(adapter.getTimeSeries).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns adapter failures as error results with their code', async () => {
+    adapter.getCoinData.mockRejectedValue(Object.assign(new Error('LunarCrush rate limit exceeded'), { code: 'RATE_LIMIT_EXCEEDED' }));
+
+    expect(await callTool(server, 'get_coin_data', { coin: 'BTC' })).toEqual({
+      content: [{ type: 'text', text: 'get_coin_data failed: LunarCrush rate limit exceeded (RATE_LIMIT_EXCEEDED)' }],
+      isError: true
+    });
+    expect(await server.handle(request(2, 'tools/call', { name: 'get_prices' }))).toMatchObject({
+      error: { code: McpServer.RPC_ERRORS.invalidParams, message: 'Unknown tool: get_prices' }
+    });
+  });
+});
@@ -0,0 +1,364 @@
+const helpers = require('../../utils/helpers');
+const { SOCIAL_METRICS } = require('../analytics');
+const { BUCKETS, toMillis } = require('../time-series');
+
+// Coin fields worth an agent's context; the rest are in getCoinData
+const COIN_FIELDS = ['symbol', 'name', 'price', 'marketCap', 'marketCapRank', 'percentChange24h',
+  'percentChange7d', 'galaxyScore', 'altRank', 'sentiment', 'socialVolume', 'interactions24h'];
+
+const POINT_FIELDS = ['price', 'volume', 'galaxyScore', 'altRank', 'sentiment', 'socialVolume', 'interactions'];
+
+const TOPIC_POINT_FIELDS = ['sentiment', 'posts', 'contributors', 'interactions'];
+
+// Most buckets one get_time_series call may span (90 days of hours), so a
+// wide range can't fan out into hundreds of upstream requests
+const MAX_SERIES_POINTS = 2160;
+
+const COIN_ARGUMENT = {
+  type: 'string',
+  minLength: 1,
+  description: 'Coin symbol (BTC), name (Bitcoin) or LunarCrush ID'
+};
+
+/**
+ * Pick fields from an object
+ * @param {Object} value - Object
+ * @param {string[]} fields - Fields to keep
+ * @returns {Object} - Object with only those fields
+ */
+function pick(value, fields) {
+  return Object.fromEntries(fields.map(field => [field, value[field] === undefined ? null : value[field]]));
+}
+
+/**
+ * Format a number for a summary sentence
+ * @param {number|null} value - Number
+ * @returns {string} - Formatted number, or n/a
+ */
+function num(value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (Math.abs(value) > 0 && Math.abs(value) < 1) return String(Number(value.toPrecision(4)));
+  if (Number.isInteger(value) && Math.abs(value) < 1e3) return String(value);
+  return helpers.formatNumber(value);
+}
+
+/**
+ * Format a signed percentage for a summary sentence
+ * @param {number|null} value - Percentage
+ * @returns {string} - Formatted percentage, or n/a
+ */
+function pct(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+/**
+ * Format epoch milliseconds as an ISO time
+ * @param {number|null} value - Time
+ * @returns {string|null} - ISO time
+ */
+function iso(value) {
+  return value === null || value === undefined ? null : new Date(value).toISOString();
+}
+
+/**
+ * Find the coin with the largest value of a field
+ * @param {Coin[]} coins - Coins
+ * @param {string} field - Field
+ * @returns {Coin|null} - Coin, or null when no coin has the field
+ */
+function best(coins, field) {
+  return coins.reduce((top, coin) =>
+    (typeof coin[field] === 'number' && (!top || coin[field] > top[field]) ? coin : top), null);
+}
+
+/**
+ * Check that a time-series range spans at most MAX_SERIES_POINTS buckets
+ * @param {Object} args - Checked get_time_series arguments
+ * @throws {TypeError} - When a date is invalid or the range is too long
+ */
+function checkSeriesRange(args) {
+  const bucketMs = BUCKETS[args.bucket];
+  const end = args.end !== undefined ? toMillis(args.end) : Date.now();
+  const start = args.start !== undefined ? toMillis(args.start) : end - 30 * bucketMs;
+  const points = Math.ceil((end - start) / bucketMs);
+
+  if (points > MAX_SERIES_POINTS) {
+    throw new TypeError(`Range spans ${points} ${args.bucket} buckets; at most ${MAX_SERIES_POINTS} are allowed. ` +
+      'Use a later start, an earlier end or a day bucket.');
+  }
+}
+
+/**
+ * Summarize a list of coins
+ * @param {string} heading - Opening sentence
+ * @param {Coin[]} coins - Coins
+ * @param {number} limit - Coins to include
+ * @returns {Object} - { summary, data, total, returned }
+ */
+function presentCoins(heading, coins, limit) {
+  const list = Array.isArray(coins) ? coins : [];
+  const leader = list[0];
+  const galaxy = best(list, 'galaxyScore');
+  const gainer = best(list, 'percentChange24h');
+  const parts = [heading];
+
+  if (leader) parts.push(`First: ${leader.symbol} at $${num(leader.price)} (${pct(leader.percentChange24h)} 24h).`);
+  if (galaxy) parts.push(`Highest Galaxy Score: ${galaxy.symbol} (${galaxy.galaxyScore}).`);
+  if (gainer) parts.push(`Best 24h: ${gainer.symbol} (${pct(gainer.percentChange24h)}).`);
+
+  const data = list.slice(0, limit).map(coin => pick(coin, COIN_FIELDS));
+  return { summary: parts.join(' '), data, total: list.length, returned: data.length };
+}
+
+/**
+ * Tools exposed over MCP
+ * Each tool has an MCP name and input schema, a call on the adapter, and a
+ * present function that turns the result into a summary sentence plus data
+ * cut down to `limit` items.
+ */
+const TOOLS = [
+  {
+    name: 'get_coins_list',
+    title: 'Top coins',
+    description: 'Top cryptocurrencies by market cap with price, 24h/7d change, Galaxy Score, AltRank, ' +
+      'sentiment (percent positive posts) and social volume.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 20, description: 'Number of coins' }
+      },
+      additionalProperties: false
+    },
+    call: (adapter, args) => adapter.getCoinsList(args.limit, { raw: false }),
+    present: (coins, limit) => presentCoins(`Top ${Array.isArray(coins) ? coins.length : 0} coins by market cap.`, coins, limit)
+  },
+  {
+    name: 'get_coin_data',
+    title: 'Coin details',
+    description: 'Current market and social data for one coin: price, volume, market cap and rank, ' +
+      'Galaxy Score, AltRank, sentiment, social volume, contributors, dominance and interactions.',
+    inputSchema: {
+      type: 'object',
+      properties: { coin: COIN_ARGUMENT },
+      required: ['coin'],
+      additionalProperties: false
+    },
+    call: (adapter, args) => adapter.getCoinData(args.coin, { raw: false }),
+    present: coin => ({
+      summary: `${coin.name} (${coin.symbol}): $${num(coin.price)}, ${pct(coin.percentChange24h)} 24h, ` +
+        `${pct(coin.percentChange7d)} 7d, market cap $${num(coin.marketCap)} (#${coin.marketCapRank || 'n/a'}), ` +
+        `Galaxy Score ${num(coin.galaxyScore)}, AltRank ${num(coin.altRank)}, ` +
+        `sentiment ${num(coin.sentiment)}% positive, ${num(coin.socialVolume)} posts in 24h.`,
+      data: { ...coin },
+      total: 1,
+      returned: 1
+    })
+  },
+  {
+    name: 'get_time_series',
+    title: 'Coin time series',
+    description: 'Hourly or daily history of a coin\'s price, volume, Galaxy Score, AltRank, sentiment, ' +
+      `social volume and interactions. A range may span at most ${MAX_SERIES_POINTS} buckets (90 days hourly). ` +
+      'Long ranges return the most recent points; the summary covers the whole range.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coin: COIN_ARGUMENT,
+        bucket: { type: 'string', enum: ['hour', 'day'], default: 'day', description: 'Point spacing' },
+        start: { type: ['string', 'number'], description: 'Range start: ISO date or epoch milliseconds (default 30 buckets before end)' },
+        end: { type: ['string', 'number'], description: 'Range end: ISO date or epoch milliseconds (default now)' }
+      },
+      required: ['coin'],
+      additionalProperties: false
+    },
+    call: (adapter, args) => {
+      checkSeriesRange(args);
+      return adapter.getTimeSeries(args.coin, {
+        bucket: args.bucket,
+        start: args.start,
+        end: args.end,
+        raw: false
+      });
+    },
+    present: (points, limit, args) => {
+      const list = Array.isArray(points) ? points : [];
+      const prices = list.map(point => point.price).filter(price => typeof price === 'number');
+      const first = list[0];
+      const last = list[list.length - 1];
+      let summary = `${String(args.coin).toUpperCase()} ${args.bucket} series: no points in range.`;
+
+      if (first) {
+        const change = prices.length > 1 && prices[0] !== 0
+          ? ((prices[prices.length - 1] - prices[0]) / prices[0]) * 100
+          : null;
+        const sentiments = list.map(point => point.sentiment).filter(value => typeof value === 'number');
+        summary = `${String(args.coin).toUpperCase()} ${args.bucket} series, ${list.length} points from ` +
+          `${iso(first.time)} to ${iso(last.time)}: price $${num(prices[0])} to $${num(prices[prices.length - 1])} ` +
+          `(${pct(change)}), low $${num(prices.length ? Math.min(...prices) : null)}, ` +
+          `high $${num(prices.length ? Math.max(...prices) : null)}; ` +
+          `average sentiment ${num(sentiments.length ? sentiments.reduce((a, b) => a + b, 0) / sentiments.length : null)}% positive.`;
+      }
+
+      const data = list.slice(-limit).map(point => ({ time: iso(point.time), ...pick(point, POINT_FIELDS) }));
+      return { summary, data, total: list.length, returned: data.length };
+    }
+  },
+  {
+    name: 'get_topic_sentiment',
+    title: 'Topic sentiment',
+    description: 'Social sentiment and activity for a topic (a coin, project, person or theme such as ' +
+      '"bitcoin" or "ai"): current and period sentiment, sentiment per network, interactions, ' +
+      'contributors, posts, trend and daily history.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        topic: { type: 'string', minLength: 1, description: 'Topic, e.g. bitcoin, solana, ai' },
+        days: { type: 'integer', minimum: 1, maximum: 90, default: 7, description: 'Days of history' }
+      },
+      required: ['topic'],
+      additionalProperties: false
+    },
+    call: (adapter, args) => adapter.getTopicSentiment(args.topic, args.days, { raw: false }),
+    present: (topic, limit) => {
+      const history = topic.history || [];
+      const data = {
+        ...pick(topic, ['topic', 'title', 'rank', 'sentiment', 'periodSentiment', 'interactions24h',
+          'contributors', 'posts', 'trend', 'sentimentByNetwork']),
+        days: topic.days,
+        relatedCoins: (topic.relatedCoins || []).slice(0, limit).map(coin => coin.symbol),
+        history: history.slice(-limit).map(point => ({ time: iso(point.time), ...pick(point, TOPIC_POINT_FIELDS) }))
+      };
+
+      return {
+        summary: `Topic ${topic.title || topic.topic} (rank ${num(topic.rank)}): ${num(topic.sentiment)}% positive now, ` +
+          `${num(topic.periodSentiment)}% over ${topic.days} days, trend ${topic.trend || 'n/a'}, ` +
+          `${num(topic.interactions24h)} interactions in 24h from ${num(topic.contributors)} contributors.`,
+        data,
+        total: history.length,
+        returned: data.history.length
+      };
+    }
+  },
+  {
+    name: 'get_ecosystem_coins',
+    title: 'Ecosystem coins',
+    description: 'Coins in an ecosystem (e.g. solana, ethereum, defi, ai) or LunarCrush category, ' +
+      'ordered by market cap, with price, Galaxy Score, AltRank, sentiment and social volume.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ecosystem: { type: 'string', minLength: 1, description: 'Ecosystem name or alias, or a LunarCrush category' },
+        limit: { type: 'integer', minimum: 1, maximum: 100, default: 15, description: 'Number of coins' }
+      },
+      required: ['ecosystem'],
+      additionalProperties: false
+    },
+    call: (adapter, args) => adapter.getEcosystemCoins(args.ecosystem, args.limit, { raw: false }),
+    present: (coins, limit, args) =>
+      presentCoins(`${Array.isArray(coins) ? coins.length : 0} coins in the ${args.ecosystem} ecosystem.`, coins, limit)
+  },
+  {
+    name: 'get_social_metrics',
+    title: 'Coin social metrics',
+    description: 'Social metrics for a coin over a period compared with the period before: sentiment, ' +
+      'social volume, contributors, interactions, engagement and Galaxy Score, each with change, trend ' +
+      'and z-score, plus anomalies and a confidence rating.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coin: COIN_ARGUMENT,
+        days: { type: 'integer', minimum: 1, maximum: 90, default: 7, description: 'Days per period' },
+        bucket: { type: 'string', enum: ['hour', 'day'], default: 'day', description: 'Point spacing' }
+      },
+      required: ['coin'],
+      additionalProperties: false
+    },
+    call: (adapter, args) => adapter.getSocialMetrics(args.coin, args.days, { bucket: args.bucket }),
+    present: (metrics, limit, args) => {
+      const anomalies = metrics.anomalies || [];
+      const data = {
+        coin: String(args.coin).toUpperCase(),
+        timeframe: metrics.timeframe,
+        bucket: metrics.bucket,
+        confidence: metrics.confidence,
+        anomalies: anomalies.slice(-limit).map(anomaly => ({ ...anomaly, time: iso(anomaly.time) }))
+      };
+      const parts = [];
+
+      for (const metric of Object.keys(SOCIAL_METRICS)) {
+        const result = metrics[metric];
+        if (!result) continue;
+
+        data[metric] = pick(result, ['value', 'previous', 'change', 'changeType', 'trend', 'zScore', 'points']);
+        const change = result.changeType === 'percent' ? pct(result.change) : `${result.change > 0 ? '+' : ''}${num(result.change)}`;
+        parts.push(`${metric} ${num(result.value)} (${change}, ${result.trend || 'n/a'})`);
+      }
+
+      return {
+        summary: `${data.coin} social metrics over ${metrics.timeframe} vs the previous ${metrics.timeframe} ` +
+          `(confidence ${metrics.confidence ? metrics.confidence.level : 'n/a'}): ${parts.join('; ')}; ` +
+          `${anomalies.length} anomalies.`,
+        data,
+        total: anomalies.length,
+        returned: data.anomalies.length
+      };
+    }
+  }
+];
+
+/**
+ * Check tool arguments against a tool's input schema and fill in defaults
+ * Supports the subset of JSON Schema the tools use
+ * @param {Object} schema - Input schema
+ * @param {*} args - Arguments from the client
+ * @returns {Object} - Arguments with defaults
+ * @throws {TypeError} - When the arguments don't match the schema
+ */
+function checkArguments(schema, args = {}) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new TypeError('Arguments must be an object');
+  }
+
+  for (const name of Object.keys(args)) {
+    if (!schema.properties[name]) {
+      throw new TypeError(`Unknown argument: ${name}. Expected ${Object.keys(schema.properties).join(', ')}`);
+    }
+  }
+
+  for (const name of schema.required || []) {
+    if (args[name] === undefined || args[name] === null) throw new TypeError(`Missing argument: ${name}`);
+  }
+
+  const checked = {};
+  for (const [name, property] of Object.entries(schema.properties)) {
+    const value = args[name] !== undefined && args[name] !== null ? args[name] : property.default;
+    if (value === undefined) continue;
+
+    const types = [].concat(property.type);
+    const matches = types.some(type =>
+      (type === 'integer' ? Number.isInteger(value) : typeof value === type && (type !== 'number' || Number.isFinite(value))));
+    if (!matches) throw new TypeError(`${name} must be ${types.join(' or ')}`);
+    if (property.enum && !property.enum.includes(value)) {
+      throw new TypeError(`${name} must be one of ${property.enum.join(', ')}`);
+    }
+    if (property.minimum !== undefined && value < property.minimum) {
+      throw new TypeError(`${name} must be at least ${property.minimum}`);
+    }
+    if (property.maximum !== undefined && value > property.maximum) {
+      throw new TypeError(`${name} must be at most ${property.maximum}`);
+    }
+    if (property.minLength !== undefined && String(value).trim().length < property.minLength) {
+      throw new TypeError(`${name} must not be empty`);
+    }
+
+    checked[name] = value;
+  }
+
+  return checked;
+}
+
+module.exports = {
+  TOOLS,
+  checkArguments
+};
@@ -0,0 +1,512 @@
+/**
+ * Normalization of LunarCrush responses into consistent domain objects
+ * Handles v1 and v2 payloads, the terse field names used by older payloads
+ * and mock data, and the free /public/coins/list/v1 fallback shape
+ * @module normalize
+ */
+
+const { METRIC_FIELDS, getPointTime } = require('./time-series');
+
+/**
+ * @typedef {Object} Coin
+ * @property {number|null} id - LunarCrush numeric ID
+ * @property {string|null} symbol - Ticker symbol (uppercase)
+ * @property {string|null} name - Coin name
+ * @property {number|null} price - Price in USD
+ * @property {number|null} volume24h - 24h trading volume in USD
+ * @property {number|null} marketCap - Market cap in USD
+ * @property {number|null} marketCapRank - Rank by market cap
+ * @property {number|null} percentChange24h - 24h price change in percent
+ * @property {number|null} percentChange7d - 7d price change in percent
+ * @property {number|null} galaxyScore - Galaxy Score (0-100)
+ * @property {number|null} altRank - AltRank (lower is better)
+ * @property {number|null} sentiment - Share of positive posts (0-100)
+ * @property {number|null} socialScore - Social score
+ * @property {number|null} socialVolume - Social posts over 24h
+ * @property {number|null} socialContributors - Active social contributors
+ * @property {number|null} socialDominance - Share of crypto social volume in percent
+ * @property {number|null} interactions24h - Social interactions over 24h
+ * @property {string[]} categories - Category slugs
+ */
+
+/**
+ * @typedef {Object} TimeSeriesPoint
+ * @property {number} time - Epoch milliseconds
+ * @property {number|null} price - Close price in USD
+ * @property {number|null} open - Open price in USD
+ * @property {number|null} high - High price in USD
+ * @property {number|null} low - Low price in USD
+ * @property {number|null} volume - Trading volume in USD
+ * @property {number|null} marketCap - Market cap in USD
+ * @property {number|null} galaxyScore - Galaxy Score (0-100)
+ * @property {number|null} altRank - AltRank
+ * @property {number|null} sentiment - Share of positive posts (0-100)
+ * @property {number|null} socialScore - Social score
+ * @property {number|null} socialVolume - Social posts in the bucket
+ * @property {number|null} socialContributors - Active social contributors
+ * @property {number|null} socialDominance - Share of crypto social volume in percent
+ * @property {number|null} interactions - Social interactions in the bucket
+ */
+
+/**
+ * @typedef {Object} TopicSnapshot
+ * @property {string} topic - Topic slug
+ * @property {string|null} title - Display title
+ * @property {number|null} rank - Topic rank
+ * @property {number|null} sentiment - Share of positive posts (0-100)
+ * @property {Object<string, number|null>} sentimentByNetwork - Sentiment per network (x, reddit,
+ *   youtube, tiktok, news)
+ * @property {Object<string, NetworkBreakdown>} networks - Activity per network
+ * @property {number|null} interactions24h - Social interactions over 24h
+ * @property {number|null} contributors - Active contributors
+ * @property {number|null} posts - Active posts
+ * @property {string|null} trend - up, down or flat
+ * @property {string[]} relatedTopics - Related topic slugs
+ * @property {Coin[]} relatedCoins - Related coins
+ * @property {string[]} categories - Category slugs
+ */
+
+/**
+ * @typedef {Object} Category
+ * @property {string|null} category - Category slug, as accepted by the coins list filter
+ * @property {string|null} title - Display title
+ * @property {number|null} coins - Number of coins in the category
+ * @property {number|null} interactions24h - Social interactions over 24h
+ */
+
+/**
+ * @typedef {Object} NetworkBreakdown
+ * @property {number|null} posts - Posts on the network
+ * @property {number|null} interactions - Interactions on the network
+ * @property {number|null} sentiment - Share of positive posts (0-100)
+ * @property {number|null} positive - Positive posts
+ * @property {number|null} neutral - Neutral posts
+ * @property {number|null} negative - Negative posts
+ */
+
+/**
+ * @typedef {Object} TopicTimeSeriesPoint
+ * @property {number} time - Epoch milliseconds
+ * @property {number|null} posts - Posts active in the bucket
+ * @property {number|null} postsCreated - Posts created in the bucket
+ * @property {number|null} contributors - Contributors active in the bucket
+ * @property {number|null} contributorsCreated - Contributors who posted in the bucket
+ * @property {number|null} interactions - Social interactions in the bucket
+ * @property {number|null} sentiment - Share of positive posts (0-100)
+ * @property {number|null} spam - Posts flagged as spam
+ */
+
+/**
+ * @typedef {Object} Creator
+ * @property {string|null} id - LunarCrush creator ID (network::id)
+ * @property {string|null} network - x, reddit, youtube, tiktok or news
+ * @property {string|null} name - Handle
+ * @property {string|null} displayName - Display name
+ * @property {string|null} avatar - Avatar URL
+ * @property {number|null} followers - Followers
+ * @property {number|null} rank - Rank among the topic's creators
+ * @property {number|null} interactions24h - Interactions with the topic over 24h
+ */
+
+/**
+ * @typedef {Object} Post
+ * @property {string|null} id - Post ID
+ * @property {string|null} network - x, reddit, youtube, tiktok or news
+ * @property {string|null} type - Raw LunarCrush post type (tweet, reddit-post, ...)
+ * @property {string|null} title - Title or text
+ * @property {string|null} url - Link to the post
+ * @property {string|null} image - Image URL
+ * @property {number|null} createdAt - Epoch milliseconds
+ * @property {number|null} sentiment - Post sentiment (1 very negative to 5 very positive)
+ * @property {number|null} interactions - Total interactions
+ * @property {Creator} creator - Post author
+ */
+
+// LunarCrush post types and creator networks, mapped to the network names we expose
+const NETWORKS = {
+  tweet: 'x',
+  twitter: 'x',
+  x: 'x',
+  'reddit-post': 'reddit',
+  reddit: 'reddit',
+  'youtube-video': 'youtube',
+  youtube: 'youtube',
+  'tiktok-video': 'tiktok',
+  tiktok: 'tiktok',
+  news: 'news'
+};
+
+const NETWORK_NAMES = ['x', 'reddit', 'youtube', 'tiktok', 'news'];
+
+const COIN_FIELDS = {
+  id: ['id'],
+  symbol: ['symbol', 's'],
+  name: ['name', 'n'],
+  price: ['price', 'close', 'p'],
+  volume24h: ['volume_24h', 'volume', 'v'],
+  marketCap: ['market_cap', 'mc'],
+  marketCapRank: ['market_cap_rank', 'rank', 'r'],
+  percentChange24h: ['percent_change_24h', 'pc'],
+  percentChange7d: ['percent_change_7d', 'pch'],
+  galaxyScore: ['galaxy_score', 'gs'],
+  altRank: ['alt_rank', 'acr'],
+  sentiment: ['sentiment'],
+  socialScore: ['social_score', 'ss'],
+  socialVolume: ['social_volume_24h', 'social_volume', 'sv'],
+  socialContributors: ['social_contributors', 'contributors_active', 'sc'],
+  socialDominance: ['social_dominance', 'sd'],
+  interactions24h: ['interactions_24h', 'interactions']
+};
+
+const TEXT_FIELDS = ['symbol', 'name'];
+
+/**
+ * Coerce a value to a finite number
+ * @param {*} value - Raw value
+ * @returns {number|null} - Number, or null when missing or not numeric
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Read the first field present in a raw object
+ * @param {Object} raw - Raw object
+ * @param {string[]} fields - Candidate field names, preferred first
+ * @returns {*} - Field value, or undefined
+ */
+function pick(raw, fields) {
+  for (const field of fields) {
+    if (raw[field] !== undefined && raw[field] !== null) return raw[field];
+  }
+  return undefined;
+}
+
+/**
+ * Map a LunarCrush post type or creator network to a network name
+ * @param {string} type - Post type (tweet, reddit-post, ...) or network (twitter, ...)
+ * @returns {string|null} - x, reddit, youtube, tiktok, news, or the raw type when unknown
+ */
+function toNetwork(type) {
+  if (!type) return null;
+
+  const key = String(type).toLowerCase();
+  return NETWORKS[key] || key;
+}
+
+/**
+ * Read a text field
+ * @param {*} value - Raw value
+ * @returns {string|null} - String, or null when missing
+ */
+function toText(value) {
+  return value !== undefined && value !== null && value !== '' ? String(value) : null;
+}
+
+/**
+ * Normalize a category list given as an array or comma-separated string
+ * @param {Array|string} categories - Raw categories
+ * @returns {string[]} - Category slugs
+ */
+function normalizeCategories(categories) {
+  if (!categories) return [];
+
+  const list = Array.isArray(categories) ? categories : String(categories).split(',');
+  return list.map(category => String(category).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Normalize a coin from any list or detail payload
+ * @param {Object} raw - Raw coin
+ * @returns {Coin} - Normalized coin
+ */
+function normalizeCoin(raw) {
+  const coin = {};
+
+  for (const [key, fields] of Object.entries(COIN_FIELDS)) {
+    const value = pick(raw, fields);
+
+    if (TEXT_FIELDS.includes(key)) {
+      coin[key] = value !== undefined ? String(value) : null;
+    } else {
+      coin[key] = toNumber(value);
+    }
+  }
+
+  if (coin.symbol) coin.symbol = coin.symbol.toUpperCase();
+  coin.categories = normalizeCategories(raw.categories);
+
+  return coin;
+}
+
+/**
+ * Normalize a list of coins
+ * @param {Array} raw - Raw coin list
+ * @returns {Coin[]} - Normalized coins
+ */
+function normalizeCoinList(raw) {
+  return Array.isArray(raw) ? raw.map(normalizeCoin) : [];
+}
+
+/**
+ * Normalize a category
+ * @param {Object} raw - Raw category
+ * @returns {Category} - Normalized category
+ */
+function normalizeCategory(raw) {
+  const category = toText(pick(raw, ['category', 'name']));
+
+  return {
+    category: category && category.toLowerCase(),
+    title: toText(raw.title),
+    coins: toNumber(pick(raw, ['num_coins', 'coins'])),
+    interactions24h: toNumber(raw.interactions_24h)
+  };
+}
+
+/**
+ * Normalize a list of categories
+ * @param {Array} raw - Raw categories
+ * @returns {Category[]} - Normalized categories
+ */
+function normalizeCategoryList(raw) {
+  return Array.isArray(raw) ? raw.map(normalizeCategory) : [];
+}
+
+/**
+ * Normalize a time-series point
+ * @param {Object} raw - Raw point
+ * @returns {TimeSeriesPoint} - Normalized point
+ */
+function normalizeTimeSeriesPoint(raw) {
+  const point = { time: getPointTime(raw) };
+
+  for (const [metric, fields] of Object.entries(METRIC_FIELDS)) {
+    point[metric] = toNumber(pick(raw, fields));
+  }
+
+  return point;
+}
+
+/**
+ * Normalize a time series
+ * @param {Array} raw - Raw points
+ * @returns {TimeSeriesPoint[]} - Normalized points
+ */
+function normalizeTimeSeries(raw) {
+  return Array.isArray(raw) ? raw.map(normalizeTimeSeriesPoint) : [];
+}
+
+/**
+ * Average per-network sentiment, weighted by each network's interactions
+ * @param {Object<string, number|null>} sentimentByNetwork - Sentiment per network
+ * @param {Object<string, number>} interactions - Interactions per network
+ * @returns {number|null} - Overall sentiment, or null without data
+ */
+function weightedSentiment(sentimentByNetwork, interactions) {
+  let total = 0;
+  let weight = 0;
+
+  for (const [network, sentiment] of Object.entries(sentimentByNetwork)) {
+    if (sentiment === null) continue;
+    const networkWeight = toNumber(interactions[network]) || 1;
+    total += sentiment * networkWeight;
+    weight += networkWeight;
+  }
+
+  return weight > 0 ? total / weight : null;
+}
+
+/**
+ * Normalize a topic payload
+ * @param {Object} raw - Raw topic
+ * @param {string} [topic] - Requested topic, used when the payload omits it
+ * @returns {TopicSnapshot} - Normalized topic
+ */
+function normalizeTopic(raw, topic) {
+  const networks = normalizeNetworks(raw);
+  const sentimentByNetwork = {};
+  const interactionsByNetwork = {};
+  for (const [network, breakdown] of Object.entries(networks)) {
+    sentimentByNetwork[network] = breakdown.sentiment;
+    interactionsByNetwork[network] = breakdown.interactions;
+  }
+
+  // Mock payloads report momentum instead of trend
+  const momentum = { rising: 'up', falling: 'down' };
+  const trend = raw.trend || momentum[raw.momentum] || null;
+
+  return {
+    topic: raw.topic || topic || null,
+    title: raw.title || null,
+    rank: toNumber(raw.topic_rank),
+    sentiment: toNumber(raw.sentiment) !== null
+      ? toNumber(raw.sentiment)
+      : weightedSentiment(sentimentByNetwork, interactionsByNetwork),
+    sentimentByNetwork,
+    networks,
+    interactions24h: toNumber(pick(raw, ['interactions_24h', 'volume'])),
+    contributors: toNumber(raw.num_contributors),
+    posts: toNumber(raw.num_posts),
+    trend,
+    relatedTopics: Array.isArray(raw.related_topics) ? raw.related_topics : [],
+    relatedCoins: normalizeCoinList(raw.related_coins),
+    categories: normalizeCategories(raw.categories)
+  };
+}
+
+/**
+ * Split a topic's types_* fields by network
+ * Every known network is present, with null fields when LunarCrush reports nothing for it
+ * @param {Object} raw - Raw topic
+ * @returns {Object<string, NetworkBreakdown>} - Breakdown per network
+ */
+function normalizeNetworks(raw) {
+  const networks = {};
+  const breakdown = () => ({
+    posts: null,
+    interactions: null,
+    sentiment: null,
+    positive: null,
+    neutral: null,
+    negative: null
+  });
+
+  for (const network of NETWORK_NAMES) {
+    networks[network] = breakdown();
+  }
+
+  const fields = {
+    posts: raw.types_count,
+    interactions: raw.types_interactions,
+    sentiment: raw.types_sentiment
+  };
+
+  for (const [field, values] of Object.entries(fields)) {
+    for (const [type, value] of Object.entries(values || {})) {
+      const network = toNetwork(type);
+      networks[network] = networks[network] || breakdown();
+      networks[network][field] = toNumber(value);
+    }
+  }
+
+  for (const [type, detail] of Object.entries(raw.types_sentiment_detail || {})) {
+    const network = toNetwork(type);
+    networks[network] = networks[network] || breakdown();
+    networks[network].positive = toNumber(detail && detail.positive);
+    networks[network].neutral = toNumber(detail && detail.neutral);
+    networks[network].negative = toNumber(detail && detail.negative);
+  }
+
+  return networks;
+}
+
+/**
+ * Normalize a topic time series
+ * @param {Array} raw - Raw points
+ * @returns {TopicTimeSeriesPoint[]} - Normalized points
+ */
+function normalizeTopicTimeSeries(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  return raw.map(point => ({
+    time: getPointTime(point),
+    posts: toNumber(point.posts_active),
+    postsCreated: toNumber(point.posts_created),
+    contributors: toNumber(point.contributors_active),
+    contributorsCreated: toNumber(point.contributors_created),
+    interactions: toNumber(point.interactions),
+    sentiment: toNumber(point.sentiment),
+    spam: toNumber(point.spam)
+  }));
+}
+
+/**
+ * Normalize a creator, from a creators list or the creator_* fields of a post
+ * @param {Object} raw - Raw creator
+ * @returns {Creator} - Normalized creator
+ */
+function normalizeCreator(raw) {
+  const id = toText(raw.creator_id);
+  // Creator IDs are prefixed with their network, e.g. twitter::44196397
+  const network = raw.creator_network || (id && id.includes('::') ? id.split('::')[0] : null);
+
+  return {
+    id,
+    network: toNetwork(network),
+    name: toText(raw.creator_name),
+    displayName: toText(pick(raw, ['creator_display_name', 'creator_name'])),
+    avatar: toText(raw.creator_avatar),
+    followers: toNumber(raw.creator_followers),
+    rank: toNumber(raw.creator_rank),
+    interactions24h: toNumber(raw.interactions_24h)
+  };
+}
+
+/**
+ * Normalize a list of creators
+ * @param {Array} raw - Raw creators
+ * @returns {Creator[]} - Normalized creators
+ */
+function normalizeCreators(raw) {
+  return Array.isArray(raw) ? raw.map(normalizeCreator) : [];
+}
+
+/**
+ * Normalize a post
+ * @param {Object} raw - Raw post
+ * @returns {Post} - Normalized post
+ */
+function normalizePost(raw) {
+  const created = toNumber(raw.post_created);
+
+  return {
+    id: toText(raw.id),
+    network: toNetwork(raw.post_type),
+    type: toText(raw.post_type),
+    title: toText(raw.post_title),
+    url: toText(raw.post_link),
+    image: toText(raw.post_image),
+    createdAt: created !== null ? created * 1000 : null,
+    sentiment: toNumber(raw.post_sentiment),
+    interactions: toNumber(pick(raw, ['interactions_total', 'interactions_24h'])),
+    creator: {
+      id: toText(raw.creator_id),
+      name: toText(raw.creator_name),
+      displayName: toText(pick(raw, ['creator_display_name', 'creator_name'])),
+      avatar: toText(raw.creator_avatar),
+      followers: toNumber(raw.creator_followers)
+    }
+  };
+}
+
+/**
+ * Normalize a list of posts
+ * @param {Array} raw - Raw posts
+ * @returns {Post[]} - Normalized posts
+ */
+function normalizePosts(raw) {
+  return Array.isArray(raw) ? raw.map(normalizePost) : [];
+}
+
+module.exports = {
+  NETWORK_NAMES,
+  toNumber,
+  toNetwork,
+  normalizeCategories,
+  normalizeCoin,
+  normalizeCoinList,
+  normalizeCategory,
+  normalizeCategoryList,
+  normalizeTimeSeriesPoint,
+  normalizeTimeSeries,
+  normalizeTopic,
+  normalizeTopicTimeSeries,
+  normalizeCreator,
+  normalizeCreators,
+  normalizePost,
+  normalizePosts
+};
@@ -0,0 +1,83 @@
+const normalize = require('./normalize');
+
+describe('normalizeCoin', () => {
+  test('reads v2, v1 and terse field names into the same shape', () => {
+    const v2 = normalize.normalizeCoin({
+      id: 1,
+      symbol: 'btc',
+      name: 'Bitcoin',
+      price: 65000,
+      market_cap: 1.2e12,
+      market_cap_rank: 1,
+      percent_change_24h: 2.5,
+      galaxy_score: 71,
+      alt_rank: 4,
+      social_volume_24h: 1200,
+      interactions_24h: 5e6,
+      categories: 'layer-1, pow'
+    });
+    const terse = normalize.normalizeCoin({
+      id: '1',
+      s: 'BTC',
+      n: 'Bitcoin',
+      p: '65000',
+      mc: 1.2e12,
+      r: 1,
+      pc: 2.5,
+      gs: 71,
+      acr: 4,
+      sv: 1200,
+      interactions: 5e6,
+      categories: ['Layer-1', 'PoW']
+    });
+
+    expect(terse).toEqual(v2);
+    expect(v2).toMatchObject({
+      id: 1,
+      symbol: 'BTC',
+      price: 65000,
+      marketCapRank: 1,
+      socialVolume: 1200,
+      interactions24h: 5e6,
+      categories: ['layer-1', 'pow']
+    });
+  });
+
+  test('turns missing and malformed numbers into null', () => {
+    const coin = normalize.normalizeCoin({ symbol: 'X', price: 'n/a', galaxy_score: '', market_cap: null });
+
+    expect(coin.price).toBeNull();
+    expect(coin.galaxyScore).toBeNull();
+    expect(coin.marketCap).toBeNull();
+    expect(coin.name).toBeNull();
+    expect(coin.categories).toEqual([]);
+  });
+
+  test('normalizeCoinList ignores payloads that are not arrays', () => {
+    expect(normalize.normalizeCoinList(null)).toEqual([]);
+    expect(normalize.normalizeCoinList([{ s: 'eth' }])[0].symbol).toBe('ETH');
+  });
+});
+
+describe('normalizeTimeSeries', () => {
+  test('converts unix seconds and terse points to epoch milliseconds', () => {
+    const [v2, terse] = normalize.normalizeTimeSeries([
+      { time: 1700000000, close: 10, volume_24h: 5, posts_created: 3, sentiment: 80, galaxy_score: 60 },
+      { t: 1700003600000, p: '11', v: 6, sv: 4, gs: 61 }
+    ]);
+
+    expect(v2).toMatchObject({ time: 1700000000000, price: 10, volume: 5, socialVolume: 3, sentiment: 80, galaxyScore: 60 });
+    expect(terse).toMatchObject({ time: 1700003600000, price: 11, volume: 6, socialVolume: 4, galaxyScore: 61 });
+    expect(terse.sentiment).toBeNull();
+  });
+});
+
+describe('toNetwork', () => {
+  test('maps post types to network names', () => {
+    expect(normalize.toNetwork('tweet')).toBe('x');
+    expect(normalize.toNetwork('reddit-post')).toBe('reddit');
+    expect(normalize.toNetwork('YouTube-Video')).toBe('youtube');
+    expect(normalize.toNetwork('mastodon')).toBe('mastodon');
+    expect(normalize.toNetwork(null)).toBeNull();
+  });
+});
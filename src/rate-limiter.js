@@ -0,0 +1,263 @@
+const { RateLimitExceededError } = require('./errors');
+
+/**
+ * Request budgets per API tier
+ * Unknown and invalid keys get the free budget so they never overspend
+ */
+const TIER_LIMITS = {
+  free: { perMinute: 10, perDay: 2000 },
+  paid: { perMinute: 100, perDay: 20000 }
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Continuously refilling token bucket
+ * @private
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity - Maximum number of tokens
+   * @param {number} interval - Milliseconds to refill a full bucket
+   */
+  constructor(capacity, interval) {
+    this.interval = interval;
+    this.setCapacity(capacity);
+  }
+
+  /**
+   * Change the bucket size, keeping the tokens already spent
+   * @param {number} capacity - Maximum number of tokens
+   */
+  setCapacity(capacity) {
+    const spent = this.capacity !== undefined ? this.capacity - this.tokens : 0;
+    this.capacity = capacity;
+    this.tokens = Math.max(0, capacity - spent);
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Add the tokens accrued since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const accrued = (now - this.lastRefill) * this.capacity / this.interval;
+    this.tokens = Math.min(this.capacity, this.tokens + accrued);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Milliseconds until a whole token is available
+   * @returns {number} - Wait time
+   */
+  timeUntilAvailable() {
+    this.refill();
+    if (this.tokens >= 1) return 0;
+    return Math.ceil((1 - this.tokens) * this.interval / this.capacity);
+  }
+
+  /**
+   * Take one token; callers must check availability first
+   */
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+/**
+ * Client-side rate limiter with per-minute and per-day budgets
+ * Requests over budget wait in a priority queue instead of hitting 429s
+ */
+class RateLimiter {
+  /**
+   * Create a new rate limiter
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.tier='free'] - API tier used to pick budgets
+   * @param {number} [options.perMinute] - Requests per minute (overrides the tier budget)
+   * @param {number} [options.perDay] - Requests per day (overrides the tier budget)
+   * @param {number} [options.maxWait=60000] - Longest a request may queue before it is rejected
+   */
+  constructor(options = {}) {
+    this.customLimits = {
+      perMinute: options.perMinute,
+      perDay: options.perDay
+    };
+    this.maxWait = options.maxWait !== undefined ? options.maxWait : MINUTE;
+    this.queue = [];
+    this.timer = null;
+    this.pausedUntil = 0;
+
+    const limits = this._resolveLimits(options.tier || 'free');
+    this.tier = options.tier || 'free';
+    this.minute = new TokenBucket(limits.perMinute, MINUTE);
+    this.day = new TokenBucket(limits.perDay, DAY);
+  }
+
+  /**
+   * Get the budgets for a tier, applying any custom limits
+   * @private
+   * @param {string} tier - API tier
+   * @returns {Object} - Per-minute and per-day limits
+   */
+  _resolveLimits(tier) {
+    const defaults = TIER_LIMITS[tier] || TIER_LIMITS.free;
+    return {
+      perMinute: this.customLimits.perMinute || defaults.perMinute,
+      perDay: this.customLimits.perDay || defaults.perDay
+    };
+  }
+
+  /**
+   * Switch budgets to match a detected API tier
+   * @param {string} tier - API tier (paid, free, invalid, unknown)
+   */
+  setTier(tier) {
+    if (!tier || tier === this.tier) return;
+
+    const limits = this._resolveLimits(tier);
+    this.tier = tier;
+    this.minute.setCapacity(limits.perMinute);
+    this.day.setCapacity(limits.perDay);
+    this._drain();
+  }
+
+  /**
+   * Wait for a request slot
+   * @param {Object} [options] - Acquire options
+   * @param {number} [options.priority=0] - Higher priorities leave the queue first
+   * @param {string} [options.endpoint] - Endpoint, reported on rejection
+   * @param {number} [options.deadline] - Latest time (epoch ms) the request may leave the queue,
+   *   when that is sooner than maxWait
+   * @returns {Promise<void>} - Resolves when the request may be sent
+   * @throws {RateLimitExceededError} - When the wait would exceed maxWait or the deadline
+   */
+  acquire(options = {}) {
+    const priority = options.priority || 0;
+    const maxWait = options.deadline !== undefined
+      ? Math.min(this.maxWait, options.deadline - Date.now())
+      : this.maxWait;
+
+    return new Promise((resolve, reject) => {
+      const wait = this._timeUntilAvailable();
+      if (wait > maxWait) {
+        reject(this._budgetError(wait, options.endpoint));
+        return;
+      }
+
+      const entry = {
+        priority,
+        deadline: Date.now() + maxWait,
+        endpoint: options.endpoint,
+        resolve,
+        reject
+      };
+
+      // Keep the queue ordered by priority, then arrival
+      const index = this.queue.findIndex(queued => queued.priority < entry.priority);
+      if (index === -1) {
+        this.queue.push(entry);
+      } else {
+        this.queue.splice(index, 0, entry);
+      }
+
+      this._drain();
+    });
+  }
+
+  /**
+   * Stop sending requests for a while, e.g. after the server returned 429
+   * @param {number} ms - Milliseconds to pause
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this._drain();
+  }
+
+  /**
+   * Get remaining budgets and queue depth
+   * @returns {Object} - Rate limit status
+   */
+  getStatus() {
+    this.minute.refill();
+    this.day.refill();
+
+    return {
+      tier: this.tier,
+      minute: {
+        limit: this.minute.capacity,
+        remaining: Math.floor(this.minute.tokens)
+      },
+      day: {
+        limit: this.day.capacity,
+        remaining: Math.floor(this.day.tokens)
+      },
+      queueDepth: this.queue.length,
+      pausedFor: Math.max(0, this.pausedUntil - Date.now())
+    };
+  }
+
+  /**
+   * Milliseconds until the next request could be sent
+   * @private
+   * @returns {number} - Wait time
+   */
+  _timeUntilAvailable() {
+    return Math.max(
+      this.pausedUntil - Date.now(),
+      this.minute.timeUntilAvailable(),
+      this.day.timeUntilAvailable()
+    );
+  }
+
+  /**
+   * Build the error for a request that cannot be served within maxWait
+   * @private
+   * @param {number} wait - Milliseconds until a slot frees up
+   * @param {string} [endpoint] - API endpoint
+   * @returns {RateLimitExceededError} - Budget error
+   */
+  _budgetError(wait, endpoint) {
+    return new RateLimitExceededError('Local LunarCrush request budget exhausted', {
+      endpoint,
+      retryAfter: wait
+    });
+  }
+
+  /**
+   * Release queued requests while budget allows and schedule the next check
+   * @private
+   */
+  _drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+
+    // Reject requests that have waited too long
+    this.queue = this.queue.filter(entry => {
+      if (entry.deadline >= now) return true;
+      entry.reject(this._budgetError(this._timeUntilAvailable(), entry.endpoint));
+      return false;
+    });
+
+    while (this.queue.length > 0 && this._timeUntilAvailable() === 0) {
+      this.minute.take();
+      this.day.take();
+      this.queue.shift().resolve();
+    }
+
+    if (this.queue.length > 0) {
+      const nextDeadline = Math.min(...this.queue.map(entry => entry.deadline));
+      const wait = Math.min(this._timeUntilAvailable(), nextDeadline - now);
+      this.timer = setTimeout(() => this._drain(), Math.max(wait, 1));
+      // The queue alone must not keep a finished script running
+      this.timer.unref();
+    }
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.TIER_LIMITS = TIER_LIMITS;
@@ -0,0 +1,138 @@
+const RateLimiter = require('./rate-limiter');
+const { TIER_LIMITS } = require('./rate-limiter');
+const { RateLimitExceededError } = require('./errors');
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('starts with the budget of its tier', () => {
+    expect(new RateLimiter().getStatus()).toMatchObject({
+      tier: 'free',
+      minute: { limit: TIER_LIMITS.free.perMinute, remaining: TIER_LIMITS.free.perMinute },
+      day: { limit: TIER_LIMITS.free.perDay, remaining: TIER_LIMITS.free.perDay }
+    });
+    expect(new RateLimiter({ tier: 'paid' }).getStatus().minute.limit).toBe(TIER_LIMITS.paid.perMinute);
+    expect(new RateLimiter({ tier: 'invalid' }).getStatus().minute.limit).toBe(TIER_LIMITS.free.perMinute);
+  });
+
+  test('custom limits override tier budgets', () => {
+    const limiter = new RateLimiter({ tier: 'paid', perMinute: 3, perDay: 50 });
+    expect(limiter.getStatus().minute.limit).toBe(3);
+    expect(limiter.getStatus().day.limit).toBe(50);
+  });
+
+  test('spends one token from each budget per request', async () => {
+    const limiter = new RateLimiter({ perMinute: 5, perDay: 100 });
+    await limiter.acquire();
+    await limiter.acquire();
+
+    expect(limiter.getStatus().minute.remaining).toBe(3);
+    expect(limiter.getStatus().day.remaining).toBe(98);
+  });
+
+  test('queues requests over budget until tokens refill', async () => {
+    const limiter = new RateLimiter({ perMinute: 2 });
+    await limiter.acquire();
+    await limiter.acquire();
+
+    let released = false;
+    const waiting = limiter.acquire().then(() => {
+      released = true;
+    });
+
+    await Promise.resolve();
+    expect(released).toBe(false);
+    expect(limiter.getStatus().queueDepth).toBe(1);
+
+    // Two tokens per minute refill one token every 30 seconds
+    jest.advanceTimersByTime(30 * 1000);
+    await waiting;
+    expect(released).toBe(true);
+  });
+
+  test('rejects requests that would wait longer than maxWait', async () => {
+    const limiter = new RateLimiter({ perMinute: 1, maxWait: 1000 });
+    await limiter.acquire();
+
+    const error = await limiter.acquire({ endpoint: '/public/coins/list/v1' }).catch(caught => caught);
+    expect(error).toBeInstanceOf(RateLimitExceededError);
+    expect(error.endpoint).toBe('/public/coins/list/v1');
+    expect(error.retryAfter).toBeGreaterThan(1000);
+  });
+
+  test('releases higher priorities first', async () => {
+    const limiter = new RateLimiter({ perMinute: 1, maxWait: 5 * 60 * 1000 });
+    await limiter.acquire();
+
+    const order = [];
+    const low = limiter.acquire({ priority: 0 }).then(() => order.push('low'));
+    const high = limiter.acquire({ priority: 5 }).then(() => order.push('high'));
+
+    jest.advanceTimersByTime(60 * 1000);
+    await Promise.resolve();
+    jest.advanceTimersByTime(60 * 1000);
+    await Promise.all([low, high]);
+
+    expect(order).toEqual(['high', 'low']);
+  });
+
+  test('refuses requests that would leave the queue after their deadline', async () => {
+    const limiter = new RateLimiter({ perMinute: 2 });
+    await limiter.acquire();
+    await limiter.acquire();
+
+    // The next token is 30 seconds away: within maxWait, but not within this deadline
+    const error = await limiter.acquire({ deadline: Date.now() + 10 * 1000 }).catch(caught => caught);
+    expect(error).toBeInstanceOf(RateLimitExceededError);
+    expect(limiter.getStatus().queueDepth).toBe(0);
+  });
+
+  test('keeps spent tokens when the tier changes', async () => {
+    const limiter = new RateLimiter();
+    await limiter.acquire();
+    await limiter.acquire();
+
+    limiter.setTier('paid');
+    expect(limiter.getStatus()).toMatchObject({
+      tier: 'paid',
+      minute: { limit: TIER_LIMITS.paid.perMinute, remaining: TIER_LIMITS.paid.perMinute - 2 }
+    });
+  });
+
+  test('holds every request while paused', async () => {
+    const limiter = new RateLimiter({ perMinute: 100 });
+    limiter.pause(5000);
+
+    let released = false;
+    const waiting = limiter.acquire().then(() => {
+      released = true;
+    });
+
+    jest.advanceTimersByTime(4000);
+    await Promise.resolve();
+    expect(released).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    await waiting;
+    expect(released).toBe(true);
+  });
+
+  test('does not keep the process alive while requests are queued', async () => {
+    jest.useRealTimers();
+    const limiter = new RateLimiter({ perMinute: 1 });
+    await limiter.acquire();
+
+    const queued = limiter.acquire().catch(() => {});
+    expect(limiter.timer.hasRef()).toBe(false);
+
+    limiter.queue.splice(0).forEach(entry => entry.resolve());
+    clearTimeout(limiter.timer);
+    await queued;
+  });
+});
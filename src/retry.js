@@ -0,0 +1,105 @@
+const { LunarCrushError, NetworkError } = require('./errors');
+const helpers = require('../utils/helpers');
+
+/**
+ * Default retry policy for LunarCrush requests
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500, // ms, doubled on every attempt
+  maxDelay: 30000, // ms, cap for a single wait
+  jitter: 0.2, // +/- fraction applied to computed delays
+  retryableStatuses: [429, 500, 502, 503, 504],
+  retryNetworkErrors: true,
+  deadline: 60000 // ms, total time budget across all attempts
+};
+
+/**
+ * Build a retry policy from user options
+ * @param {Object|boolean} [options] - Partial policy, or false to disable retries
+ * @returns {Object} - Complete retry policy
+ */
+function createRetryPolicy(options) {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+
+  return { ...DEFAULT_RETRY_POLICY, ...(options || {}) };
+}
+
+/**
+ * Check whether an error should be retried under a policy
+ * @param {LunarCrushError} error - Request error
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} - Whether the request may be retried
+ */
+function isRetryable(error, policy) {
+  if (!(error instanceof LunarCrushError)) return false;
+
+  if (error.status) {
+    return policy.retryableStatuses.includes(error.status);
+  }
+
+  return policy.retryNetworkErrors && error instanceof NetworkError;
+}
+
+/**
+ * Compute the delay before the next attempt
+ * Server-provided Retry-After / reset headers take precedence over backoff
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {LunarCrushError} error - Request error
+ * @param {Object} policy - Retry policy
+ * @returns {number} - Delay in milliseconds
+ */
+function computeDelay(attempt, error, policy) {
+  if (error && error.retryAfter !== null && error.retryAfter !== undefined) {
+    return error.retryAfter;
+  }
+
+  const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  const spread = backoff * policy.jitter;
+  return Math.max(0, backoff - spread + Math.random() * spread * 2);
+}
+
+/**
+ * Run a request function with exponential backoff
+ * The deadline is wall-clock time from the first attempt. Attempts receive it so
+ * they can bound their own waits (such as queueing in the rate limiter).
+ * @param {Function} fn - Async function receiving the attempt number and the deadline (epoch ms)
+ * @param {Object} policy - Retry policy
+ * @returns {Promise<*>} - Result of the first successful attempt
+ * @throws {LunarCrushError} - Last error once attempts or the deadline run out
+ */
+async function withRetry(fn, policy) {
+  const deadline = Date.now() + policy.deadline;
+  let attempt = 0;
+
+  for (;;) {
+    attempt++;
+
+    try {
+      return await fn(attempt, deadline);
+    } catch (error) {
+      if (attempt >= policy.maxAttempts || !isRetryable(error, policy)) {
+        throw error;
+      }
+
+      const delay = computeDelay(attempt, error, policy);
+
+      // Give up early rather than sleep past the total deadline
+      if (Date.now() + delay > deadline) {
+        throw error;
+      }
+
+      await helpers.sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  createRetryPolicy,
+  isRetryable,
+  computeDelay,
+  withRetry
+};
@@ -0,0 +1,165 @@
+const {
+  DEFAULT_RETRY_POLICY,
+  createRetryPolicy,
+  isRetryable,
+  computeDelay,
+  withRetry
+} = require('./retry');
+const {
+  LunarCrushError,
+  NetworkError,
+  RateLimitExceededError,
+  getRetryAfter,
+  parseRetryAfter
+} = require('./errors');
+
+describe('createRetryPolicy', () => {
+  test('fills in defaults', () => {
+    expect(createRetryPolicy()).toEqual(DEFAULT_RETRY_POLICY);
+    expect(createRetryPolicy({ maxAttempts: 5 })).toEqual({ ...DEFAULT_RETRY_POLICY, maxAttempts: 5 });
+  });
+
+  test('false allows a single attempt', () => {
+    expect(createRetryPolicy(false).maxAttempts).toBe(1);
+  });
+});
+
+describe('isRetryable', () => {
+  const policy = createRetryPolicy();
+
+  test('retries 429 and 5xx but not other statuses', () => {
+    for (const status of [429, 500, 502, 503, 504]) {
+      expect(isRetryable(new LunarCrushError('failed', { status }), policy)).toBe(true);
+    }
+    for (const status of [400, 401, 402, 404]) {
+      expect(isRetryable(new LunarCrushError('failed', { status }), policy)).toBe(false);
+    }
+  });
+
+  test('retries network errors unless disabled', () => {
+    expect(isRetryable(new NetworkError(), policy)).toBe(true);
+    expect(isRetryable(new NetworkError(), { ...policy, retryNetworkErrors: false })).toBe(false);
+  });
+
+  test('never retries errors that are not LunarCrush errors', () => {
+    expect(isRetryable(new TypeError('bug'), policy)).toBe(false);
+  });
+});
+
+describe('computeDelay', () => {
+  const policy = createRetryPolicy({ baseDelay: 100, maxDelay: 1000, jitter: 0 });
+
+  test('doubles the delay per attempt up to maxDelay', () => {
+    expect([1, 2, 3, 4, 5].map(attempt => computeDelay(attempt, null, policy))).toEqual([100, 200, 400, 800, 1000]);
+  });
+
+  test('keeps jittered delays within the jitter fraction', () => {
+    const jittered = { ...policy, jitter: 0.2 };
+    for (let i = 0; i < 50; i++) {
+      const delay = computeDelay(2, null, jittered);
+      expect(delay).toBeGreaterThanOrEqual(160);
+      expect(delay).toBeLessThanOrEqual(240);
+    }
+  });
+
+  test('prefers the server Retry-After over backoff', () => {
+    expect(computeDelay(1, new RateLimitExceededError(undefined, { status: 429, retryAfter: 7000 }), policy)).toBe(7000);
+    expect(computeDelay(1, new RateLimitExceededError(undefined, { status: 429, retryAfter: 0 }), policy)).toBe(0);
+  });
+});
+
+describe('Retry-After parsing', () => {
+  test('reads seconds and HTTP dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+
+    const delay = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    expect(delay).toBeGreaterThan(8000);
+    expect(delay).toBeLessThanOrEqual(10000);
+  });
+
+  test('falls back to rate-limit reset headers', () => {
+    expect(getRetryAfter({ 'retry-after': '2', 'x-ratelimit-reset': '30' })).toBe(2000);
+    expect(getRetryAfter({ 'x-ratelimit-reset': '30' })).toBe(30000);
+
+    const epoch = getRetryAfter({ 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 20) });
+    expect(epoch).toBeGreaterThan(18000);
+    expect(epoch).toBeLessThanOrEqual(20000);
+    expect(getRetryAfter({})).toBeNull();
+  });
+});
+
+describe('withRetry', () => {
+  const policy = createRetryPolicy({ baseDelay: 1, jitter: 0 });
+
+  test('retries retryable failures until an attempt succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new LunarCrushError('unavailable', { status: 503 }))
+      .mockRejectedValueOnce(new NetworkError())
+      .mockResolvedValue('ok');
+
+    await expect(withRetry(fn, policy)).resolves.toBe('ok');
+    expect(fn.mock.calls.map(call => call[0])).toEqual([1, 2, 3]);
+  });
+
+  test('throws the last error once attempts run out', async () => {
+    const last = new LunarCrushError('still down', { status: 500 });
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new LunarCrushError('down', { status: 500 }))
+      .mockRejectedValueOnce(new LunarCrushError('down', { status: 500 }))
+      .mockRejectedValueOnce(last);
+
+    await expect(withRetry(fn, policy)).rejects.toBe(last);
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry errors outside the policy', async () => {
+    const fn = jest.fn().mockRejectedValue(new LunarCrushError('payment required', { status: 402 }));
+
+    await expect(withRetry(fn, policy)).rejects.toThrow('payment required');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits for Retry-After before the next attempt', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new RateLimitExceededError(undefined, { status: 429, retryAfter: 50 }))
+      .mockResolvedValue('ok');
+
+    const startedAt = Date.now();
+    await expect(withRetry(fn, policy)).resolves.toBe('ok');
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(45);
+  });
+
+  test('passes the wall-clock deadline to every attempt', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(new NetworkError())
+      .mockResolvedValue('ok');
+
+    const startedAt = Date.now();
+    await withRetry(fn, { ...policy, deadline: 5000 });
+
+    const [first, second] = fn.mock.calls.map(call => call[1]);
+    expect(first).toBe(second);
+    expect(first).toBeGreaterThanOrEqual(startedAt + 5000);
+    expect(first).toBeLessThanOrEqual(Date.now() + 5000);
+  });
+
+  test('counts time spent inside attempts against the deadline', async () => {
+    const fn = jest.fn(async () => {
+      await new Promise(resolve => setTimeout(resolve, 60));
+      throw new NetworkError();
+    });
+
+    await expect(withRetry(fn, { ...policy, maxAttempts: 5, deadline: 100 })).rejects.toBeInstanceOf(NetworkError);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up rather than wait past the deadline', async () => {
+    const error = new RateLimitExceededError(undefined, { status: 429, retryAfter: 5000 });
+    const fn = jest.fn().mockRejectedValue(error);
+
+    await expect(withRetry(fn, { ...policy, deadline: 1000 })).rejects.toBe(error);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
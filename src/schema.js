@@ -0,0 +1,273 @@
+const { LunarCrushError } = require('./errors');
+const { matchEndpoint } = require('./endpoints');
+
+/**
+ * Response schemas per endpoint family
+ * Each entry in `required` lists alternative names for one field (v1/v2/terse),
+ * `numeric` lists fields that must hold numbers when present and `known` lists
+ * every other field we expect, so new fields show up as drift
+ */
+const SCHEMAS = {
+  coinsList: {
+    type: 'array',
+    required: [['symbol', 's'], ['price', 'p'], ['galaxy_score', 'gs']],
+    numeric: ['price', 'p', 'galaxy_score', 'gs', 'market_cap', 'mc', 'volume_24h', 'v',
+      'alt_rank', 'social_volume_24h', 'sv', 'sentiment', 'interactions_24h'],
+    known: ['id', 'name', 'n', 'price_btc', 'volume_24h', 'v', 'volatility', 'circulating_supply',
+      'max_supply', 'percent_change_1h', 'percent_change_24h', 'percent_change_7d', 'percent_change_30d',
+      'market_cap', 'mc', 'market_cap_rank', 'rank', 'interactions_24h', 'social_volume_24h', 'sv',
+      'social_dominance', 'market_dominance', 'market_dominance_prev', 'galaxy_score_previous',
+      'alt_rank', 'alt_rank_previous', 'sentiment', 'categories', 'blockchains', 'topic', 'logo',
+      'last_updated_price', 'last_updated_price_by', 'ss', 'sc']
+  },
+  coin: {
+    type: 'object',
+    required: [['symbol', 's'], ['price', 'p']],
+    numeric: ['price', 'p', 'galaxy_score', 'gs', 'market_cap', 'mc', 'alt_rank', 'volume_24h', 'v'],
+    known: ['id', 'name', 'n', 'price_btc', 'volume_24h', 'v', 'volatility', 'circulating_supply',
+      'max_supply', 'percent_change_24h', 'percent_change_7d', 'percent_change_30d', 'market_cap', 'mc',
+      'market_cap_rank', 'rank', 'market_dominance', 'galaxy_score', 'gs', 'alt_rank', 'ss', 'sv', 'sc',
+      'categories', 'close', 'sentiment']
+  },
+  topic: {
+    type: 'object',
+    required: [['topic']],
+    numeric: ['topic_rank', 'interactions_24h', 'num_contributors', 'num_posts', 'sentiment', 'volume'],
+    known: ['title', 'topic_rank', 'related_topics', 'types_count', 'types_interactions',
+      'types_sentiment', 'types_sentiment_detail', 'interactions_24h', 'num_contributors', 'num_posts',
+      'categories', 'trend', 'sentiment', 'volume', 'momentum', 'related_coins']
+  },
+  topicTimeSeries: {
+    type: 'array',
+    required: [['time']],
+    numeric: ['time', 'contributors_active', 'contributors_created', 'interactions', 'posts_active',
+      'posts_created', 'sentiment', 'spam'],
+    known: ['alt_rank', 'close', 'galaxy_score', 'market_cap', 'volatility', 'social_dominance']
+  },
+  topicCreators: {
+    type: 'array',
+    required: [['creator_id'], ['creator_name']],
+    numeric: ['creator_followers', 'creator_rank', 'interactions_24h'],
+    known: ['creator_avatar', 'creator_display_name', 'creator_network']
+  },
+  topicPosts: {
+    type: 'array',
+    required: [['id'], ['post_type'], ['post_created']],
+    numeric: ['post_created', 'post_sentiment', 'interactions_total', 'interactions_24h', 'creator_followers'],
+    known: ['post_title', 'post_link', 'post_image', 'creator_id', 'creator_name', 'creator_display_name',
+      'creator_avatar']
+  },
+  timeSeries: {
+    type: 'array',
+    required: [['time', 't'], ['close', 'p']],
+    numeric: ['time', 't', 'open', 'close', 'p', 'high', 'low', 'volume_24h', 'market_cap',
+      'galaxy_score', 'gs', 'sentiment', 'posts_created', 'sv', 'contributors_active', 'sc'],
+    known: ['open', 'high', 'low', 'volume_24h', 'market_cap', 'market_dominance', 'circulating_supply',
+      'galaxy_score', 'gs', 'volatility', 'alt_rank', 'sentiment', 'contributors_active',
+      'contributors_created', 'posts_active', 'posts_created', 'interactions', 'social_dominance',
+      'spam', 's', 'ss', 'sv', 'sc']
+  }
+};
+
+/**
+ * Raised in strict mode when a response does not match its schema
+ */
+class SchemaValidationError extends LunarCrushError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'MARKET_DATA_UNAVAILABLE' });
+    this.issues = details.issues || [];
+  }
+}
+
+/**
+ * Validates LunarCrush responses and records schema drift
+ *
+ * Required fields are checked on every record. Optional fields (known and
+ * numeric) are remembered once seen, and counted as missing when a later
+ * payload leaves them out of every record.
+ */
+class SchemaValidator {
+  /**
+   * Create a new schema validator
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.mode='lenient'] - strict (throw), lenient (warn) or off
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'lenient';
+    this.drift = {};
+    this.seenFields = {};
+
+    if (!['strict', 'lenient', 'off'].includes(this.mode)) {
+      throw new LunarCrushError(`Invalid validation mode: ${this.mode}`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+  }
+
+  /**
+   * Validate a response body and record drift
+   * @param {string} endpoint - API endpoint
+   * @param {Object} body - Response body ({ data, ... })
+   * @returns {string[]} - Validation issues (empty when valid or unchecked)
+   * @throws {SchemaValidationError} - In strict mode, when the response is invalid
+   */
+  validate(endpoint, body) {
+    const route = matchEndpoint(endpoint);
+    const family = route && route.family;
+    const schema = SCHEMAS[family];
+    if (this.mode === 'off' || !schema) return [];
+
+    const issues = [];
+    const data = body && body.data;
+
+    if (schema.type === 'array' && !Array.isArray(data)) {
+      issues.push('data: expected an array');
+    } else if (schema.type === 'object' && (!data || typeof data !== 'object' || Array.isArray(data))) {
+      issues.push('data: expected an object');
+    } else {
+      const items = schema.type === 'array' ? data : [data];
+      items.forEach((item, index) => {
+        const prefix = schema.type === 'array' ? `data[${index}]` : 'data';
+        issues.push(...this._checkItem(family, schema, item, prefix));
+      });
+      this._checkVanishedFields(route.name, family, schema, items);
+    }
+
+    if (issues.length === 0) return issues;
+
+    const summary = issues.length > 3
+      ? `${issues.slice(0, 3).join('; ')} and ${issues.length - 3} more`
+      : issues.join('; ');
+    const message = `LunarCrush response for ${endpoint} does not match its schema: ${summary}`;
+
+    if (this.mode === 'strict') {
+      throw new SchemaValidationError(message, { endpoint, issues });
+    }
+
+    console.warn(message);
+    return issues;
+  }
+
+  /**
+   * Check one record against a schema, recording missing and unknown fields
+   * @private
+   * @param {string} family - Endpoint family
+   * @param {Object} schema - Schema for the family
+   * @param {Object} item - Record to check
+   * @param {string} prefix - Path used in issue messages
+   * @returns {string[]} - Issues for this record
+   */
+  _checkItem(family, schema, item, prefix) {
+    if (!item || typeof item !== 'object') {
+      return [`${prefix}: expected an object`];
+    }
+
+    const issues = [];
+    const report = this._getReport(family);
+    report.checked++;
+    report.lastChecked = Date.now();
+
+    for (const alternatives of schema.required) {
+      if (!alternatives.some(field => item[field] !== undefined && item[field] !== null)) {
+        const field = alternatives.join('|');
+        issues.push(`${prefix}.${field}: missing`);
+        report.missingFields[field] = (report.missingFields[field] || 0) + 1;
+      }
+    }
+
+    for (const field of schema.numeric) {
+      const value = item[field];
+      if (value === undefined || value === null) continue;
+      if (!Number.isFinite(typeof value === 'number' ? value : Number(value))) {
+        issues.push(`${prefix}.${field}: expected a number, got ${JSON.stringify(value)}`);
+        report.invalidFields[field] = (report.invalidFields[field] || 0) + 1;
+      }
+    }
+
+    const expected = new Set([...schema.required.flat(), ...schema.numeric, ...schema.known]);
+    for (const field of Object.keys(item)) {
+      if (!expected.has(field)) {
+        report.unknownFields[field] = (report.unknownFields[field] || 0) + 1;
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Record optional fields seen before that no record of a payload carries any more
+   * Fields are remembered per route, so v1 and v2 payloads of a family (which name
+   * fields differently) are not compared. Each vanished field counts once per record
+   * of the payload; an empty payload says nothing about its fields
+   * @private
+   * @param {string} routeName - Endpoint name
+   * @param {string} family - Endpoint family
+   * @param {Object} schema - Schema for the family
+   * @param {Array} items - Records of the payload
+   */
+  _checkVanishedFields(routeName, family, schema, items) {
+    const records = items.filter(item => item && typeof item === 'object');
+    if (records.length === 0) return;
+
+    const required = new Set(schema.required.flat());
+    const optional = [...schema.numeric, ...schema.known].filter(field => !required.has(field));
+    const present = new Set();
+    for (const record of records) {
+      for (const field of optional) {
+        if (record[field] !== undefined && record[field] !== null) present.add(field);
+      }
+    }
+
+    const seen = this.seenFields[routeName] || (this.seenFields[routeName] = new Set());
+    const report = this._getReport(family);
+    for (const field of seen) {
+      if (!present.has(field)) {
+        report.missingFields[field] = (report.missingFields[field] || 0) + records.length;
+      }
+    }
+    present.forEach(field => seen.add(field));
+  }
+
+  /**
+   * Get or create the drift report for an endpoint family
+   * @private
+   * @param {string} family - Endpoint family
+   * @returns {Object} - Drift report
+   */
+  _getReport(family) {
+    if (!this.drift[family]) {
+      this.drift[family] = {
+        checked: 0,
+        lastChecked: null,
+        missingFields: {},
+        invalidFields: {},
+        unknownFields: {}
+      };
+    }
+    return this.drift[family];
+  }
+
+  /**
+   * Get the drift recorded so far, per endpoint family
+   * Counts are the number of records where a field was missing, invalid or unknown;
+   * optional fields count as missing once seen and later left out of a whole payload
+   * @returns {Object} - Drift report keyed by endpoint family
+   */
+  getDriftReport() {
+    return JSON.parse(JSON.stringify(this.drift));
+  }
+
+  /**
+   * Forget recorded drift and the optional fields seen so far
+   */
+  reset() {
+    this.drift = {};
+    this.seenFields = {};
+  }
+}
+
+module.exports = {
+  SCHEMAS,
+  SchemaValidator,
+  SchemaValidationError
+};
@@ -0,0 +1,132 @@
+const { SchemaValidator, SchemaValidationError } = require('./schema');
+
+const COINS_LIST = '/public/coins/list/v2';
+
+describe('SchemaValidator', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  test('accepts v2 and terse records', () => {
+    const validator = new SchemaValidator();
+
+    expect(validator.validate(COINS_LIST, {
+      data: [
+        { id: 1, symbol: 'BTC', price: 65000, galaxy_score: 70 },
+        { s: 'ETH', p: 3000, gs: 65 }
+      ]
+    })).toEqual([]);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('reports missing, non-numeric and unknown fields as drift', () => {
+    const validator = new SchemaValidator();
+    const issues = validator.validate(COINS_LIST, {
+      data: [
+        { symbol: 'BTC', price: 'lots', galaxy_score: 70, new_field: 1 },
+        { symbol: 'ETH', price: 3000, new_field: 2 }
+      ]
+    });
+
+    expect(issues).toEqual([
+      'data[0].price: expected a number, got "lots"',
+      'data[1].galaxy_score|gs: missing'
+    ]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(validator.getDriftReport()).toEqual({
+      coinsList: {
+        checked: 2,
+        lastChecked: expect.any(Number),
+        missingFields: { 'galaxy_score|gs': 1 },
+        invalidFields: { price: 1 },
+        unknownFields: { new_field: 2 }
+      }
+    });
+  });
+
+  test('reports optional fields that vanish from a whole payload', () => {
+    const validator = new SchemaValidator();
+    validator.validate(COINS_LIST, {
+      data: [
+        { symbol: 'BTC', price: 65000, galaxy_score: 70, market_cap: 1, alt_rank: 3 },
+        { symbol: 'ETH', price: 3000, galaxy_score: 65, market_cap: 2 }
+      ]
+    });
+    expect(validator.getDriftReport().coinsList.missingFields).toEqual({});
+
+    const issues = validator.validate(COINS_LIST, {
+      data: [
+        { symbol: 'BTC', price: 65000, galaxy_score: 70, alt_rank: 3 },
+        { symbol: 'ETH', price: 3000, galaxy_score: 65 }
+      ]
+    });
+
+    // Drift only: one record still carries alt_rank, and a vanished optional field is not an issue
+    expect(issues).toEqual([]);
+    expect(validator.getDriftReport().coinsList.missingFields).toEqual({ market_cap: 2 });
+
+    validator.validate(COINS_LIST, { data: [] });
+    expect(validator.getDriftReport().coinsList.missingFields).toEqual({ market_cap: 2 });
+  });
+
+  test('does not compare optional fields across routes of a family', () => {
+    const validator = new SchemaValidator();
+    validator.validate(COINS_LIST, { data: [{ symbol: 'BTC', price: 1, galaxy_score: 1, market_cap: 1 }] });
+    validator.validate('/public/coins/list/v1', { data: [{ s: 'BTC', p: 1, gs: 1, mc: 1 }] });
+
+    expect(validator.getDriftReport().coinsList.missingFields).toEqual({});
+  });
+
+  test('checks the shape of the payload', () => {
+    const validator = new SchemaValidator();
+
+    expect(validator.validate(COINS_LIST, { data: {} })).toEqual(['data: expected an array']);
+    expect(validator.validate('/public/coins/1/v1', { data: [] })).toEqual(['data: expected an object']);
+  });
+
+  test('throws in strict mode', () => {
+    const validator = new SchemaValidator({ mode: 'strict' });
+    const error = (() => {
+      try {
+        validator.validate('/public/coins/1/v1', { data: { symbol: 'BTC' } });
+      } catch (caught) {
+        return caught;
+      }
+      return null;
+    })();
+
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.endpoint).toBe('/public/coins/1/v1');
+    expect(error.issues).toEqual(['data.price|p: missing']);
+  });
+
+  test('skips validation when off or for endpoints without a schema', () => {
+    expect(new SchemaValidator({ mode: 'off' }).validate(COINS_LIST, { data: null })).toEqual([]);
+    expect(new SchemaValidator().validate('/public/categories/list/v1', { data: null })).toEqual([]);
+  });
+
+  test('returns a copy of the drift report and forgets it on reset', () => {
+    const validator = new SchemaValidator();
+    validator.validate(COINS_LIST, { data: [{ symbol: 'BTC', price: 1, galaxy_score: 1, extra: true }] });
+
+    const report = validator.getDriftReport();
+    report.coinsList.checked = 99;
+    expect(validator.getDriftReport().coinsList.checked).toBe(1);
+
+    validator.reset();
+    expect(validator.getDriftReport()).toEqual({});
+
+    validator.validate(COINS_LIST, { data: [{ symbol: 'BTC', price: 1, galaxy_score: 1 }] });
+    expect(validator.getDriftReport().coinsList.missingFields).toEqual({});
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => new SchemaValidator({ mode: 'loose' })).toThrow(/Invalid validation mode/);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Historical snapshots of LunarCrush coin lists and topics
+ *
+ * LunarCrush only serves current rankings, so the recorder keeps its own
+ * history. Any object implementing the interface below can be passed as the
+ * recorder's `store`.
+ *
+ * @typedef {Object} Snapshot
+ * @property {number} time - When the snapshot was taken, in epoch milliseconds
+ * @property {string} kind - coins or topic
+ * @property {string|null} key - Topic name for topic snapshots, null for coin lists
+ * @property {Coin[]|TopicSnapshot} data - Normalized coins in list order, or a normalized topic
+ *
+ * @typedef {Object} SnapshotStore
+ * @property {function(Snapshot): Promise<void>} append - Store a snapshot
+ * @property {function(Object): Promise<Snapshot[]>} read - Snapshots matching { kind, key, start, end }, oldest first
+ * @property {function(Object): Promise<Snapshot|null>} latest - Last snapshot matching { kind, key } taken at or before `at`
+ * @property {function(): void} close - Release the store
+ */
+
+const JsonlSnapshotStore = require('./jsonl-store');
+const SqliteSnapshotStore = require('./sqlite-store');
+const SnapshotRecorder = require('./recorder');
+
+/**
+ * Open a snapshot store for a file, picking the backend from its extension
+ * @param {string} file - .db, .sqlite or .sqlite3 for SQLite, anything else for JSONL
+ * @returns {SnapshotStore} - Snapshot store
+ */
+function openSnapshotStore(file) {
+  return /\.(db|sqlite3?)$/i.test(file)
+    ? new SqliteSnapshotStore({ path: file })
+    : new JsonlSnapshotStore({ path: file });
+}
+
+module.exports = {
+  JsonlSnapshotStore,
+  SqliteSnapshotStore,
+  SnapshotRecorder,
+  openSnapshotStore
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonlSnapshotStore, SqliteSnapshotStore, openSnapshotStore } = require('./index');
+
+// better-sqlite3 is an optional peer dependency
+const hasSqlite = (() => {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+const STORES = [
+  ['JSONL', 'snapshots.jsonl', true],
+  ['SQLite', 'snapshots.db', hasSqlite]
+];
+
+describe.each(STORES)('%s snapshot store', (label, file, available) => {
+  const run = available ? test : test.skip;
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunarcrush-snapshots-'));
+    if (!available) return;
+
+    store = openSnapshotStore(path.join(dir, file));
+    await store.append({ time: T0 + 2 * HOUR, kind: 'coins', key: null, data: [{ symbol: 'ETH' }] });
+    await store.append({ time: T0, kind: 'coins', key: null, data: [{ symbol: 'BTC' }] });
+    await store.append({ time: T0 + HOUR, kind: 'topic', key: 'bitcoin', data: { sentiment: 70 } });
+    await store.append({ time: T0 + HOUR, kind: 'topic', key: 'solana', data: { sentiment: 60 } });
+  });
+
+  afterEach(() => {
+    if (store) store.close();
+    store = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  run('opens the backend that matches the file extension', () => {
+    expect(store).toBeInstanceOf(label === 'JSONL' ? JsonlSnapshotStore : SqliteSnapshotStore);
+  });
+
+  run('reads snapshots of a kind and key, oldest first, within a range', async () => {
+    expect((await store.read({ kind: 'coins' })).map(snapshot => snapshot.time)).toEqual([T0, T0 + 2 * HOUR]);
+    expect(await store.read({ kind: 'coins', start: T0 + HOUR })).toEqual([
+      { time: T0 + 2 * HOUR, kind: 'coins', key: null, data: [{ symbol: 'ETH' }] }
+    ]);
+    expect(await store.read({ kind: 'coins', end: T0 + HOUR })).toHaveLength(1);
+    expect(await store.read({ kind: 'topic', key: 'solana' })).toEqual([
+      { time: T0 + HOUR, kind: 'topic', key: 'solana', data: { sentiment: 60 } }
+    ]);
+  });
+
+  run('answers point-in-time reads with the last snapshot taken at or before the time', async () => {
+    expect((await store.latest({ kind: 'coins', at: T0 + HOUR })).data).toEqual([{ symbol: 'BTC' }]);
+    expect((await store.latest({ kind: 'coins', at: T0 + 2 * HOUR })).data).toEqual([{ symbol: 'ETH' }]);
+    expect((await store.latest({ kind: 'topic', key: 'bitcoin', at: T0 + 3 * HOUR })).data).toEqual({ sentiment: 70 });
+    expect(await store.latest({ kind: 'coins', at: T0 - 1 })).toBeNull();
+    expect(await store.latest({ kind: 'topic', key: 'ethereum', at: T0 + 3 * HOUR })).toBeNull();
+  });
+});
+
+describe('JSONL snapshot store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lunarcrush-snapshots-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reads nothing before the first write and creates its directory on demand', async () => {
+    const store = new JsonlSnapshotStore({ path: path.join(dir, 'nested', 'snapshots.jsonl') });
+    expect(await store.read({ kind: 'coins' })).toEqual([]);
+
+    await store.append({ time: T0, kind: 'coins', key: null, data: [] });
+    expect(await store.read({ kind: 'coins' })).toHaveLength(1);
+  });
+
+  test('keeps concurrent appends on separate lines and skips a half-written line', async () => {
+    const file = path.join(dir, 'snapshots.jsonl');
+    const store = new JsonlSnapshotStore({ path: file });
+    await Promise.all(Array.from({ length: 20 }, (unused, index) =>
+      store.append({ time: T0 + index, kind: 'coins', key: null, data: [{ symbol: `C${index}` }] })));
+    fs.appendFileSync(file, '{"time": 1, "kind": "co');
+
+    const snapshots = await store.read({ kind: 'coins' });
+    expect(snapshots).toHaveLength(20);
+    expect(snapshots.map(snapshot => snapshot.data[0].symbol)).toEqual(Array.from({ length: 20 }, (unused, index) => `C${index}`));
+  });
+});
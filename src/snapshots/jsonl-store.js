@@ -0,0 +1,137 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const readline = require('readline');
+
+/**
+ * Snapshot store appending one JSON snapshot per line to a file
+ * Reads scan the whole file, which is fine for months of hourly snapshots
+ */
+class JsonlSnapshotStore {
+  /**
+   * Create a new JSONL snapshot store
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.path='lunarcrush-snapshots.jsonl'] - Snapshot file
+   */
+  constructor(options = {}) {
+    this.path = options.path || 'lunarcrush-snapshots.jsonl';
+    this.ready = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Create the file's directory on first write
+   * @private
+   * @returns {Promise<void>}
+   */
+  _ensureDir() {
+    if (!this.ready) {
+      this.ready = fsp.mkdir(path.dirname(path.resolve(this.path)), { recursive: true });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Append a snapshot
+   * @param {Snapshot} snapshot - Snapshot to store
+   * @returns {Promise<void>}
+   */
+  async append(snapshot) {
+    await this._ensureDir();
+
+    // Chain writes so concurrent appends never interleave; a failed write
+    // rejects its own append but must not break the chain for later ones
+    const write = this.writing.then(() => fsp.appendFile(this.path, `${JSON.stringify(snapshot)}\n`));
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Read snapshots of a kind, oldest first
+   * @param {Object} query - Query
+   * @param {string} query.kind - coins or topic
+   * @param {string} [query.key] - Topic name, for topic snapshots
+   * @param {number} [query.start] - Earliest time in epoch milliseconds
+   * @param {number} [query.end] - Latest time in epoch milliseconds
+   * @returns {Promise<Snapshot[]>} - Matching snapshots
+   */
+  async read(query) {
+    const snapshots = [];
+
+    await this._scan(snapshot => {
+      if (JsonlSnapshotStore.matches(snapshot, query)) snapshots.push(snapshot);
+    });
+
+    return snapshots.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Read the last snapshot of a kind taken at or before a time
+   * @param {Object} query - Query
+   * @param {string} query.kind - coins or topic
+   * @param {string} [query.key] - Topic name, for topic snapshots
+   * @param {number} query.at - Time in epoch milliseconds
+   * @returns {Promise<Snapshot|null>} - Snapshot, or null when none is that old
+   */
+  async latest(query) {
+    let latest = null;
+
+    await this._scan(snapshot => {
+      if (JsonlSnapshotStore.matches(snapshot, { ...query, end: query.at }) &&
+          (!latest || snapshot.time >= latest.time)) {
+        latest = snapshot;
+      }
+    });
+
+    return latest;
+  }
+
+  /**
+   * Call a function with every snapshot in the file
+   * @private
+   * @param {Function} fn - Called with each snapshot
+   * @returns {Promise<void>}
+   */
+  async _scan(fn) {
+    await this.writing;
+
+    let stream;
+    try {
+      await fsp.access(this.path);
+      stream = fs.createReadStream(this.path, { encoding: 'utf8' });
+    } catch (error) {
+      return; // Nothing recorded yet
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        fn(JSON.parse(line));
+      } catch (error) {
+        // Half-written line from a crash; the snapshots around it are intact
+      }
+    }
+  }
+
+  /**
+   * Check a snapshot against a query
+   * @param {Snapshot} snapshot - Snapshot
+   * @param {Object} query - { kind, key, start, end }
+   * @returns {boolean} - Whether the snapshot matches
+   */
+  static matches(snapshot, query) {
+    return snapshot.kind === query.kind &&
+      (snapshot.key || null) === (query.key || null) &&
+      (query.start === undefined || snapshot.time >= query.start) &&
+      (query.end === undefined || snapshot.time <= query.end);
+  }
+
+  /**
+   * Nothing to release; present for parity with SqliteSnapshotStore
+   */
+  close() {}
+}
+
+module.exports = JsonlSnapshotStore;
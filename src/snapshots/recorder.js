@@ -0,0 +1,261 @@
+const { LunarCrushError } = require('../errors');
+const { toMillis } = require('../time-series');
+const helpers = require('../../utils/helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Metrics where a smaller number is better, so a mover "up" is a falling number
+const RANK_METRICS = ['marketCapRank', 'altRank', 'position'];
+
+/**
+ * Records coin-list and topic snapshots and answers point-in-time queries
+ *
+ * Every query only looks at snapshots taken at or before the time asked
+ * about, so backtests never see later data.
+ */
+class SnapshotRecorder {
+  /**
+   * Create a new snapshot recorder
+   * @param {Object} options - Configuration options
+   * @param {SnapshotStore} options.store - Where snapshots are kept
+   * @param {Function} [options.fetchCoins] - Returns a promise of { data, meta } with normalized coins
+   * @param {Function} [options.fetchTopic] - Called with a topic; returns a promise of { data, meta }
+   *   with a normalized topic
+   * @param {string[]} [options.topics] - Topics recorded with each snapshot
+   * @param {number} [options.interval=3600000] - Milliseconds between snapshots when started
+   */
+  constructor(options = {}) {
+    if (!options.store) {
+      throw new LunarCrushError('SnapshotRecorder requires a store', { code: 'CONFIGURATION_INVALID' });
+    }
+
+    this.store = options.store;
+    this.fetchCoins = options.fetchCoins || null;
+    this.fetchTopic = options.fetchTopic || null;
+    this.topics = options.topics || [];
+    this.interval = options.interval || 60 * 60 * 1000; // 1 hour
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Record snapshots periodically; the first one is taken immediately
+   * @returns {SnapshotRecorder} - This recorder
+   */
+  start() {
+    if (this.running) return this;
+
+    this.running = true;
+    this._schedule(0);
+    return this;
+  }
+
+  /**
+   * Stop recording
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Take one snapshot of the coin list and every topic
+   * Mock and stale responses are skipped, since they would rewrite history
+   * @returns {Promise<Snapshot[]>} - Snapshots stored
+   */
+  async record() {
+    const time = Date.now();
+    const jobs = [];
+
+    if (this.fetchCoins) {
+      jobs.push({ kind: 'coins', key: null, fetch: () => this.fetchCoins() });
+    }
+    for (const topic of this.topics) {
+      if (this.fetchTopic) {
+        jobs.push({ kind: 'topic', key: String(topic).toLowerCase(), fetch: () => this.fetchTopic(topic) });
+      }
+    }
+
+    const stored = [];
+    for (const job of jobs) {
+      let result;
+      try {
+        result = await job.fetch();
+      } catch (error) {
+        console.warn(`Failed to record a ${job.kind} snapshot${job.key ? ` for ${job.key}` : ''}: ${error.message}`);
+        continue;
+      }
+
+      const meta = result.meta || {};
+      if (meta.using_mock_data || meta.using_stale_data) {
+        console.warn(`Skipping a ${job.kind} snapshot${job.key ? ` for ${job.key}` : ''}: the response was ${meta.using_mock_data ? 'mock' : 'stale'} data.`);
+        continue;
+      }
+
+      const snapshot = { time, kind: job.kind, key: job.key, data: result.data };
+      await this.store.append(snapshot);
+      stored.push(snapshot);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Get the coin list as it was recorded at a time
+   * @param {Date|number|string} [at=now] - Time
+   * @returns {Promise<Snapshot|null>} - Last coins snapshot taken at or before the time
+   */
+  getSnapshot(at = Date.now()) {
+    return this.store.latest({ kind: 'coins', at: toMillis(at) });
+  }
+
+  /**
+   * Get a coin's ranks and scores across recorded snapshots
+   * @param {string} symbol - Coin symbol
+   * @param {string|Object} [range='7d'] - Period ending now (e.g. '24h', '30d') or { start, end }
+   * @returns {Promise<Array<Object>>} - { time, position, marketCapRank, altRank, galaxyScore,
+   *   socialVolume, sentiment, price } per snapshot that lists the coin, oldest first;
+   *   position is the coin's 1-based place in the recorded list
+   */
+  async getRankHistory(symbol, range = '7d') {
+    const { start, end } = SnapshotRecorder.toRange(range);
+    const wanted = String(symbol).toUpperCase();
+    const snapshots = await this.store.read({ kind: 'coins', start, end });
+    const history = [];
+
+    for (const snapshot of snapshots) {
+      const index = snapshot.data.findIndex(coin => coin.symbol === wanted);
+      if (index === -1) continue;
+
+      const coin = snapshot.data[index];
+      history.push({
+        time: snapshot.time,
+        position: index + 1,
+        marketCapRank: coin.marketCapRank,
+        altRank: coin.altRank,
+        galaxyScore: coin.galaxyScore,
+        socialVolume: coin.socialVolume,
+        sentiment: coin.sentiment,
+        price: coin.price
+      });
+    }
+
+    return history;
+  }
+
+  /**
+   * Get a topic's recorded snapshots
+   * @param {string} topic - Topic
+   * @param {string|Object} [range='7d'] - Period ending now (e.g. '24h', '30d') or { start, end }
+   * @returns {Promise<Array<Object>>} - { time, ...TopicSnapshot } per snapshot, oldest first
+   */
+  async getTopicHistory(topic, range = '7d') {
+    const { start, end } = SnapshotRecorder.toRange(range);
+    const snapshots = await this.store.read({ kind: 'topic', key: String(topic).toLowerCase(), start, end });
+    return snapshots.map(snapshot => ({ time: snapshot.time, ...snapshot.data }));
+  }
+
+  /**
+   * Get the coins that moved most on a metric between two snapshots
+   * Compares the last snapshot at or before `at` with the last one at or before
+   * `at - window`. For ranks (marketCapRank, altRank, position) `change` is the
+   * number of places gained, so moving up the ranking is positive.
+   * @param {Object} [options] - Query options
+   * @param {string} [options.metric='galaxyScore'] - Coin field or position
+   * @param {string|number} [options.window='24h'] - Period (e.g. '24h', '7d') or milliseconds
+   * @param {Date|number|string} [options.at=now] - End of the window
+   * @param {string} [options.direction='up'] - up (largest gains) or down (largest losses)
+   * @param {number} [options.limit=10] - Number of coins to return
+   * @returns {Promise<Array<Object>>} - { symbol, name, metric, previous, current, change,
+   *   changePercent, from, to }
+   */
+  async getTopMovers(options = {}) {
+    const metric = options.metric || 'galaxyScore';
+    const windowMs = SnapshotRecorder.toDuration(options.window || '24h');
+    const at = toMillis(options.at !== undefined ? options.at : Date.now());
+    const direction = options.direction || 'up';
+    const limit = options.limit || 10;
+
+    const [current, previous] = await Promise.all([
+      this.store.latest({ kind: 'coins', at }),
+      this.store.latest({ kind: 'coins', at: at - windowMs })
+    ]);
+    if (!current || !previous || current.time === previous.time) return [];
+
+    const valueOf = (snapshot, index) => (metric === 'position' ? index + 1 : snapshot.data[index][metric]);
+    const before = new Map(previous.data.map((coin, index) => [coin.symbol, valueOf(previous, index)]));
+    const lowerIsBetter = RANK_METRICS.includes(metric);
+    const movers = [];
+
+    current.data.forEach((coin, index) => {
+      const now = valueOf(current, index);
+      const then = before.get(coin.symbol);
+      if (typeof now !== 'number' || typeof then !== 'number') return;
+
+      const change = lowerIsBetter ? then - now : now - then;
+      movers.push({
+        symbol: coin.symbol,
+        name: coin.name,
+        metric,
+        previous: then,
+        current: now,
+        change,
+        changePercent: then !== 0 ? (change / Math.abs(then)) * 100 : null,
+        from: previous.time,
+        to: current.time
+      });
+    });
+
+    movers.sort((a, b) => (direction === 'down' ? a.change - b.change : b.change - a.change));
+    return movers.slice(0, limit);
+  }
+
+  /**
+   * Schedule the next snapshot
+   * @private
+   * @param {number} delay - Milliseconds to wait
+   */
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.record();
+      } catch (error) {
+        console.warn(`Failed to record LunarCrush snapshots: ${error.message}`);
+      }
+
+      if (this.running) {
+        this._schedule(this.interval);
+      }
+    }, delay);
+  }
+
+  /**
+   * Convert a period or milliseconds to milliseconds
+   * @param {string|number} window - Period such as '24h' or '7d', or milliseconds
+   * @returns {number} - Milliseconds
+   */
+  static toDuration(window) {
+    return typeof window === 'number' ? window : helpers.periodToDays(window) * DAY;
+  }
+
+  /**
+   * Convert a range to epoch milliseconds
+   * @param {string|Object} range - Period ending now (e.g. '7d') or { start, end }
+   *   with Dates, epoch milliseconds or ISO strings
+   * @returns {Object} - { start, end }
+   */
+  static toRange(range) {
+    if (typeof range === 'string' || typeof range === 'number') {
+      const end = Date.now();
+      return { start: end - SnapshotRecorder.toDuration(range), end };
+    }
+
+    return {
+      start: range.start !== undefined ? toMillis(range.start) : undefined,
+      end: range.end !== undefined ? toMillis(range.end) : Date.now()
+    };
+  }
+}
+
+module.exports = SnapshotRecorder;
@@ -0,0 +1,121 @@
+const SnapshotRecorder = require('./recorder');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+/**
+ * Snapshot store kept in memory, implementing the SnapshotStore interface
+ */
+class MemoryStore {
+  constructor() {
+    this.snapshots = [];
+  }
+
+  async append(snapshot) {
+    this.snapshots.push(snapshot);
+  }
+
+  async read({ kind, key, start = -Infinity, end = Infinity }) {
+    return this.snapshots
+      .filter(snapshot => snapshot.kind === kind && (snapshot.key || null) === (key || null) &&
+        snapshot.time >= start && snapshot.time <= end)
+      .sort((a, b) => a.time - b.time);
+  }
+
+  async latest({ kind, key, at }) {
+    const matching = await this.read({ kind, key, end: at });
+    return matching.length > 0 ? matching[matching.length - 1] : null;
+  }
+
+  close() {}
+}
+
+/**
+ * Coins in list order, with a galaxy score and market cap rank each
+ * @param {Array<Array>} rows - [symbol, galaxyScore, marketCapRank]
+ * @returns {Object[]} - Normalized coins
+ */
+function coins(rows) {
+  return rows.map(([symbol, galaxyScore, marketCapRank]) => ({ symbol, name: symbol, galaxyScore, marketCapRank }));
+}
+
+describe('SnapshotRecorder', () => {
+  let warn;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(T0);
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test('requires a store', () => {
+    expect(() => new SnapshotRecorder()).toThrow(expect.objectContaining({ code: 'CONFIGURATION_INVALID' }));
+  });
+
+  test('records the coin list and topics, skipping mock, stale and failed responses', async () => {
+    const store = new MemoryStore();
+    const recorder = new SnapshotRecorder({
+      store,
+      fetchCoins: async () => ({ data: coins([['BTC', 70, 1]]), meta: {} }),
+      fetchTopic: async topic => {
+        if (topic === 'down') throw new Error('timeout');
+        return { data: { topic }, meta: topic === 'Solana' ? { using_stale_data: true } : undefined };
+      },
+      topics: ['Bitcoin', 'Solana', 'down']
+    });
+
+    const stored = await recorder.record();
+
+    expect(stored.map(snapshot => [snapshot.kind, snapshot.key])).toEqual([['coins', null], ['topic', 'bitcoin']]);
+    expect(store.snapshots).toHaveLength(2);
+    expect(warn).toHaveBeenCalledTimes(2);
+
+    const mock = new SnapshotRecorder({ store, fetchCoins: async () => ({ data: [], meta: { using_mock_data: true } }) });
+    expect(await mock.record()).toEqual([]);
+  });
+
+  test('answers point-in-time queries without seeing later snapshots', async () => {
+    const store = new MemoryStore();
+    const recorder = new SnapshotRecorder({ store });
+    await store.append({ time: T0, kind: 'coins', key: null, data: coins([['BTC', 70, 1], ['ETH', 60, 2]]) });
+    await store.append({ time: T0 + 24 * HOUR, kind: 'coins', key: null, data: coins([['ETH', 75, 2], ['BTC', 65, 1]]) });
+    await store.append({ time: T0 + 48 * HOUR, kind: 'coins', key: null, data: coins([['SOL', 90, 5]]) });
+
+    expect((await recorder.getSnapshot(T0 + 30 * HOUR)).time).toBe(T0 + 24 * HOUR);
+    expect(await recorder.getSnapshot(new Date(T0 - 1))).toBeNull();
+
+    const movers = await recorder.getTopMovers({ at: T0 + 30 * HOUR, window: '24h' });
+    expect(movers.map(mover => [mover.symbol, mover.change])).toEqual([['ETH', 15], ['BTC', -5]]);
+    expect(movers[0]).toMatchObject({ from: T0, to: T0 + 24 * HOUR, changePercent: 25 });
+
+    const byPosition = await recorder.getTopMovers({ at: T0 + 24 * HOUR, window: '24h', metric: 'position', limit: 1 });
+    expect(byPosition).toEqual([expect.objectContaining({ symbol: 'ETH', previous: 2, current: 1, change: 1 })]);
+  });
+
+  test('returns no movers without two distinct snapshots in the window', async () => {
+    const store = new MemoryStore();
+    await store.append({ time: T0, kind: 'coins', key: null, data: coins([['BTC', 70, 1]]) });
+
+    expect(await new SnapshotRecorder({ store }).getTopMovers({ at: T0 + HOUR, window: '30m' })).toEqual([]);
+  });
+
+  test('reads rank and topic history within a range', async () => {
+    const store = new MemoryStore();
+    const recorder = new SnapshotRecorder({ store });
+    await store.append({ time: T0, kind: 'coins', key: null, data: coins([['BTC', 70, 1], ['ETH', 60, 2]]) });
+    await store.append({ time: T0 + HOUR, kind: 'coins', key: null, data: coins([['ETH', 75, 2]]) });
+    await store.append({ time: T0 + HOUR, kind: 'topic', key: 'bitcoin', data: { sentiment: 70 } });
+
+    expect(await recorder.getRankHistory('eth', { start: T0, end: T0 + HOUR })).toEqual([
+      expect.objectContaining({ time: T0, position: 2, galaxyScore: 60 }),
+      expect.objectContaining({ time: T0 + HOUR, position: 1, galaxyScore: 75 })
+    ]);
+    expect(await recorder.getRankHistory('BTC', { start: T0 + 1, end: T0 + HOUR })).toEqual([]);
+    expect(await recorder.getTopicHistory('Bitcoin', { start: T0, end: T0 + HOUR })).toEqual([{ time: T0 + HOUR, sentiment: 70 }]);
+  });
+});
@@ -0,0 +1,94 @@
+const SqliteCache = require('../cache/sqlite-cache');
+
+/**
+ * Snapshot store backed by SQLite, built on the optional `better-sqlite3` package
+ * Point-in-time lookups use an index instead of scanning every snapshot
+ */
+class SqliteSnapshotStore {
+  /**
+   * Create a new SQLite snapshot store
+   * @param {Object} [options] - Configuration options
+   * @param {string} [options.path='lunarcrush-snapshots.db'] - Database file
+   * @param {Object} [options.db] - Existing better-sqlite3 database to use instead
+   */
+  constructor(options = {}) {
+    this.db = options.db || SqliteCache._openDatabase(options.path || 'lunarcrush-snapshots.db');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS lunarcrush_snapshots (
+        time INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        key TEXT NOT NULL DEFAULT '',
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS lunarcrush_snapshots_lookup
+        ON lunarcrush_snapshots (kind, key, time)
+    `);
+
+    this.statements = {
+      append: this.db.prepare('INSERT INTO lunarcrush_snapshots (time, kind, key, data) VALUES (?, ?, ?, ?)'),
+      read: this.db.prepare(
+        'SELECT time, kind, key, data FROM lunarcrush_snapshots WHERE kind = ? AND key = ? AND time >= ? AND time <= ? ORDER BY time'
+      ),
+      latest: this.db.prepare(
+        'SELECT time, kind, key, data FROM lunarcrush_snapshots WHERE kind = ? AND key = ? AND time <= ? ORDER BY time DESC LIMIT 1'
+      )
+    };
+  }
+
+  /**
+   * Turn a row back into a snapshot
+   * @private
+   * @param {Object} row - Database row
+   * @returns {Snapshot} - Snapshot
+   */
+  static _toSnapshot(row) {
+    return { time: row.time, kind: row.kind, key: row.key || null, data: JSON.parse(row.data) };
+  }
+
+  /**
+   * Append a snapshot
+   * @param {Snapshot} snapshot - Snapshot to store
+   * @returns {Promise<void>}
+   */
+  async append(snapshot) {
+    this.statements.append.run(snapshot.time, snapshot.kind, snapshot.key || '', JSON.stringify(snapshot.data));
+  }
+
+  /**
+   * Read snapshots of a kind, oldest first
+   * @param {Object} query - Query
+   * @param {string} query.kind - coins or topic
+   * @param {string} [query.key] - Topic name, for topic snapshots
+   * @param {number} [query.start] - Earliest time in epoch milliseconds
+   * @param {number} [query.end] - Latest time in epoch milliseconds
+   * @returns {Promise<Snapshot[]>} - Matching snapshots
+   */
+  async read(query) {
+    const start = query.start !== undefined ? query.start : 0;
+    const end = query.end !== undefined ? query.end : Number.MAX_SAFE_INTEGER;
+    return this.statements.read.all(query.kind, query.key || '', start, end).map(SqliteSnapshotStore._toSnapshot);
+  }
+
+  /**
+   * Read the last snapshot of a kind taken at or before a time
+   * @param {Object} query - Query
+   * @param {string} query.kind - coins or topic
+   * @param {string} [query.key] - Topic name, for topic snapshots
+   * @param {number} query.at - Time in epoch milliseconds
+   * @returns {Promise<Snapshot|null>} - Snapshot, or null when none is that old
+   */
+  async latest(query) {
+    const row = this.statements.latest.get(query.kind, query.key || '', query.at);
+    return row ? SqliteSnapshotStore._toSnapshot(row) : null;
+  }
+
+  /**
+   * Close the underlying database
+   */
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteSnapshotStore;
@@ -0,0 +1,167 @@
+/**
+ * Time-series request planning and response merging
+ * @module time-series
+ */
+
+const BUCKETS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Most points LunarCrush returns in one time-series response, per bucket
+ */
+const MAX_POINTS_PER_REQUEST = {
+  hour: 720, // 30 days
+  day: 365
+};
+
+/**
+ * Raw field names for each metric that can be selected
+ * LunarCrush v2 uses descriptive names, older payloads and mock data terse ones
+ */
+const METRIC_FIELDS = {
+  price: ['close', 'p'],
+  open: ['open'],
+  high: ['high'],
+  low: ['low'],
+  volume: ['volume_24h', 'volume', 'v'],
+  marketCap: ['market_cap', 'mc'],
+  galaxyScore: ['galaxy_score', 'gs'],
+  altRank: ['alt_rank', 'acr'],
+  sentiment: ['sentiment'],
+  socialScore: ['social_score', 'ss'],
+  socialVolume: ['posts_created', 'social_volume', 'sv'],
+  socialContributors: ['contributors_active', 'sc'],
+  socialDominance: ['social_dominance', 'sd'],
+  interactions: ['interactions']
+};
+
+/**
+ * Convert a date-like value to epoch milliseconds
+ * @param {Date|number|string} value - Date, epoch milliseconds or ISO string
+ * @returns {number} - Epoch milliseconds
+ * @throws {TypeError} - When the value is not a valid date
+ */
+function toMillis(value) {
+  const millis = value instanceof Date ? value.getTime()
+    : typeof value === 'number' ? value
+      : Date.parse(value);
+
+  if (!Number.isFinite(millis)) {
+    throw new TypeError(`Invalid date: ${value}`);
+  }
+
+  return millis;
+}
+
+/**
+ * Split a time range into windows that each fit in one API response
+ * Windows are aligned to bucket boundaries so repeated calls share cache entries
+ * @param {Object} range - Time range
+ * @param {Date|number|string} range.start - Range start
+ * @param {Date|number|string} [range.end=now] - Range end
+ * @param {string} [range.bucket='day'] - Bucket size (hour or day)
+ * @param {number} [range.maxPoints] - Points per request (defaults per bucket)
+ * @returns {Array<{start: number, end: number}>} - Windows in unix seconds, oldest first
+ */
+function planWindows({ start, end = Date.now(), bucket = 'day', maxPoints }) {
+  const bucketMs = BUCKETS[bucket];
+  if (!bucketMs) {
+    throw new TypeError(`Invalid bucket: ${bucket}. Expected one of ${Object.keys(BUCKETS).join(', ')}`);
+  }
+
+  const from = Math.floor(toMillis(start) / bucketMs) * bucketMs;
+  const to = Math.ceil(toMillis(end) / bucketMs) * bucketMs;
+  if (from >= to) {
+    throw new RangeError('Time series start must be before end');
+  }
+
+  const windowMs = (maxPoints || MAX_POINTS_PER_REQUEST[bucket]) * bucketMs;
+  const windows = [];
+
+  for (let windowStart = from; windowStart < to; windowStart += windowMs) {
+    windows.push({
+      start: windowStart / 1000,
+      end: Math.min(windowStart + windowMs, to) / 1000
+    });
+  }
+
+  return windows;
+}
+
+/**
+ * Get a point's timestamp in epoch milliseconds
+ * Accepts `time` (unix seconds) and `t` (epoch milliseconds) fields
+ * @param {Object} point - Time-series point
+ * @returns {number|null} - Epoch milliseconds
+ */
+function getPointTime(point) {
+  if (point.time !== undefined && point.time !== null) {
+    const time = Number(point.time);
+    return time < 1e12 ? time * 1000 : time;
+  }
+
+  if (point.t !== undefined && point.t !== null) {
+    return Number(point.t);
+  }
+
+  return null;
+}
+
+/**
+ * Merge time-series chunks into one list sorted oldest first, without duplicate timestamps
+ * When chunks overlap, the point from the later chunk wins
+ * @param {Array<Array<Object>>} chunks - Time-series responses
+ * @returns {Array<Object>} - Merged points
+ */
+function mergeTimeSeries(chunks) {
+  const byTime = new Map();
+
+  for (const chunk of chunks) {
+    if (!Array.isArray(chunk)) continue;
+
+    for (const point of chunk) {
+      const time = getPointTime(point);
+      if (time !== null) byTime.set(time, point);
+    }
+  }
+
+  return Array.from(byTime.keys())
+    .sort((a, b) => a - b)
+    .map(time => byTime.get(time));
+}
+
+/**
+ * Keep only the timestamp and the requested metrics of a point
+ * @param {Object} point - Time-series point
+ * @param {string[]} metrics - Metric names (see METRIC_FIELDS) or raw field names
+ * @returns {Object} - Point with selected fields
+ */
+function selectMetrics(point, metrics) {
+  const selected = {};
+
+  for (const field of ['time', 't']) {
+    if (point[field] !== undefined) selected[field] = point[field];
+  }
+
+  for (const metric of metrics) {
+    const fields = METRIC_FIELDS[metric] || [metric];
+    for (const field of fields) {
+      if (point[field] !== undefined) selected[field] = point[field];
+    }
+  }
+
+  return selected;
+}
+
+module.exports = {
+  BUCKETS,
+  MAX_POINTS_PER_REQUEST,
+  METRIC_FIELDS,
+  toMillis,
+  planWindows,
+  getPointTime,
+  mergeTimeSeries,
+  selectMetrics
+};
@@ -0,0 +1,339 @@
+const EventEmitter = require('events');
+const { LunarCrushError } = require('./errors');
+const helpers = require('../utils/helpers');
+
+const EVENTS = ['update', 'change', 'threshold'];
+
+/**
+ * Fields compared between polls, per source
+ */
+const WATCHED_FIELDS = {
+  coin: ['price', 'volume24h', 'marketCap', 'galaxyScore', 'altRank', 'sentiment', 'socialVolume',
+    'socialContributors', 'socialDominance', 'interactions24h'],
+  topic: ['rank', 'sentiment', 'interactions24h', 'contributors', 'posts', 'trend']
+};
+
+/**
+ * Polls coins and topics and emits what changed between polls
+ *
+ * Emits:
+ * - `update` ({ source, key, data, previous, time, mock, stale }) for every successful poll of a target
+ * - `change` ({ source, key, changes, data, time }) when watched fields differ from the previous poll
+ * - `threshold` ({ source, key, field, rule, previous, current, data, time }) when a rule fires
+ * - `backoff` ({ delay, pausedFor }) when polling slows down after rate limiting
+ * - `error` (error, { source, key }) when a target can't be polled
+ *
+ * The watcher is also an async iterator of { event, ...payload } objects.
+ */
+class Watcher extends EventEmitter {
+  /**
+   * Create a new watcher
+   * @param {Array<Object>} targets - { source, key, fetch } per watched item; fetch returns a
+   *   promise of { data, meta } with normalized data
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.interval=60000] - Milliseconds between polls
+   * @param {number} [options.maxInterval=900000] - Longest interval reached by backing off
+   * @param {Array<Object>} [options.thresholds] - Rules: { field, above, below, ratio, source, key }
+   * @param {number} [options.concurrency=5] - Targets polled at once
+   * @param {Function} [options.getRateLimitStatus] - Returns the adapter's rate limit status
+   * @throws {LunarCrushError} - When a threshold rule is malformed
+   */
+  constructor(targets, options = {}) {
+    super();
+    this.targets = targets;
+    this.interval = options.interval || 60 * 1000; // 1 minute
+    this.maxInterval = Math.max(this.interval, options.maxInterval || 15 * 60 * 1000); // 15 minutes
+    this.thresholds = (options.thresholds || []).map(Watcher.checkRule);
+    this.concurrency = options.concurrency || 5;
+    this.getRateLimitStatus = options.getRateLimitStatus || (() => null);
+    this.delay = this.interval;
+    this.latest = new Map();
+    this.consumers = new Set();
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start polling; the first poll runs immediately
+   * @returns {Watcher} - This watcher
+   */
+  start() {
+    if (this.running) return this;
+
+    this.running = true;
+    this._schedule(0);
+    return this;
+  }
+
+  /**
+   * Stop polling and end every async iterator
+   */
+  stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    for (const consumer of this.consumers) {
+      consumer.end();
+    }
+    this.consumers.clear();
+  }
+
+  /**
+   * Poll every target once and emit the resulting events
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    const time = Date.now();
+    let rateLimited = false;
+
+    const results = await helpers.mapSettled(this.targets, this.concurrency, target => target.fetch());
+
+    results.forEach((result, index) => {
+      const target = this.targets[index];
+
+      if (result.status === 'rejected') {
+        rateLimited = rateLimited || (result.reason && result.reason.code === 'RATE_LIMIT_EXCEEDED');
+        this._reportError(result.reason, target);
+        return;
+      }
+
+      const { data, meta } = result.value;
+      rateLimited = rateLimited || Boolean(meta && meta.error_code === 'RATE_LIMIT_EXCEEDED');
+      this._handleUpdate(target, data, meta, time);
+    });
+
+    const status = this.getRateLimitStatus();
+    const pausedFor = (status && status.pausedFor) || 0;
+
+    if (rateLimited || pausedFor > 0) {
+      this.delay = Math.min(this.maxInterval, Math.max(this.delay * 2, pausedFor));
+      this.emit('backoff', { delay: this.delay, pausedFor });
+    } else {
+      this.delay = this.interval;
+    }
+  }
+
+  /**
+   * Iterate over events as they are emitted
+   * Closing the last open iterator (e.g. breaking out of for await) stops the watcher
+   * @param {string[]} [events] - Events to yield (update, change, threshold; all by default)
+   * @returns {AsyncIterator<Object>} - Yields { event, ...payload }
+   */
+  iterate(events = EVENTS) {
+    const queue = [];
+    let waiting = null;
+    let done = !this.running;
+
+    const consumer = {
+      events,
+      push: item => {
+        if (waiting) {
+          waiting({ value: item, done: false });
+          waiting = null;
+        } else {
+          queue.push(item);
+        }
+      },
+      end: () => {
+        done = true;
+        if (waiting) {
+          waiting({ value: undefined, done: true });
+          waiting = null;
+        }
+      }
+    };
+
+    if (!done) this.consumers.add(consumer);
+
+    return {
+      next: () => {
+        if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise(resolve => {
+          waiting = resolve;
+        });
+      },
+      return: () => {
+        this.consumers.delete(consumer);
+        consumer.end();
+        if (this.consumers.size === 0) this.stop();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Iterate over every update, change and threshold event
+   * @returns {AsyncIterator<Object>} - Yields { event, ...payload }
+   */
+  [Symbol.asyncIterator]() {
+    return this.iterate();
+  }
+
+  /**
+   * Schedule the next poll
+   * @private
+   * @param {number} delay - Milliseconds to wait
+   */
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        this._reportError(error, null);
+      }
+
+      if (this.running) {
+        this._schedule(this.delay);
+      }
+    }, delay);
+  }
+
+  /**
+   * Record a poll result and emit update, change and threshold events
+   * Mock and stale data only emit an update flagged mock or stale: they are never
+   * compared or remembered, so the next live poll is compared with the last live one
+   * @private
+   * @param {Object} target - Polled target
+   * @param {Object} data - Normalized data
+   * @param {Object} [meta] - Fallback metadata of the response
+   * @param {number} time - Poll time in epoch milliseconds
+   */
+  _handleUpdate(target, data, meta, time) {
+    const id = `${target.source}:${target.key}`;
+    const previous = this.latest.get(id) || null;
+    const mock = Boolean(meta && meta.using_mock_data);
+    const stale = Boolean(meta && meta.using_stale_data);
+
+    const { source, key } = target;
+    this._publish('update', { source, key, data, previous, time, mock, stale });
+
+    if (mock || stale) return;
+    this.latest.set(id, data);
+
+    if (!previous) return;
+
+    const changes = {};
+    for (const field of WATCHED_FIELDS[source] || []) {
+      const before = previous[field];
+      const after = data[field];
+      if (before === after || before === undefined || after === undefined) continue;
+
+      changes[field] = typeof before === 'number' && typeof after === 'number'
+        ? { previous: before, current: after, delta: after - before, ratio: before !== 0 ? after / before : null }
+        : { previous: before, current: after };
+    }
+
+    if (Object.keys(changes).length > 0) {
+      this._publish('change', { source, key, changes, data, time });
+    }
+
+    for (const rule of this.thresholds) {
+      if ((rule.source && rule.source !== source) || (rule.key && String(rule.key).toUpperCase() !== String(key).toUpperCase())) {
+        continue;
+      }
+
+      const before = previous[rule.field];
+      const after = data[rule.field];
+      if (Watcher.fires(rule, before, after)) {
+        this._publish('threshold', { source, key, field: rule.field, rule, previous: before, current: after, data, time });
+      }
+    }
+  }
+
+  /**
+   * Emit an event and queue it for iterators
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  _publish(event, payload) {
+    this.emit(event, payload);
+
+    for (const consumer of this.consumers) {
+      if (consumer.events.includes(event)) {
+        consumer.push({ event, ...payload });
+      }
+    }
+  }
+
+  /**
+   * Emit a poll error, or log it when nobody listens (an unhandled 'error' event would throw)
+   * @private
+   * @param {Error} error - Error
+   * @param {Object|null} target - Target that failed, if any
+   */
+  _reportError(error, target) {
+    const context = target ? { source: target.source, key: target.key } : {};
+
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error, context);
+    } else {
+      const label = target ? ` ${target.source} ${target.key}` : '';
+      console.warn(`Failed to poll${label}: ${error && error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a rule fires between two consecutive values
+   * `above` and `below` fire when the value crosses the level, `ratio` when the
+   * value grew (ratio >= 1) or shrank (ratio < 1) by that factor since the previous poll
+   * @param {Object} rule - Threshold rule
+   * @param {*} previous - Value at the previous poll
+   * @param {*} current - Value at this poll
+   * @returns {boolean} - Whether the rule fires
+   */
+  static fires(rule, previous, current) {
+    if (typeof previous !== 'number' || typeof current !== 'number') return false;
+
+    if (rule.above !== undefined && previous <= rule.above && current > rule.above) return true;
+    if (rule.below !== undefined && previous >= rule.below && current < rule.below) return true;
+
+    if (rule.ratio !== undefined && previous > 0) {
+      const ratio = current / previous;
+      return rule.ratio >= 1 ? ratio >= rule.ratio : ratio <= rule.ratio;
+    }
+
+    return false;
+  }
+
+  /**
+   * Validate a threshold rule
+   * @param {Object} rule - { field, above, below, ratio, source, key }
+   * @returns {Object} - The rule
+   * @throws {LunarCrushError} - When the rule is malformed
+   */
+  static checkRule(rule) {
+    const levels = ['above', 'below', 'ratio'].filter(name => rule && rule[name] !== undefined);
+
+    if (!rule || typeof rule.field !== 'string' || levels.length === 0) {
+      throw new LunarCrushError(`Invalid threshold rule: ${JSON.stringify(rule)}. Expected a field and one of above, below or ratio`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+
+    for (const name of levels) {
+      if (!Number.isFinite(rule[name]) || (name === 'ratio' && rule[name] <= 0)) {
+        throw new LunarCrushError(`Invalid threshold ${name} for ${rule.field}: ${rule[name]}`, {
+          code: 'CONFIGURATION_INVALID'
+        });
+      }
+    }
+
+    if (rule.source !== undefined && !WATCHED_FIELDS[rule.source]) {
+      throw new LunarCrushError(`Invalid threshold source: ${rule.source}. Expected one of ${Object.keys(WATCHED_FIELDS).join(', ')}`, {
+        code: 'CONFIGURATION_INVALID'
+      });
+    }
+
+    return rule;
+  }
+}
+
+module.exports = Watcher;
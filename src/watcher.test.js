@@ -0,0 +1,144 @@
+const Watcher = require('./watcher');
+const { LunarCrushError, RateLimitExceededError } = require('./errors');
+
+/**
+ * Build a target that answers polls from a list of responses, one per poll
+ * @param {Array<Object>} responses - { data, meta } per poll; the last one repeats
+ * @param {Object} [target] - Source and key
+ * @returns {Object} - Watcher target
+ */
+function targetAnswering(responses, target = { source: 'coin', key: 'BTC' }) {
+  let poll = 0;
+  return {
+    ...target,
+    fetch: jest.fn(async () => responses[Math.min(poll++, responses.length - 1)])
+  };
+}
+
+/**
+ * Record every event a watcher emits
+ * @param {Watcher} watcher - Watcher
+ * @returns {Array<Array>} - [event, payload] pairs, filled as events arrive
+ */
+function recordEvents(watcher) {
+  const events = [];
+  for (const event of ['update', 'change', 'threshold', 'backoff']) {
+    watcher.on(event, payload => events.push([event, payload]));
+  }
+  return events;
+}
+
+const names = events => events.map(([event]) => event);
+
+describe('Watcher', () => {
+  test('emits an update per poll and a change when watched fields differ', async () => {
+    const watcher = new Watcher([targetAnswering([
+      { data: { price: 100, galaxyScore: 70 } },
+      { data: { price: 100, galaxyScore: 70 } },
+      { data: { price: 110, galaxyScore: 70 } }
+    ])]);
+    const events = recordEvents(watcher);
+
+    await watcher.poll();
+    await watcher.poll();
+    expect(names(events)).toEqual(['update', 'update']);
+    expect(events[1][1]).toMatchObject({ source: 'coin', key: 'BTC', previous: { price: 100 }, mock: false, stale: false });
+
+    await watcher.poll();
+    expect(names(events)).toEqual(['update', 'update', 'update', 'change']);
+    expect(events[3][1].changes).toEqual({ price: { previous: 100, current: 110, delta: 10, ratio: 1.1 } });
+  });
+
+  test('fires threshold rules on crossings and ratios, filtered by source and key', async () => {
+    const watcher = new Watcher([
+      targetAnswering([{ data: { galaxyScore: 79, socialVolume: 100 } }, { data: { galaxyScore: 81, socialVolume: 400 } }]),
+      targetAnswering([{ data: { sentiment: 50 } }, { data: { sentiment: 30 } }], { source: 'topic', key: 'bitcoin' })
+    ], {
+      thresholds: [
+        { field: 'galaxyScore', above: 80 },
+        { field: 'socialVolume', ratio: 3, source: 'coin' },
+        { field: 'sentiment', below: 40, key: 'solana' }
+      ]
+    });
+    const events = recordEvents(watcher);
+
+    await watcher.poll();
+    await watcher.poll();
+
+    const fired = events.filter(([event]) => event === 'threshold').map(([, payload]) => [payload.key, payload.field]);
+    expect(fired).toEqual([['BTC', 'galaxyScore'], ['BTC', 'socialVolume']]);
+  });
+
+  test.each([
+    ['mock', { using_mock_data: true }],
+    ['stale', { using_stale_data: true }]
+  ])('flags %s data in the update and never compares it', async (flag, meta) => {
+    const watcher = new Watcher([targetAnswering([
+      { data: { price: 100 } },
+      { data: { price: 50 }, meta },
+      { data: { price: 100 } }
+    ])], { thresholds: [{ field: 'price', below: 80 }] });
+    const events = recordEvents(watcher);
+
+    await watcher.poll();
+    await watcher.poll();
+    await watcher.poll();
+
+    expect(names(events)).toEqual(['update', 'update', 'update']);
+    expect(events[1][1]).toMatchObject({ [flag]: true, data: { price: 50 }, previous: { price: 100 } });
+    expect(events[2][1]).toMatchObject({ mock: false, stale: false, previous: { price: 100 } });
+    expect(watcher.latest.get('coin:BTC')).toEqual({ price: 100 });
+  });
+
+  test('backs off while rate limited and reports poll errors', async () => {
+    const target = { source: 'coin', key: 'BTC', fetch: jest.fn(async () => { throw new RateLimitExceededError(); }) };
+    const watcher = new Watcher([target], { interval: 1000, maxInterval: 3000 });
+    const events = recordEvents(watcher);
+    const errors = [];
+    watcher.on('error', (error, context) => errors.push([error.code, context]));
+
+    await watcher.poll();
+    await watcher.poll();
+
+    expect(events.filter(([event]) => event === 'backoff').map(([, payload]) => payload.delay)).toEqual([2000, 3000]);
+    expect(errors).toEqual([
+      ['RATE_LIMIT_EXCEEDED', { source: 'coin', key: 'BTC' }],
+      ['RATE_LIMIT_EXCEEDED', { source: 'coin', key: 'BTC' }]
+    ]);
+
+    target.fetch.mockResolvedValue({ data: { price: 1 } });
+    await watcher.poll();
+    expect(watcher.delay).toBe(1000);
+  });
+
+  test('is an async iterator of its events, and leaving the loop stops it', async () => {
+    const watcher = new Watcher([targetAnswering([{ data: { price: 100 } }, { data: { price: 120 } }])], { interval: 10 });
+    watcher.start();
+
+    const seen = [];
+    for await (const event of watcher.iterate(['change'])) {
+      seen.push(event);
+      break;
+    }
+
+    expect(seen).toEqual([expect.objectContaining({ event: 'change', key: 'BTC', changes: expect.objectContaining({ price: expect.any(Object) }) })]);
+    expect(watcher.running).toBe(false);
+  });
+
+  test('ends iterators when stopped', async () => {
+    const watcher = new Watcher([targetAnswering([{ data: { price: 100 } }])], { interval: 60 * 1000 });
+    watcher.start();
+
+    const iterator = watcher[Symbol.asyncIterator]();
+    expect(await iterator.next()).toMatchObject({ done: false, value: { event: 'update' } });
+
+    watcher.stop();
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+  });
+
+  test('rejects malformed threshold rules', () => {
+    for (const rule of [{ above: 1 }, { field: 'price' }, { field: 'price', ratio: 0 }, { field: 'price', above: 1, source: 'post' }]) {
+      expect(() => new Watcher([], { thresholds: [rule] })).toThrow(LunarCrushError);
+    }
+  });
+});
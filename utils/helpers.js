@@ -66,8 +66,70 @@ function formatNumber(num, decimals = 2) {
   return num.toFixed(decimals);
 }
 
+/**
+ * Serialize a value to JSON with object keys sorted at every level,
+ * so that equivalent parameter objects produce the same string
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+  
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  
+  return JSON.stringify(value);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an async function over items with at most `concurrency` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum concurrent calls
+ * @param {Function} fn - Called with (item, index); may return a promise
+ * @returns {Promise<Array<Object>>} - Settled results in input order, shaped like
+ *   Promise.allSettled ({ status, value } or { status, reason })
+ */
+async function mapSettled(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+  
+  const workers = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
 module.exports = {
   normalizeCoinIdentifier,
   periodToDays,
-  formatNumber
+  formatNumber,
+  stableStringify,
+  sleep,
+  mapSettled
 };
\ No newline at end of file
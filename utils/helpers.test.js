@@ -0,0 +1,60 @@
+const { mapSettled } = require('./helpers');
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('mapSettled', () => {
+  test('settles every item in input order, whatever order they finish in', async () => {
+    const results = await mapSettled([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return `${index}:${ms}`;
+    });
+
+    expect(results).toEqual([
+      { status: 'fulfilled', value: '0:30' },
+      { status: 'fulfilled', value: '1:10' },
+      { status: 'fulfilled', value: '2:20' }
+    ]);
+  });
+
+  test('keeps going after a failure and reports it in place', async () => {
+    const error = new Error('unknown ticker');
+    const results = await mapSettled(['BTC', 'NOPE', 'ETH'], 2, async symbol => {
+      if (symbol === 'NOPE') throw error;
+      return symbol;
+    });
+
+    expect(results).toEqual([
+      { status: 'fulfilled', value: 'BTC' },
+      { status: 'rejected', reason: error },
+      { status: 'fulfilled', value: 'ETH' }
+    ]);
+  });
+
+  test('never runs more than concurrency calls at once', async () => {
+    let running = 0;
+    let peak = 0;
+    await mapSettled(Array.from({ length: 10 }, (unused, index) => index), 3, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running--;
+    });
+
+    expect(peak).toBe(3);
+  });
+
+  test('handles empty batches and missing concurrency', async () => {
+    expect(await mapSettled([], 4, async () => 1)).toEqual([]);
+    expect(await mapSettled([1, 2], undefined, async value => value * 2)).toEqual([
+      { status: 'fulfilled', value: 2 },
+      { status: 'fulfilled', value: 4 }
+    ]);
+  });
+});